@@ -0,0 +1,105 @@
+import { createClient } from '@supabase/supabase-js';
+import { logger } from './logger.js';
+import { verifyJwt } from './jwt.js';
+
+const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+// Supabase signs user access tokens with the project's JWT secret and the
+// "authenticated" audience.
+const JWT_AUDIENCE = 'authenticated';
+
+/**
+ * Verify a Supabase access token and return the user it was issued to.
+ * @throws {Error} if the token is invalid, expired or the secret isn't configured
+ */
+export function verifyAccessToken(token) {
+  const secret = process.env.SUPABASE_JWT_SECRET;
+  if (!secret) {
+    throw new Error('SUPABASE_JWT_SECRET is not configured');
+  }
+
+  const payload = verifyJwt(token, secret, { audience: JWT_AUDIENCE });
+  if (!payload.sub) {
+    throw new Error('Token has no subject');
+  }
+
+  return { id: payload.sub, email: payload.email, role: payload.role };
+}
+
+async function fetchCompanyIds(userId) {
+  const { data, error } = await supabase
+    .from('company_members')
+    .select('company_id')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return data.map((row) => row.company_id);
+}
+
+/**
+ * Express middleware: require a valid `Authorization: Bearer <token>` header.
+ * Sets `req.user` ({ id, email, role }) and `req.companyIds`, the companies the
+ * caller belongs to. Every data query should be confined to those companies.
+ */
+export async function requireAuth(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Missing bearer token' });
+  }
+
+  let user;
+  try {
+    user = verifyAccessToken(token);
+  } catch (error) {
+    logger.error('Rejected access token:', error);
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    req.user = user;
+    req.companyIds = await fetchCompanyIds(user.id);
+    next();
+  } catch (error) {
+    logger.error('Error loading company memberships:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+}
+
+export const belongsToCompany = (req, companyId) =>
+  Boolean(companyId) && req.companyIds.includes(companyId);
+
+/**
+ * Express middleware factory: confine a route to the caller's companies.
+ * The company comes from `company_id` or `company.id` in the body. With
+ * `required: false` the check only applies when a company is supplied.
+ */
+export const requireCompanyAccess = ({ required = true } = {}) => (req, res, next) => {
+  const companyId = req.body?.company_id ?? req.body?.company?.id;
+
+  if (!companyId) {
+    return required
+      ? res.status(400).json({ error: 'Missing company_id' })
+      : next();
+  }
+
+  if (!belongsToCompany(req, companyId)) {
+    logger.error('Company access denied:', { userId: req.user.id, companyId });
+    return res.status(403).json({ error: 'You do not have access to this company' });
+  }
+
+  req.companyId = companyId;
+  next();
+};
+
+/**
+ * Express middleware: only let through the users listed (by ID, comma-separated)
+ * in ADMIN_USER_IDS.
+ */
+export const requireAdmin = (req, res, next) => {
+  const admins = (process.env.ADMIN_USER_IDS || '').split(',').map((id) => id.trim()).filter(Boolean);
+  if (!admins.includes(req.user.id)) {
+    logger.error('Admin access denied:', { userId: req.user.id, path: req.path });
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
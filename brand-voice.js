@@ -0,0 +1,231 @@
+import { createClient } from '@supabase/supabase-js';
+import { logger } from './logger.js';
+import { belongsToCompany } from './auth.js';
+
+/**
+ * Brand voice profiles: how a company's content should sound. The article,
+ * polish, social and email stages load the company's profile and append it to
+ * their prompts, and their output is linted for the profile's banned words
+ * and phrases to avoid. Companies without a profile get DEFAULT_BRAND_VOICE.
+ */
+
+const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+export const DEFAULT_BRAND_VOICE = {
+  audience: 'B2B decision makers, mainly at enterprises, who read on LinkedIn',
+  reading_level: '',
+  tone: 'helpful, confident and educational',
+  style: 'narrative and human, using storytelling to make each point clear and show why it matters to the reader, like Donald Miller, with a bit of the fun edge of Gary Vaynerchuk and Alex Hormozi',
+  do_phrases: [],
+  dont_phrases: ['Picture this', 'Imagine that'],
+  banned_words: [],
+  examples: [],
+  cta: ''
+};
+
+// The stages whose prompts carry the voice and whose output is linted
+export const VOICE_STAGES = ['article', 'polish', 'social', 'email'];
+
+// Profiles are cached briefly so a busy pipeline doesn't hit the database on every stage
+const CACHE_TTL_MS = Number(process.env.BRAND_VOICE_CACHE_TTL_MS || 60000);
+const cache = new Map();
+
+const MAX_LIST_ITEMS = 100;
+const MAX_EXAMPLES = 5;
+const EXAMPLE_LENGTH = 3000;
+// Characters of surrounding text shown with each lint finding
+const EXCERPT_CONTEXT = 40;
+
+const shortText = (max) => (value) => typeof value === 'string' && value.length <= max;
+const phraseList = (value) => Array.isArray(value) && value.length <= MAX_LIST_ITEMS &&
+  value.every((phrase) => typeof phrase === 'string' && phrase.trim() && phrase.length <= 200);
+
+const voiceChecks = {
+  audience: shortText(500),
+  reading_level: shortText(100),
+  tone: shortText(500),
+  style: shortText(1000),
+  do_phrases: phraseList,
+  dont_phrases: phraseList,
+  banned_words: phraseList,
+  examples: (value) => Array.isArray(value) && value.length <= MAX_EXAMPLES &&
+    value.every((example) => typeof example === 'string' && example.trim() && example.length <= EXAMPLE_LENGTH),
+  cta: shortText(500)
+};
+
+async function fetchBrandVoice(companyId) {
+  const { data, error } = await supabase
+    .from('brand_voices')
+    .select('settings')
+    .eq('company_id', companyId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return { ...DEFAULT_BRAND_VOICE, ...data?.settings };
+}
+
+/**
+ * The voice generation should use for a company. Load failures fall back to
+ * the default voice so a bad row can't take generation down.
+ */
+export async function loadBrandVoice(companyId) {
+  if (!companyId) return DEFAULT_BRAND_VOICE;
+
+  const cached = cache.get(companyId);
+  if (cached && cached.expiresAt > Date.now()) return cached.voice;
+
+  try {
+    const voice = await fetchBrandVoice(companyId);
+    cache.set(companyId, { voice, expiresAt: Date.now() + CACHE_TTL_MS });
+    return voice;
+  } catch (error) {
+    logger.error(`Error loading brand voice for company ${companyId}, using the default:`, error);
+    return DEFAULT_BRAND_VOICE;
+  }
+}
+
+const quoted = (phrases) => phrases.map((phrase) => `"${phrase}"`).join(', ');
+
+/**
+ * The "Brand voice" block appended to the voice stages' prompts.
+ */
+export function voiceInstructions(voice = DEFAULT_BRAND_VOICE) {
+  return [
+    '### Brand voice',
+    'Write in this brand voice:',
+    voice.audience && `- Audience: ${voice.audience}`,
+    voice.reading_level && `- Reading level: ${voice.reading_level}`,
+    voice.tone && `- Tone: ${voice.tone}`,
+    voice.style && `- Style: ${voice.style}`,
+    voice.do_phrases.length > 0 && `- Phrases we like to use: ${quoted(voice.do_phrases)}`,
+    voice.dont_phrases.length > 0 && `- Phrases to avoid: ${quoted(voice.dont_phrases)}`,
+    voice.banned_words.length > 0 && `- Never use these words: ${quoted(voice.banned_words)}`,
+    voice.cta && `- Call to action: ${voice.cta}`,
+    ...(voice.examples.length > 0
+      ? [
+        '- Passages written in this voice (match how they sound, not what they say):',
+        ...voice.examples.map((example) => `<example>\n${example.trim()}\n</example>`)
+      ]
+      : [])
+  ].filter(Boolean).join('\n');
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words only, ignoring case: "synergy" doesn't match "synergistic" but does match "Synergy,"
+const phrasePattern = (phrase) => new RegExp(
+  `(?<![\\p{L}\\p{N}])${escapeRegExp(phrase.trim()).replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}])`,
+  'giu'
+);
+
+/**
+ * Find the voice's banned words and phrases to avoid in generated text.
+ *
+ * @param {string|object} output - text, or an object of named texts (e.g. one per social platform)
+ * @returns {{ phrase: string, rule: string, count: number, excerpts: string[], field?: string }[]}
+ *   `rule` is `banned_word` or `dont_phrase`; `field` names the text it was found in
+ */
+export function lintVoice(output, voice = DEFAULT_BRAND_VOICE) {
+  const fields = typeof output === 'string' ? { '': output } : output;
+  const rules = [
+    ...voice.banned_words.map((phrase) => ({ phrase, rule: 'banned_word' })),
+    ...voice.dont_phrases.map((phrase) => ({ phrase, rule: 'dont_phrase' }))
+  ];
+
+  const findings = [];
+  for (const [field, value] of Object.entries(fields)) {
+    const text = String(value ?? '');
+    for (const { phrase, rule } of rules) {
+      const matches = [...text.matchAll(phrasePattern(phrase))];
+      if (matches.length === 0) continue;
+      findings.push({
+        phrase,
+        rule,
+        count: matches.length,
+        excerpts: matches.slice(0, 3).map((match) => text
+          .slice(Math.max(match.index - EXCERPT_CONTEXT, 0), match.index + match[0].length + EXCERPT_CONTEXT)
+          .replace(/\s+/g, ' ')
+          .trim()),
+        ...(field && { field })
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Get a company's brand voice, with defaults for anything not set
+ * @route GET /api/companies/:companyId/brand-voice
+ */
+export async function getBrandVoice(req, res) {
+  const { companyId } = req.params;
+  try {
+    if (!belongsToCompany(req, companyId)) {
+      return res.status(403).json({ error: 'You do not have access to this company' });
+    }
+    res.json(await fetchBrandVoice(companyId));
+  } catch (error) {
+    logger.error('Error fetching brand voice:', error);
+    res.status(500).json({ error: 'Failed to fetch brand voice' });
+  }
+}
+
+/**
+ * Set a company's brand voice. Only the fields given are changed.
+ * @route PUT /api/companies/:companyId/brand-voice
+ */
+export async function saveBrandVoice(req, res) {
+  const { companyId } = req.params;
+  const changes = req.body || {};
+
+  const unknown = Object.keys(changes).filter((field) => !voiceChecks[field]);
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: `Unknown brand voice fields: ${unknown.join(', ')}. Allowed: ${Object.keys(voiceChecks).join(', ')}`
+    });
+  }
+  const invalid = Object.entries(changes).filter(([field, value]) => !voiceChecks[field](value)).map(([field]) => field);
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: `Invalid brand voice values for: ${invalid.join(', ')}` });
+  }
+
+  try {
+    if (!belongsToCompany(req, companyId)) {
+      return res.status(403).json({ error: 'You do not have access to this company' });
+    }
+
+    const voice = { ...await fetchBrandVoice(companyId), ...changes };
+    const { error } = await supabase
+      .from('brand_voices')
+      .upsert({ company_id: companyId, settings: voice, updated_at: new Date().toISOString() }, { onConflict: 'company_id' });
+
+    if (error) throw error;
+
+    cache.delete(companyId);
+    logger.info('Brand voice saved:', { companyId });
+    res.json(voice);
+  } catch (error) {
+    logger.error('Error saving brand voice:', error);
+    res.status(500).json({ error: 'Failed to save brand voice' });
+  }
+}
+
+/**
+ * Lint text against a company's brand voice (the default voice without a company).
+ * Body: content, company_id?
+ * @route POST /api/lint/voice
+ */
+export async function lintBrandVoice(req, res) {
+  try {
+    const { content } = req.body;
+    if (typeof content !== 'string' && (typeof content !== 'object' || content === null)) {
+      return res.status(400).json({ error: 'Please provide the text to lint under "content"' });
+    }
+
+    const voice = await loadBrandVoice(req.companyId);
+    res.json({ lint: lintVoice(content, voice) });
+  } catch (error) {
+    logger.error('Error linting brand voice:', error);
+    res.status(500).json({ error: 'Failed to lint brand voice' });
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Source records for researched facts, and the numbered citations built from
+ * them. The facts stage answers each question as
+ * `{ answer, citations: [{ publisher, url, date, quote }] }`; every distinct
+ * source across the facts gets a number, and drafts cite it with a marker
+ * such as "[2]" right after the claim. The HTML renderer turns the markers
+ * into footnote links and lists the sources under "References".
+ */
+
+// How drafts show citations: numbered markers rendered as footnotes, or inline links
+export const CITATION_STYLES = ['footnotes', 'links'];
+
+// "[2]", but not a link, an image or a reference-style link definition
+const MARKER = /(?<![!\\])\[(\d{1,3})\](?![(:])/g;
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const normalizeCitation = (citation) => ({
+  publisher: cleanText(citation?.publisher),
+  url: cleanText(citation?.url),
+  date: cleanText(citation?.date),
+  quote: cleanText(citation?.quote)
+});
+
+/**
+ * One fact in the structured shape. Facts researched before sources were
+ * recorded are plain answer strings; they come back with no citations.
+ */
+export const normalizeFact = (value) => (typeof value === 'string'
+  ? { answer: value, citations: [] }
+  : {
+    answer: cleanText(value?.answer),
+    citations: (Array.isArray(value?.citations) ? value.citations : [])
+      .map(normalizeCitation)
+      .filter((citation) => citation.publisher || citation.url)
+  });
+
+export const normalizeFacts = (facts) =>
+  Object.fromEntries(Object.entries(facts || {}).map(([question, value]) => [question, normalizeFact(value)]));
+
+// Sources are the same when they link to the same page, or name the same publisher without a link
+const sourceKey = ({ publisher, url }) =>
+  (url ? url.toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/[/#]+$/, '') : `publisher:${publisher.toLowerCase()}`);
+
+/**
+ * Number every distinct source in the facts, in order of first appearance.
+ *
+ * @returns {{ number: number, publisher: string, url: string, date: string, quotes: string[], questions: string[] }[]}
+ */
+export function numberReferences(facts) {
+  const references = new Map();
+  for (const [question, { citations }] of Object.entries(normalizeFacts(facts))) {
+    for (const citation of citations) {
+      const key = sourceKey(citation);
+      if (!references.has(key)) {
+        references.set(key, { number: references.size + 1, ...citation, quotes: [], questions: [] });
+        delete references.get(key).quote;
+      }
+      const reference = references.get(key);
+      if (citation.quote && !reference.quotes.includes(citation.quote)) reference.quotes.push(citation.quote);
+      if (!reference.questions.includes(question)) reference.questions.push(question);
+    }
+  }
+  return [...references.values()];
+}
+
+/**
+ * The facts as the article stage sees them: each answer followed by the
+ * markers of the sources it can be cited with.
+ */
+export function factsForPrompt(facts, references = numberReferences(facts)) {
+  const numberOf = new Map(references.map((reference) => [sourceKey(reference), reference.number]));
+  return Object.fromEntries(Object.entries(normalizeFacts(facts)).map(([question, { answer, citations }]) => {
+    const markers = [...new Set(citations.map((citation) => numberOf.get(sourceKey(citation))))].map((number) => `[${number}]`);
+    return [question, markers.length > 0 ? `${answer} ${markers.join('')}` : answer];
+  }));
+}
+
+/**
+ * The numbered source list given to the article and verify stages.
+ */
+export function referencesForPrompt(references) {
+  if (references.length === 0) return 'No sources were recorded; do not add citation markers.';
+  return references.map(({ number, publisher, url, date, quotes }) => [
+    `[${number}] ${[publisher, date && `(${date})`, url].filter(Boolean).join(' ')}`,
+    ...quotes.map((quote) => `    Quote: "${quote}"`)
+  ].join('\n')).join('\n');
+}
+
+/**
+ * Where the markers in a text point: the numbers cited, and those with no
+ * matching reference.
+ */
+export function citedNumbers(text, references) {
+  const known = new Set(references.map((reference) => reference.number));
+  const cited = [...new Set([...String(text ?? '').matchAll(MARKER)].map((match) => Number(match[1])))];
+  return { cited, unknown: cited.filter((number) => !known.has(number)) };
+}
+
+/**
+ * Every sentence of a draft that carries citation markers, with the source
+ * records it cites. Markers without a matching reference give `source: null`.
+ *
+ * @returns {{ number: number, claim: string, source: object|null }[]}
+ */
+export function citedClaims(markdown, references) {
+  const byNumber = new Map(references.map((reference) => [reference.number, reference]));
+  const text = String(markdown ?? '')
+    .replace(/```[\s\S]*?```/g, '')
+    .replace(/^#{1,6}[ \t]+.*$/gm, '');
+
+  const claims = [];
+  for (const block of text.split(/\n{2,}/)) {
+    // A sentence ends at punctuation followed by a space, keeping markers placed after the full stop
+    const sentences = block.replace(/\s+/g, ' ').trim().split(/(?<=[.!?]["”’)]?(?:\s*\[\d{1,3}\])*)\s+(?!\[\d)/);
+    for (const sentence of sentences) {
+      const numbers = [...new Set([...sentence.matchAll(MARKER)].map((match) => Number(match[1])))];
+      const claim = sentence.replace(MARKER, '').replace(/\s+([.,;:!?])/g, '$1').trim();
+      for (const number of numbers) {
+        claims.push({ number, claim, source: byNumber.get(number) || null });
+      }
+    }
+  }
+  return claims;
+}
+
+/**
+ * The cited claims as the verify stage sees them, each with its source record.
+ */
+export function claimsForPrompt(claims) {
+  if (claims.length === 0) return 'The draft cites no sources.';
+  return claims.map(({ number, claim, source }) => [
+    `[${number}] "${claim}"`,
+    `    Source: ${[source.publisher, source.date && `(${source.date})`, source.url].filter(Boolean).join(' ')}`,
+    ...source.quotes.map((quote) => `    Quote: "${quote}"`)
+  ].join('\n')).join('\n');
+}
+
+/**
+ * Replace citation markers with inline Markdown links to their sources, for
+ * places that show the Markdown without a references section.
+ */
+export function linkCitations(markdown, references) {
+  const byNumber = new Map(references.map((reference) => [reference.number, reference]));
+  return String(markdown ?? '').replace(/\s?(?<![!\\])\[(\d{1,3})\](?![(:])/g, (match, number) => {
+    const reference = byNumber.get(Number(number));
+    if (!reference) return match;
+    const label = reference.publisher || reference.url;
+    return reference.url ? ` ([${label}](${reference.url}))` : ` (${label})`;
+  });
+}
+
+/**
+ * The text without its citation markers, for excerpts and word counts.
+ */
+export const stripCitations = (markdown) =>
+  String(markdown ?? '').replace(/[ \t]?(?<![!\\])\[\d{1,3}\](?![(:])/g, '');
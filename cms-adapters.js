@@ -0,0 +1,152 @@
+import { signJwt } from './jwt.js';
+import { remoteRequest, trimSlash } from './remote-request.js';
+
+// Read per request, so tests can point it at a local mock server
+const webflowApiUrl = () => process.env.WEBFLOW_API_URL || 'https://api.webflow.com/v2';
+
+const request = remoteRequest(Number(process.env.CMS_REQUEST_TIMEOUT_MS || 15000));
+
+export const slugify = (text) => text
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 96);
+
+/**
+ * CMS adapters. Each one takes the company's stored credentials and settings
+ * plus the article to publish, and resolves with `{ remoteId, url, status }`.
+ *
+ * `article` is `{ title, html, excerpt, tags, slug }`; `status` is "draft" or
+ * "live"; `remoteId`, when set, is the entry an earlier publish created, which
+ * is updated in place instead of creating a new one.
+ *
+ * WordPress and Ghost talk to the site in the credentials; `urlFields` names
+ * those, which must be https URLs on public hosts (see isPublicHttpsUrl).
+ * Webflow's API URL comes from WEBFLOW_API_URL only.
+ */
+export const cmsAdapters = {
+  wordpress: {
+    name: 'WordPress',
+    credentialFields: ['siteUrl', 'username', 'applicationPassword'],
+    urlFields: ['siteUrl'],
+
+    async publish({ credentials }, { article, status, remoteId }) {
+      const api = `${trimSlash(credentials.siteUrl)}/wp-json/wp/v2`;
+      const headers = {
+        Authorization: `Basic ${Buffer.from(`${credentials.username}:${credentials.applicationPassword}`).toString('base64')}`
+      };
+
+      // WordPress posts reference tags by ID, so find or create each one
+      const tagIds = [];
+      for (const name of article.tags) {
+        const matches = await request('WordPress', `${api}/tags?search=${encodeURIComponent(name)}&per_page=100`, { headers });
+        const existing = matches.find((tag) => tag.name.toLowerCase() === name.toLowerCase());
+        const tag = existing || await request('WordPress', `${api}/tags`, { method: 'POST', headers, body: { name } });
+        tagIds.push(tag.id);
+      }
+
+      const post = await request('WordPress', remoteId ? `${api}/posts/${remoteId}` : `${api}/posts`, {
+        method: 'POST',
+        headers,
+        body: {
+          title: article.title,
+          content: article.html,
+          excerpt: article.excerpt,
+          ...(!remoteId && { slug: article.slug }),
+          status: status === 'live' ? 'publish' : 'draft',
+          tags: tagIds
+        }
+      });
+
+      return { remoteId: String(post.id), url: post.link, status };
+    }
+  },
+
+  ghost: {
+    name: 'Ghost',
+    credentialFields: ['adminUrl', 'adminApiKey'],
+    urlFields: ['adminUrl'],
+
+    async publish({ credentials }, { article, status, remoteId }) {
+      const api = `${trimSlash(credentials.adminUrl)}/ghost/api/admin`;
+
+      // Admin API keys are "<id>:<hex secret>", exchanged for a 5 minute token
+      const [keyId, secret] = credentials.adminApiKey.split(':');
+      const now = Math.floor(Date.now() / 1000);
+      const token = signJwt({ iat: now, exp: now + 300, aud: '/admin/' }, Buffer.from(secret, 'hex'), { kid: keyId });
+      const headers = { Authorization: `Ghost ${token}`, 'Accept-Version': 'v5.0' };
+
+      const fields = {
+        title: article.title,
+        html: article.html,
+        custom_excerpt: article.excerpt,
+        tags: article.tags.map((name) => ({ name })),
+        status: status === 'live' ? 'published' : 'draft'
+      };
+
+      let post;
+      if (remoteId) {
+        // Ghost rejects updates that don't carry the entry's current updated_at
+        const current = await request('Ghost', `${api}/posts/${remoteId}/`, { headers });
+        ({ posts: [post] } = await request('Ghost', `${api}/posts/${remoteId}/?source=html`, {
+          method: 'PUT',
+          headers,
+          body: { posts: [{ ...fields, updated_at: current.posts[0].updated_at }] }
+        }));
+      } else {
+        ({ posts: [post] } = await request('Ghost', `${api}/posts/?source=html`, {
+          method: 'POST',
+          headers,
+          body: { posts: [{ ...fields, slug: article.slug }] }
+        }));
+      }
+
+      return { remoteId: post.id, url: post.url, status };
+    }
+  },
+
+  webflow: {
+    name: 'Webflow',
+    credentialFields: ['apiToken', 'collectionId'],
+
+    /**
+     * Settings: `fields` maps `body`, `summary` and `tags` to the collection's
+     * field slugs (defaults "post-body", "post-summary", none), and
+     * `urlTemplate` (e.g. "https://example.com/blog/{slug}") builds the public URL.
+     */
+    async publish({ credentials, settings = {} }, { article, status, remoteId }) {
+      const api = `${trimSlash(webflowApiUrl())}/collections/${credentials.collectionId}/items`;
+      const headers = { Authorization: `Bearer ${credentials.apiToken}` };
+      const fields = { body: 'post-body', summary: 'post-summary', ...settings.fields };
+      const live = status === 'live';
+
+      const body = {
+        isArchived: false,
+        isDraft: !live,
+        fieldData: {
+          name: article.title,
+          ...(!remoteId && { slug: article.slug }),
+          [fields.body]: article.html,
+          ...(fields.summary && { [fields.summary]: article.excerpt }),
+          ...(fields.tags && { [fields.tags]: article.tags.join(', ') })
+        }
+      };
+
+      // The /live variants publish the item to the site immediately
+      const item = remoteId
+        ? await request('Webflow', `${api}/${remoteId}${live ? '/live' : ''}`, { method: 'PATCH', headers, body })
+        : await request('Webflow', `${api}${live ? '/live' : ''}`, { method: 'POST', headers, body });
+
+      const slug = item.fieldData?.slug || article.slug;
+      return {
+        remoteId: item.id,
+        url: settings.urlTemplate ? settings.urlTemplate.replace('{slug}', slug) : null,
+        status
+      };
+    }
+  }
+};
+
+export const CMS_PLATFORMS = Object.keys(cmsAdapters);
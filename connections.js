@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import { logger } from './logger.js';
+import { belongsToCompany } from './auth.js';
+import { isPublicHttpsUrl } from './remote-request.js';
+
+const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+// Third-party credentials are stored encrypted with AES-256-GCM under CMS_CREDENTIALS_KEY
+const credentialsKey = () => {
+  const key = process.env.CMS_CREDENTIALS_KEY;
+  if (!key) {
+    throw new Error('CMS_CREDENTIALS_KEY is not configured');
+  }
+  const bytes = Buffer.from(key, /^[0-9a-f]{64}$/i.test(key) ? 'hex' : 'base64');
+  if (bytes.length !== 32) {
+    throw new Error('CMS_CREDENTIALS_KEY must be 32 bytes, hex or base64 encoded');
+  }
+  return bytes;
+};
+
+const encryptCredentials = (credentials) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', credentialsKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64url')).join('.');
+};
+
+const decryptCredentials = (encrypted) => {
+  const [iv, tag, ciphertext] = encrypted.split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', credentialsKey(), iv);
+  decipher.setAuthTag(tag);
+  return JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+};
+
+/**
+ * Load a company's connection to one platform from `table`, with its
+ * credentials decrypted. Resolves with null when there is none.
+ * @returns {Promise<{ credentials: object, settings: object }|null>}
+ */
+export async function fetchConnection(table, companyId, platform) {
+  const { data, error } = await supabase
+    .from(table)
+    .select('credentials_encrypted, settings')
+    .eq('company_id', companyId)
+    .eq('platform', platform)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+  return { credentials: decryptCredentials(data.credentials_encrypted), settings: data.settings || {} };
+}
+
+/**
+ * The base URLs in `credentials` (the adapter's `urlFields`) that are not
+ * https URLs on public hosts.
+ */
+export const invalidCredentialUrls = (adapter, credentials) =>
+  (adapter.urlFields || []).filter((field) => !isPublicHttpsUrl(credentials[field]));
+
+/**
+ * Route handlers to list, store and remove a company's per-platform
+ * credentials in `table` (company_id, platform, credentials_encrypted,
+ * settings). `adapters` maps each platform to an adapter with a `name`, the
+ * `credentialFields` it requires, any `optionalCredentialFields`, and the
+ * `urlFields` that hold base URLs; `label` names the kind in messages.
+ * Credentials are write-only: they are never returned.
+ */
+export const connectionHandlers = ({ table, adapters, label }) => ({
+  async list(req, res) {
+    try {
+      const { companyId } = req.params;
+      if (!belongsToCompany(req, companyId)) {
+        return res.status(403).json({ error: 'You do not have access to this company' });
+      }
+
+      const { data, error } = await supabase
+        .from(table)
+        .select('platform, settings, created_at, updated_at')
+        .eq('company_id', companyId);
+
+      if (error) throw error;
+      res.json(data);
+    } catch (error) {
+      logger.error(`Error listing ${label} connections:`, error);
+      res.status(500).json({ error: `Failed to list ${label} connections` });
+    }
+  },
+
+  async save(req, res) {
+    try {
+      const { companyId, platform } = req.params;
+      const { credentials, settings = {} } = req.body;
+      const adapter = Object.hasOwn(adapters, platform) ? adapters[platform] : null;
+
+      if (!belongsToCompany(req, companyId)) {
+        return res.status(403).json({ error: 'You do not have access to this company' });
+      }
+      if (!adapter) {
+        return res.status(404).json({ error: `Unknown ${label} platform "${platform}". Use one of: ${Object.keys(adapters).join(', ')}` });
+      }
+
+      const missing = adapter.credentialFields.filter((field) => !credentials?.[field]);
+      if (missing.length > 0) {
+        return res.status(400).json({ error: `Missing ${adapter.name} credentials: ${missing.join(', ')}` });
+      }
+      const allowed = [...adapter.credentialFields, ...(adapter.optionalCredentialFields || [])];
+      const unknown = Object.keys(credentials).filter((field) => !allowed.includes(field));
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown ${adapter.name} credentials: ${unknown.join(', ')}. Use: ${allowed.join(', ')}` });
+      }
+      const invalidUrls = invalidCredentialUrls(adapter, credentials);
+      if (invalidUrls.length > 0) {
+        return res.status(400).json({ error: `${invalidUrls.join(', ')} must be an https URL on a public host` });
+      }
+
+      const now = new Date().toISOString();
+      const { error } = await supabase
+        .from(table)
+        .upsert({
+          company_id: companyId,
+          platform,
+          credentials_encrypted: encryptCredentials(credentials),
+          settings,
+          updated_at: now
+        }, { onConflict: 'company_id,platform' });
+
+      if (error) throw error;
+
+      logger.info(`${label} connection saved:`, { companyId, platform });
+      res.json({ platform, settings, updated_at: now });
+    } catch (error) {
+      logger.error(`Error saving ${label} connection:`, error);
+      res.status(500).json({ error: `Failed to save ${label} connection` });
+    }
+  },
+
+  async remove(req, res) {
+    try {
+      const { companyId, platform } = req.params;
+      if (!belongsToCompany(req, companyId)) {
+        return res.status(403).json({ error: 'You do not have access to this company' });
+      }
+
+      const { data, error } = await supabase
+        .from(table)
+        .delete()
+        .eq('company_id', companyId)
+        .eq('platform', platform)
+        .select('platform');
+
+      if (error) throw error;
+      if (data.length === 0) {
+        return res.status(404).json({ error: `No ${platform} connection for this company` });
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      logger.error(`Error deleting ${label} connection:`, error);
+      res.status(500).json({ error: `Failed to delete ${label} connection` });
+    }
+  }
+});
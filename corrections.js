@@ -0,0 +1,397 @@
+import { createClient } from '@supabase/supabase-js';
+import { logger } from './logger.js';
+import { fetchBlogPost } from './posts.js';
+import { recordRevision } from './revisions.js';
+import { unifiedDiff } from './diff.js';
+
+/**
+ * Deterministic application of the verify stage's corrections. Each flagged
+ * inaccuracy's `original_text` is located in the draft, tolerating
+ * differences in whitespace, case, quotes and dashes, Markdown emphasis,
+ * link syntax and citation markers, and replaced with its `corrected_text`.
+ * Every correction gets a report entry saying what happened to it.
+ *
+ * Editors review corrections first: each has a `decision` of `pending`,
+ * `accepted` or `rejected`. Rejected corrections are never applied and are
+ * left out of the polish stage's prompt; pending ones are applied like
+ * accepted ones.
+ */
+
+const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+export const CORRECTION_DECISIONS = ['pending', 'accepted', 'rejected'];
+
+// What happened to a correction when it was applied
+export const CORRECTION_STATUSES = ['applied', 'not_found', 'rejected', 'no_correction', 'conflict'];
+
+// Characters that may wrap a word without being part of it
+const LEADING = /^[*_`~"'“”‘’„«»([{]+/;
+const TRAILING = /[*_`~"'“”‘’„«»)\]}.,;:!?]+$/;
+const EMPHASIS = /[*_`~]/g;
+const EMPHASIS_RUNS = /[*_`~]+/g;
+
+const blank = (text) => ' '.repeat(text.length);
+
+// Targets may hold balanced parentheses or be wrapped in <...>, as in markdown.js
+const LINK = /(!?\[)([^\]\n]*)(\]\((?:<[^<>\n]*>|(?:[^()\s]|\((?:[^()\s]|\([^()\s]*\))*\))*)(?:\s+"[^"]*")?\))/g;
+
+// Hide Markdown syntax that isn't text, keeping every offset where it was:
+// link and image targets, citation markers, heading, quote and list markers,
+// and dashes between words ("market—by far" is "market -- by far")
+const maskMarkup = (text) => String(text ?? '')
+  .replace(LINK, (match, open, label, target) => blank(open) + label + blank(target))
+  .replace(/(?<![!\\])\[\d{1,3}\](?![(:])/g, blank)
+  .replace(/^([ \t]*)(#{1,6}|>|[-*+]|\d{1,9}[.)])(?=[ \t])/gm, (match, indent, marker) => indent + blank(marker))
+  .replace(/[–—]|-{2,}/g, blank);
+
+const wordKey = (word) => word
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(EMPHASIS, '')
+  .replace(/[‐‑‒–—−]/g, '-')
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”„«»]/g, '"');
+
+// The draft's words with their offsets; `start` and `end` bound the word
+// without the punctuation and emphasis around it
+const wordsOf = (text) => [...maskMarkup(text).matchAll(/\S+/g)]
+  .map((match) => {
+    const lead = match[0].match(LEADING)?.[0].length || 0;
+    const core = match[0].slice(lead).replace(TRAILING, '');
+    return {
+      key: wordKey(core),
+      start: match.index + lead,
+      end: match.index + lead + core.length,
+      token: match[0],
+      lead,
+      trail: match[0].length - lead - core.length
+    };
+  })
+  .filter((word) => word.key);
+
+/**
+ * Find `originalText` in `draft`, word by word. A match that ends inside a
+ * link takes in the whole link, so no half of its syntax is left behind.
+ *
+ * @returns {{ start: number, end: number, occurrences: number, lead: string, trail: string }|null}
+ *   the offsets of the first match in the draft and how many matches there
+ *   are; `lead` and `trail` are the punctuation around the original text
+ *   that the draft doesn't have there
+ */
+export function locateText(draft, originalText) {
+  const words = wordsOf(draft);
+  const wanted = wordsOf(originalText);
+  if (wanted.length === 0) return null;
+
+  const matches = [];
+  for (let i = 0; i + wanted.length <= words.length; i++) {
+    if (wanted.every((word, j) => words[i + j].key === word.key)) matches.push(i);
+  }
+  if (matches.length === 0) return null;
+
+  const first = words[matches[0]];
+  const last = words[matches[0] + wanted.length - 1];
+  let { start } = first;
+  let { end } = last;
+  for (const link of draft.matchAll(LINK)) {
+    const linkEnd = link.index + link[0].length;
+    if (start > link.index && start < linkEnd) start = link.index;
+    if (end > link.index && end < linkEnd) end = linkEnd;
+  }
+
+  // Emphasis opened or closed inside the match takes its other half along:
+  // "grew 32%" in "grew **32%** in" covers "grew **32%**"
+  const unbalanced = () => ((draft.slice(start, end).match(EMPHASIS_RUNS) || []).length % 2 === 1);
+  const closing = draft.slice(end).match(/^[*_`~]+/)?.[0];
+  if (closing && unbalanced()) end += closing.length;
+  const opening = draft.slice(0, start).match(/[*_`~]+$/)?.[0];
+  if (opening && unbalanced()) start -= opening.length;
+
+  // Take the punctuation around the quoted text too, when the draft has the same
+  let lead = wanted[0].token.slice(0, wanted[0].lead).replace(EMPHASIS, '');
+  if (lead && draft.slice(start - lead.length, start) === lead) {
+    start -= lead.length;
+    lead = '';
+  }
+  const lastWanted = wanted[wanted.length - 1];
+  let trail = lastWanted.token.slice(lastWanted.token.length - lastWanted.trail).replace(EMPHASIS, '');
+  if (trail && draft.slice(end, end + trail.length) === trail) {
+    end += trail.length;
+    trail = '';
+  }
+
+  return { start, end, occurrences: matches.length, lead, trail };
+}
+
+// Drop the punctuation the match left out from the replacement too, so
+// "in 2023 [2]." corrected with "in 2024." stays "in 2024 [2]."
+const fitReplacement = (text, { lead, trail }) => {
+  let replacement = text.trim();
+  if (lead && replacement.startsWith(lead)) replacement = replacement.slice(lead.length);
+  if (trail && replacement.endsWith(trail)) replacement = replacement.slice(0, -trail.length);
+  return replacement;
+};
+
+const lineOf = (text, offset) => text.slice(0, offset).split('\n').length;
+
+// Verify output, or just its list of flagged inaccuracies
+const flaggedIn = (corrections) =>
+  (Array.isArray(corrections) ? corrections : corrections?.flagged_inaccuracies) || [];
+
+/**
+ * Apply corrections to a draft. Corrections are located in the original
+ * draft, so one correction never changes where another applies; when two
+ * overlap, the first in the list wins.
+ *
+ * @param {string} draft - Markdown
+ * @param {object|object[]} corrections - verify output, or its `flagged_inaccuracies`
+ * @returns {{ content: string, report: object[], diff: string }} `report` has one
+ *   `{ index, status, original_text, corrected_text, reason?, matched_text?, line?, occurrences? }`
+ *   per correction, in order; `status` is one of CORRECTION_STATUSES
+ */
+export function applyCorrections(draft, corrections) {
+  const text = String(draft ?? '');
+  const located = [];
+
+  const report = flaggedIn(corrections).map((correction, index) => {
+    const entry = {
+      index,
+      original_text: correction.original_text,
+      corrected_text: correction.corrected_text
+    };
+
+    if (correction.status === 'applied') {
+      return { ...entry, status: 'applied', reason: 'Applied earlier' };
+    }
+    if (correction.decision === 'rejected') {
+      return { ...entry, status: 'rejected', reason: 'Rejected by an editor' };
+    }
+    if (typeof correction.corrected_text !== 'string' || !correction.corrected_text.trim()) {
+      return { ...entry, status: 'no_correction', reason: 'The verify stage gave no corrected text' };
+    }
+    if (correction.corrected_text.trim() === String(correction.original_text ?? '').trim()) {
+      return { ...entry, status: 'no_correction', reason: 'The corrected text is the same as the original' };
+    }
+
+    const match = locateText(text, String(correction.original_text ?? ''));
+    if (!match) {
+      return { ...entry, status: 'not_found', reason: 'The original text is not in the draft' };
+    }
+
+    const overlapping = located.find((other) => match.start < other.end && other.start < match.end);
+    if (overlapping) {
+      return {
+        ...entry,
+        status: 'conflict',
+        reason: `Overlaps correction ${overlapping.index}, which was applied instead`,
+        line: lineOf(text, match.start)
+      };
+    }
+
+    located.push({ index, start: match.start, end: match.end, replacement: fitReplacement(correction.corrected_text, match) });
+    return {
+      ...entry,
+      status: 'applied',
+      matched_text: text.slice(match.start, match.end),
+      line: lineOf(text, match.start),
+      occurrences: match.occurrences
+    };
+  });
+
+  // Replace from the end so earlier offsets stay valid
+  const content = [...located]
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, { start, end, replacement }) => result.slice(0, start) + replacement + result.slice(end), text);
+
+  return {
+    content,
+    report,
+    diff: unifiedDiff(text, content, { fromLabel: 'draft', toLabel: 'corrected' })
+  };
+}
+
+/**
+ * The corrections the polish stage should still work in: without the ones
+ * an editor rejected or that were already applied to the draft.
+ */
+export function correctionsForPolish(corrections) {
+  if (!corrections || typeof corrections !== 'object') return corrections;
+  const remaining = (list) => list.filter((correction) => correction.decision !== 'rejected' && correction.status !== 'applied');
+  return Array.isArray(corrections)
+    ? remaining(corrections)
+    : { ...corrections, flagged_inaccuracies: remaining(corrections.flagged_inaccuracies || []) };
+}
+
+// What keeps a correction from a request from being applied as one
+const correctionProblems = (correction) => {
+  if (!correction || typeof correction !== 'object' || Array.isArray(correction)) {
+    return ['must be an object with "original_text" and "corrected_text"'];
+  }
+  return [
+    typeof correction.original_text !== 'string' && '"original_text" must be a string',
+    ![undefined, null].includes(correction.corrected_text) && typeof correction.corrected_text !== 'string'
+      && '"corrected_text" must be a string or null',
+    correction.decision !== undefined && !CORRECTION_DECISIONS.includes(correction.decision)
+      && `"decision" must be one of: ${CORRECTION_DECISIONS.join(', ')}`
+  ].filter(Boolean);
+};
+
+const summarize = (report) => Object.fromEntries(CORRECTION_STATUSES.map((status) =>
+  [status, report.filter((entry) => entry.status === status).length]));
+
+/**
+ * Store verify output on a post for review, every correction pending.
+ */
+export async function saveCorrections(postId, verifyData) {
+  const corrections = {
+    ...verifyData,
+    flagged_inaccuracies: verifyData.flagged_inaccuracies.map((correction) => ({ ...correction, decision: 'pending' })),
+    verified_at: new Date().toISOString()
+  };
+
+  const { error } = await supabase
+    .from('blog_posts')
+    .update({ corrections })
+    .eq('id', postId);
+
+  if (error) throw error;
+  return corrections;
+}
+
+/**
+ * Apply corrections to a draft without saving anything. Body: `draft`
+ * (Markdown) and `corrections` (verify output, or its `flagged_inaccuracies`,
+ * each optionally with a `decision`).
+ * @route POST /api/corrections/apply
+ */
+export async function applyDraftCorrections(req, res) {
+  try {
+    const { draft, corrections } = req.body;
+    if (typeof draft !== 'string' || !draft.trim()) {
+      return res.status(400).json({ error: 'Please provide the Markdown to correct under "draft"' });
+    }
+    if (!Array.isArray(flaggedIn(corrections)) || flaggedIn(corrections).length === 0) {
+      return res.status(400).json({ error: 'Please provide the verify output, or its "flagged_inaccuracies", under "corrections"' });
+    }
+    const validationErrors = flaggedIn(corrections).flatMap((correction, index) =>
+      correctionProblems(correction).map((problem) => `corrections[${index}]: ${problem}`));
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid corrections', validationErrors });
+    }
+
+    const result = applyCorrections(draft, corrections);
+    logger.info('Corrections applied to draft', summarize(result.report));
+    res.json({ ...result, summary: summarize(result.report) });
+  } catch (error) {
+    logger.error('Error applying corrections:', error);
+    res.status(500).json({ error: 'Failed to apply corrections' });
+  }
+}
+
+/**
+ * Get the corrections stored on a post, with each one's decision
+ * @route GET /api/posts/:id/corrections
+ */
+export async function getPostCorrections(req, res) {
+  try {
+    const { id } = req.params;
+    const post = await fetchBlogPost(id, req.companyIds);
+    if (!post) {
+      return res.status(404).json({ error: `Post with ID ${id} not found` });
+    }
+    res.json(post.corrections || { flagged_inaccuracies: [] });
+  } catch (error) {
+    logger.error('Error fetching corrections:', error);
+    res.status(500).json({ error: 'Failed to fetch corrections' });
+  }
+}
+
+/**
+ * Accept or reject one of a post's corrections. Body: decision.
+ * @route PATCH /api/posts/:id/corrections/:index
+ */
+export async function decideCorrection(req, res) {
+  try {
+    const { id } = req.params;
+    const index = Number(req.params.index);
+    const { decision } = req.body;
+    if (!CORRECTION_DECISIONS.includes(decision)) {
+      return res.status(400).json({ error: `"decision" must be one of: ${CORRECTION_DECISIONS.join(', ')}` });
+    }
+
+    const post = await fetchBlogPost(id, req.companyIds);
+    if (!post) {
+      return res.status(404).json({ error: `Post with ID ${id} not found` });
+    }
+    const flagged = post.corrections?.flagged_inaccuracies || [];
+    if (!Number.isInteger(index) || index < 0 || index >= flagged.length) {
+      return res.status(404).json({ error: `Post ${id} has no correction ${req.params.index}` });
+    }
+
+    const corrections = {
+      ...post.corrections,
+      flagged_inaccuracies: flagged.map((correction, i) => (i === index
+        ? { ...correction, decision, decided_by: req.user.id, decided_at: new Date().toISOString() }
+        : correction))
+    };
+    const { error } = await supabase
+      .from('blog_posts')
+      .update({ corrections })
+      .eq('id', id);
+
+    if (error) throw error;
+
+    logger.info('Correction decided', { postId: id, index, decision });
+    res.json(corrections);
+  } catch (error) {
+    logger.error('Error updating correction:', error);
+    res.status(500).json({ error: 'Failed to update correction' });
+  }
+}
+
+/**
+ * Apply a post's corrections that weren't rejected to its article, saving the
+ * corrected article as a new revision and each correction's outcome as its `status`
+ * @route POST /api/posts/:id/corrections/apply
+ */
+export async function applyPostCorrections(req, res) {
+  try {
+    const { id } = req.params;
+    const post = await fetchBlogPost(id, req.companyIds);
+    if (!post) {
+      return res.status(404).json({ error: `Post with ID ${id} not found` });
+    }
+    if (!post.article) {
+      return res.status(400).json({ error: 'Post has no article to correct' });
+    }
+    const flagged = post.corrections?.flagged_inaccuracies || [];
+    if (flagged.length === 0) {
+      return res.status(400).json({ error: 'Post has no corrections; verify it with "post_id" first' });
+    }
+
+    const { content, report, diff } = applyCorrections(post.article, flagged);
+    const now = new Date().toISOString();
+    const corrections = {
+      ...post.corrections,
+      flagged_inaccuracies: flagged.map((correction, i) => ({ ...correction, status: report[i].status })),
+      applied_at: now
+    };
+
+    const { data, error } = await supabase
+      .from('blog_posts')
+      .update({ article: content, corrections, updated_at: now })
+      .eq('id', id)
+      .select();
+
+    if (error) throw error;
+
+    await recordRevision({ post: data[0], authorId: req.user.id, stage: 'corrections' });
+
+    const summary = summarize(report);
+    logger.info('Corrections applied to post', { postId: id, ...summary });
+    res.json({ post: data[0], report, diff, summary });
+  } catch (error) {
+    logger.error('Error applying corrections to post:', error);
+    res.status(500).json({ error: 'Failed to apply corrections' });
+  }
+}
@@ -0,0 +1,184 @@
+import { createClient } from '@supabase/supabase-js';
+import { logger } from './logger.js';
+
+const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+/**
+ * USD per million tokens, by model. Override or extend with LLM_PRICE_TABLE,
+ * e.g. {"gpt-4o":{"input":2.5,"output":10}}.
+ */
+const DEFAULT_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'gemini-2.0-flash-exp': { input: 0.1, output: 0.4 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  fake: { input: 0, output: 0 }
+};
+
+const loadPrices = () => {
+  if (!process.env.LLM_PRICE_TABLE) return DEFAULT_PRICES;
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(process.env.LLM_PRICE_TABLE) };
+  } catch (error) {
+    throw new Error(`Invalid JSON in LLM_PRICE_TABLE: ${error.message}`);
+  }
+};
+
+const prices = loadPrices();
+
+const REPORT_DIMENSIONS = {
+  user: 'user_id',
+  company: 'company_id',
+  stage: 'stage'
+};
+
+// Supabase caps each select at 1000 rows, so reports page through
+const PAGE_SIZE = 1000;
+
+/**
+ * Cost of one call in USD, or null when the model isn't in the price table.
+ */
+export function computeCost(model, { inputTokens, outputTokens }) {
+  const price = prices[model];
+  if (!price) return null;
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+/**
+ * Store one completed AI call with its token usage and cost.
+ * Failures are logged rather than thrown so accounting never breaks a request.
+ */
+export async function recordAiCall({ context = {}, stage, provider, model, usage, promptVersion }) {
+  const cost = computeCost(model, usage);
+  if (cost === null) {
+    logger.error(`No price configured for model ${model}; recording the call without a cost`);
+  }
+
+  const { error } = await supabase.from('ai_calls').insert([
+    {
+      request_id: context.requestId ?? null,
+      user_id: context.userId ?? null,
+      company_id: context.companyId ?? null,
+      post_id: context.postId ?? null,
+      pipeline_job_id: context.pipelineJobId ?? null,
+      stage,
+      provider,
+      model,
+      prompt_version: promptVersion ?? null,
+      input_tokens: usage.inputTokens,
+      output_tokens: usage.outputTokens,
+      cost_usd: cost,
+      created_at: new Date().toISOString()
+    }
+  ]);
+
+  if (error) {
+    logger.error('Error recording AI call:', { stage, model, error: error.message });
+  }
+}
+
+/**
+ * Link the AI calls a pipeline job made to the post it produced, since the
+ * post doesn't exist yet while the earlier stages run.
+ */
+export async function attachCallsToPost(pipelineJobId, postId) {
+  const { error } = await supabase
+    .from('ai_calls')
+    .update({ post_id: postId })
+    .eq('pipeline_job_id', pipelineJobId);
+
+  if (error) {
+    logger.error('Error linking AI calls to post:', { pipelineJobId, postId, error: error.message });
+  }
+}
+
+async function fetchCalls({ companyIds, userId, from, to }) {
+  // Calls made outside a company (e.g. /facts without company_id) still belong to their user
+  const scope = companyIds.length
+    ? `company_id.in.(${companyIds.join(',')}),user_id.eq.${userId}`
+    : `user_id.eq.${userId}`;
+
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabase
+      .from('ai_calls')
+      .select('user_id, company_id, stage, model, input_tokens, output_tokens, cost_usd')
+      .or(scope)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lt('created_at', to);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+const emptyTotals = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpricedCalls: 0 });
+
+const addCall = (totals, row) => {
+  totals.calls += 1;
+  totals.inputTokens += row.input_tokens || 0;
+  totals.outputTokens += row.output_tokens || 0;
+  if (row.cost_usd === null) {
+    totals.unpricedCalls += 1;
+  } else {
+    totals.costUsd += Number(row.cost_usd);
+  }
+  return totals;
+};
+
+/**
+ * Aggregate AI spend by user, company or stage for the caller's companies.
+ * Optional `from` / `to` query params bound the period (ISO dates, `to` exclusive).
+ * @route GET /api/reports/costs/:dimension
+ */
+export async function getCostReport(req, res) {
+  try {
+    const { dimension } = req.params;
+    const { from, to } = req.query;
+    const column = REPORT_DIMENSIONS[dimension];
+
+    if (!column) {
+      return res.status(400).json({
+        error: `Unknown report dimension "${dimension}". Use one of: ${Object.keys(REPORT_DIMENSIONS).join(', ')}`
+      });
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `Invalid "${name}" date` });
+      }
+    }
+
+    const rows = await fetchCalls({ companyIds: req.companyIds, userId: req.user.id, from, to });
+
+    const groups = new Map();
+    const totals = emptyTotals();
+    for (const row of rows) {
+      const key = row[column] ?? null;
+      if (!groups.has(key)) groups.set(key, emptyTotals());
+      addCall(groups.get(key), row);
+      addCall(totals, row);
+    }
+
+    res.json({
+      dimension,
+      from: from ?? null,
+      to: to ?? null,
+      totals,
+      groups: [...groups.entries()]
+        .map(([key, groupTotals]) => ({ [dimension]: key, ...groupTotals }))
+        .sort((a, b) => b.costUsd - a.costUsd)
+    });
+  } catch (error) {
+    logger.error('Error building cost report:', error);
+    res.status(500).json({ error: 'Failed to build cost report' });
+  }
+}
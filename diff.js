@@ -0,0 +1,119 @@
+/**
+ * Line-based diffing for post revisions and applied corrections.
+ */
+
+const splitLines = (text) => (text ? String(text).split('\n') : []);
+
+/**
+ * Compute the edit script between two texts, line by line.
+ * Returns a list of `{ type: 'equal' | 'delete' | 'insert', line }` entries.
+ */
+export function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Common prefix and suffix don't need the quadratic table below
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+
+  // lcs[i][j] = length of the longest common subsequence of a[start+i..] and b[start+j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[start + i] === b[start + j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map((line) => ({ type: 'equal', line }));
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      ops.push({ type: 'equal', line: a[start + i] });
+      i++;
+      j++;
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: 'delete', line: a[start + i] });
+      i++;
+    } else {
+      ops.push({ type: 'insert', line: b[start + j] });
+      j++;
+    }
+  }
+  ops.push(...a.slice(endA).map((line) => ({ type: 'equal', line })));
+
+  return ops;
+}
+
+/**
+ * Render the difference between two texts as a unified diff.
+ * Returns an empty string when they are identical.
+ */
+export function unifiedDiff(before, after, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+  const ops = diffLines(before, after);
+  const changed = ops.map((op) => op.type !== 'equal');
+  if (!changed.includes(true)) return '';
+
+  // Group changes closer together than 2 * context lines into one hunk
+  const hunks = [];
+  for (let index = 0; index < ops.length; index++) {
+    if (!changed[index]) continue;
+    const from = Math.max(index - context, 0);
+    const last = hunks[hunks.length - 1];
+    if (last && from <= last.end) {
+      last.end = Math.min(index + context + 1, ops.length);
+    } else {
+      hunks.push({ start: from, end: Math.min(index + context + 1, ops.length) });
+    }
+  }
+
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  let oldLine = 1;
+  let newLine = 1;
+  let position = 0;
+
+  for (const hunk of hunks) {
+    // Advance the line counters over the unchanged stretch before this hunk
+    for (; position < hunk.start; position++) {
+      if (ops[position].type !== 'insert') oldLine++;
+      if (ops[position].type !== 'delete') newLine++;
+    }
+
+    const body = [];
+    let oldCount = 0;
+    let newCount = 0;
+    for (; position < hunk.end; position++) {
+      const { type, line } = ops[position];
+      if (type === 'equal') {
+        body.push(` ${line}`);
+        oldCount++;
+        newCount++;
+      } else if (type === 'delete') {
+        body.push(`-${line}`);
+        oldCount++;
+      } else {
+        body.push(`+${line}`);
+        newCount++;
+      }
+    }
+
+    const oldStart = oldCount ? oldLine : oldLine - 1;
+    const newStart = newCount ? newLine : newLine - 1;
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...body);
+    oldLine += oldCount;
+    newLine += newCount;
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,205 @@
+import { createClient } from '@supabase/supabase-js';
+import { logger } from './logger.js';
+import { belongsToCompany } from './auth.js';
+import { fetchBlogPost } from './posts.js';
+import { escapeHtml } from './markdown.js';
+import { DEFAULT_EMAIL_BRANDING, renderDripEmail, fillMergeTags } from './email-renderer.js';
+import { emailExporters, EMAIL_EXPORT_FORMATS } from './email-exports.js';
+
+const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}){1,2}$/i;
+const HTTP_URL = /^https?:\/\/\S+$/i;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Interpolated into inline CSS, so only plain font lists are allowed
+const FONT_FAMILY = /^[\w\s,'"-]{1,200}$/;
+
+const brandingChecks = {
+  brand_name: (value) => typeof value === 'string' && value.length <= 200,
+  logo_url: (value) => value === null || HTTP_URL.test(value),
+  website_url: (value) => value === null || HTTP_URL.test(value),
+  primary_color: (value) => HEX_COLOR.test(value),
+  background_color: (value) => HEX_COLOR.test(value),
+  text_color: (value) => HEX_COLOR.test(value),
+  font_family: (value) => FONT_FAMILY.test(value),
+  footer_text: (value) => typeof value === 'string' && value.length <= 1000,
+  from_name: (value) => typeof value === 'string' && value.length <= 200,
+  reply_to: (value) => value === null || EMAIL.test(value),
+  first_name_fallback: (value) => typeof value === 'string' && value.length <= 50,
+  drip_delays: (value) => Array.isArray(value) && value.every((days) => Number.isInteger(days) && days >= 0)
+};
+
+async function fetchEmailBranding(companyId) {
+  const { data, error } = await supabase
+    .from('email_branding')
+    .select('settings')
+    .eq('company_id', companyId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return { ...DEFAULT_EMAIL_BRANDING, ...data?.settings };
+}
+
+/**
+ * Get a company's email branding, with defaults for anything not set
+ * @route GET /api/companies/:companyId/email-branding
+ */
+export async function getEmailBranding(req, res) {
+  const { companyId } = req.params;
+  try {
+    if (!belongsToCompany(req, companyId)) {
+      return res.status(403).json({ error: 'You do not have access to this company' });
+    }
+    res.json(await fetchEmailBranding(companyId));
+  } catch (error) {
+    logger.error('Error fetching email branding:', error);
+    res.status(500).json({ error: 'Failed to fetch email branding' });
+  }
+}
+
+/**
+ * Set a company's email branding. Only the fields given are changed.
+ * @route PUT /api/companies/:companyId/email-branding
+ */
+export async function saveEmailBranding(req, res) {
+  const { companyId } = req.params;
+  const changes = req.body || {};
+
+  const unknown = Object.keys(changes).filter((field) => !brandingChecks[field]);
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: `Unknown branding fields: ${unknown.join(', ')}. Allowed: ${Object.keys(brandingChecks).join(', ')}`
+    });
+  }
+  const invalid = Object.entries(changes).filter(([field, value]) => !brandingChecks[field](value)).map(([field]) => field);
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: `Invalid branding values for: ${invalid.join(', ')}` });
+  }
+
+  try {
+    if (!belongsToCompany(req, companyId)) {
+      return res.status(403).json({ error: 'You do not have access to this company' });
+    }
+
+    const branding = { ...await fetchEmailBranding(companyId), ...changes };
+    const { error } = await supabase
+      .from('email_branding')
+      .upsert({ company_id: companyId, settings: branding, updated_at: new Date().toISOString() }, { onConflict: 'company_id' });
+
+    if (error) throw error;
+
+    logger.info('Email branding saved:', { companyId });
+    res.json(branding);
+  } catch (error) {
+    logger.error('Error saving email branding:', error);
+    res.status(500).json({ error: 'Failed to save email branding' });
+  }
+}
+
+// "delays=0,2,2,5" overrides the company's default delays between drips
+const parseDelays = (value, dripCount, defaults) => {
+  if (value === undefined) {
+    // Campaigns longer than the defaults repeat the last delay
+    return Array.from({ length: dripCount }, (_, i) => defaults[Math.min(i, defaults.length - 1)] ?? 0);
+  }
+  const delays = String(value).split(',').map((days) => Number(days.trim()));
+  if (delays.length !== dripCount || !delays.every((days) => Number.isInteger(days) && days >= 0)) {
+    return null;
+  }
+  return delays;
+};
+
+// Load a post's campaign and render every drip with its company's branding.
+// Resolves with `{ status, error }` when the campaign can't be rendered.
+async function renderCampaign(req) {
+  const { id } = req.params;
+  const post = await fetchBlogPost(id, req.companyIds);
+  if (!post) {
+    return { status: 404, error: `Post with ID ${id} not found` };
+  }
+
+  const drips = post.email_drip_campaigns?.drips;
+  if (!drips?.length) {
+    return { status: 409, error: 'Post has no email campaign yet; generate one first' };
+  }
+
+  const branding = await fetchEmailBranding(post.company_id);
+  const delays = parseDelays(req.query.delays, drips.length, branding.drip_delays);
+  if (!delays) {
+    return { status: 400, error: `"delays" must be ${drips.length} comma-separated whole numbers of days` };
+  }
+
+  let sendDay = 0;
+  const emails = drips.map((drip, index) => {
+    sendDay += delays[index];
+    return { ...renderDripEmail(drip, branding, { locale: post.locale }), delayDays: delays[index], sendDay };
+  });
+
+  const name = post.metadata?.title || post.structure?.title || post.title_concept || `Post ${id}`;
+  return { campaign: { name, emails, branding } };
+}
+
+/**
+ * Render a post's email drips as HTML emails with plain-text alternatives,
+ * using its company's branding. Merge tags are left in place unless
+ * `first_name` or `unsubscribe_url` are given to preview them.
+ * Query: delays?, first_name?, unsubscribe_url?
+ * @route GET /api/posts/:id/email-campaign/render
+ */
+export async function renderEmailCampaign(req, res) {
+  try {
+    const { campaign, status, error } = await renderCampaign(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const values = Object.fromEntries(['first_name', 'unsubscribe_url']
+      .filter((tag) => req.query[tag] !== undefined)
+      .map((tag) => [tag, String(req.query[tag])]));
+    const preview = (text, escape) => fillMergeTags(text, escape
+      ? Object.fromEntries(Object.entries(values).map(([tag, value]) => [tag, escapeHtml(value)]))
+      : values);
+
+    res.json({
+      name: campaign.name,
+      emails: campaign.emails.map(({ subject, preheader, html, text, delayDays, sendDay }) => ({
+        subject: preview(subject),
+        preheader: preview(preheader),
+        html: preview(html, true),
+        text: preview(text),
+        delay_days: delayDays,
+        send_day: sendDay
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error rendering email campaign for post ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to render email campaign' });
+  }
+}
+
+/**
+ * Export a post's email campaign for Mailchimp, SendGrid or HubSpot, with
+ * merge tags in that platform's syntax.
+ * Query: format, delays?
+ * @route GET /api/posts/:id/email-campaign/export
+ */
+export async function exportEmailCampaign(req, res) {
+  const { format } = req.query;
+  const exporter = emailExporters[format];
+  if (!exporter) {
+    return res.status(400).json({ error: `Please provide "format" as one of: ${EMAIL_EXPORT_FORMATS.join(', ')}` });
+  }
+
+  try {
+    const { campaign, status, error } = await renderCampaign(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const tags = exporter.mergeTags(campaign.branding.first_name_fallback);
+    res.json({ format, ...exporter.export(campaign, tags) });
+  } catch (error) {
+    logger.error(`Error exporting email campaign for post ${req.params.id} to ${exporter.name}:`, error);
+    res.status(500).json({ error: `Failed to export email campaign for ${exporter.name}` });
+  }
+}
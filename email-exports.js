@@ -0,0 +1,108 @@
+/**
+ * Exports a rendered drip campaign in the shape each ESP can import, with the
+ * canonical merge tags ({{first_name}}, {{unsubscribe_url}}) translated into
+ * the platform's own syntax.
+ *
+ * Every exporter receives `{ name, emails, branding }`, where each email is
+ * a rendered drip (see renderDripEmail) plus `delayDays`, the days to wait
+ * after the previous drip (after enrollment for the first), and `sendDay`,
+ * the running total; and the merge tags from its own `mergeTags(fallback)`,
+ * where `fallback` stands in for a missing first name.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const translate = (text, tags) => text
+  .replace(/\{\{first_name\}\}/g, tags.firstName)
+  .replace(/\{\{unsubscribe_url\}\}/g, tags.unsubscribeUrl);
+
+export const emailExporters = {
+  // Classic automation workflow emails; delays are relative to the previous email
+  mailchimp: {
+    name: 'Mailchimp',
+    mergeTags: (fallback) => ({
+      firstName: `*|IF:FNAME|**|FNAME|**|ELSE:|*${fallback}*|END:IF|*`,
+      unsubscribeUrl: '*|UNSUB|*'
+    }),
+
+    export({ name, emails, branding }, tags) {
+      return {
+        workflow: { settings: { title: name, from_name: branding.from_name, reply_to: branding.reply_to } },
+        emails: emails.map((email, index) => ({
+          position: index + 1,
+          delay: { amount: email.delayDays, type: 'day', direction: 'after', action: index === 0 ? 'signup' : 'previous_campaign_sent' },
+          settings: {
+            title: `${name} - Email ${index + 1}`,
+            subject_line: translate(email.subject, tags),
+            preview_text: email.preheader,
+            from_name: branding.from_name,
+            reply_to: branding.reply_to
+          },
+          content: { html: translate(email.html, tags), plain_text: translate(email.text, tags) }
+        }))
+      };
+    }
+  },
+
+  // Dynamic templates (one per drip) plus the automation steps that send them
+  sendgrid: {
+    name: 'SendGrid',
+    mergeTags: (fallback) => ({
+      firstName: `{{#if first_name}}{{first_name}}{{else}}${fallback}{{/if}}`,
+      unsubscribeUrl: '{{{unsubscribe}}}'
+    }),
+
+    export({ name, emails, branding }, tags) {
+      return {
+        templates: emails.map((email, index) => ({
+          name: `${name} - Email ${index + 1}`,
+          generation: 'dynamic',
+          version: {
+            name: `${name} - Email ${index + 1}`,
+            subject: translate(email.subject, tags),
+            html_content: translate(email.html, tags),
+            plain_content: translate(email.text, tags),
+            editor: 'code',
+            active: 1
+          }
+        })),
+        automation: {
+          name,
+          sender: { from_name: branding.from_name, reply_to: branding.reply_to },
+          steps: emails.map((email, index) => ({ email: index + 1, delay_days: email.delayDays, send_day: email.sendDay }))
+        }
+      };
+    }
+  },
+
+  // Sequence steps; HubSpot sequence emails take the body only, not a full document
+  hubspot: {
+    name: 'HubSpot',
+    mergeTags: (fallback) => ({
+      firstName: `{{ contact.firstname|default('${fallback.replace(/'/g, "\\'")}') }}`,
+      unsubscribeUrl: '{{ unsubscribe_link }}'
+    }),
+
+    export({ name, emails }, tags) {
+      return {
+        sequence: {
+          name,
+          steps: emails.map((email, index) => ({
+            stepOrder: index,
+            actionType: 'AUTOMATED_EMAIL',
+            delayDays: email.delayDays,
+            delayMillis: email.delayDays * DAY_MS,
+            template: {
+              name: `${name} - Email ${index + 1}`,
+              subject: translate(email.subject, tags),
+              body: translate(email.bodyHtml, tags),
+              plainText: translate(email.text, tags)
+            }
+          }))
+        }
+      };
+    }
+  }
+};
+
+export const EMAIL_EXPORT_FORMATS = Object.keys(emailExporters);
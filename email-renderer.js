@@ -0,0 +1,171 @@
+import { renderMarkdown, escapeHtml } from './markdown.js';
+import { DEFAULT_LOCALE, isEnglish } from './locales.js';
+
+/**
+ * Renders email drips as branded, responsive HTML emails with a plain-text
+ * alternative. Output keeps merge tags in one canonical form, which the ESP
+ * exporters translate into each platform's own syntax:
+ * - {{first_name}} - the recipient's first name
+ * - {{unsubscribe_url}} - the recipient's unsubscribe link
+ */
+
+export const MERGE_TAGS = ['first_name', 'unsubscribe_url'];
+
+export const DEFAULT_EMAIL_BRANDING = {
+  brand_name: '',
+  logo_url: null,
+  website_url: null,
+  primary_color: '#2563eb',
+  background_color: '#f4f4f5',
+  text_color: '#1f2937',
+  font_family: 'Helvetica, Arial, sans-serif',
+  footer_text: '',
+  from_name: '',
+  reply_to: null,
+  first_name_fallback: 'there',
+  // Days to wait before each drip: after enrollment for the first, then after the previous one
+  drip_delays: [0, 3, 4, 7]
+};
+
+// Preheaders show next to the subject in most inboxes; longer ones are cut off
+const PREHEADER_LENGTH = 90;
+
+// Models write "[First Name]"-style placeholders however they like
+const NAME_PLACEHOLDER = /\[\s*(?:first[ _-]?name|name|recipient(?:'s)? name)\s*\]|\{\{\s*first_name\s*\}\}/gi;
+const GREETING = /^(hi|hello|hey|dear|greetings)\b[^\n,!]{0,30}([,!])/i;
+
+/**
+ * Put the {{first_name}} merge tag into a drip: placeholders the model wrote
+ * become the tag, and an opening greeting is addressed to the recipient
+ * ("Hi there," becomes "Hi {{first_name}},"). A drip without a greeting gets
+ * one, unless `greet` is false (drips in languages other than English).
+ */
+export function personalize(content, { greet = true } = {}) {
+  const text = String(content ?? '').replace(/\r\n?/g, '\n').trim().replace(NAME_PLACEHOLDER, '{{first_name}}');
+  if (GREETING.test(text)) {
+    return text.replace(GREETING, (match, salutation, punctuation) => `${salutation} {{first_name}}${punctuation}`);
+  }
+  return greet ? `Hi {{first_name}},\n\n${text}` : text;
+}
+
+// Plain text keeps link targets visible, since they can't be clicked
+const markdownToPlainText = (markdown) => markdown
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, '$1 ($2)')
+  .replace(/^#{1,6}[ \t]+/gm, '')
+  .replace(/(\*\*|__)(.+?)\1/g, '$2')
+  .replace(/(^|[^*\w])[*_](?=\S)(.+?)[*_](?!\w)/g, '$1$2')
+  .replace(/`([^`]+)`/g, '$1');
+
+const preheaderOf = (content) => {
+  const body = content.replace(GREETING, '').replace(/\s*\{\{first_name\}\}/g, '');
+  const text = markdownToPlainText(body).replace(/\s+/g, ' ').trim();
+  if (text.length <= PREHEADER_LENGTH) return text;
+  const cut = text.slice(0, PREHEADER_LENGTH - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+};
+
+// Drips are mostly plain text, where a single newline is a line break (sign-offs,
+// addresses); in Markdown it needs a trailing backslash. List items keep theirs.
+const hardLineBreaks = (markdown) => markdown.replace(/([^\n\\])\n(?![\n\s]|[-*+][ \t]|\d{1,9}[.)][ \t]|#)/g, '$1\\\n');
+
+// Email clients ignore most <style> rules, so body elements get inline styles
+const inlineStyles = (html, branding) => {
+  const styles = {
+    p: 'margin:0 0 16px;',
+    h1: 'margin:0 0 16px;font-size:24px;line-height:1.3;',
+    h2: 'margin:24px 0 12px;font-size:20px;line-height:1.3;',
+    h3: 'margin:20px 0 8px;font-size:18px;line-height:1.3;',
+    ul: 'margin:0 0 16px;padding-left:24px;',
+    ol: 'margin:0 0 16px;padding-left:24px;',
+    li: 'margin:0 0 4px;',
+    blockquote: `margin:0 0 16px;padding:0 0 0 16px;border-left:3px solid ${branding.primary_color};`,
+    a: `color:${branding.primary_color};text-decoration:underline;`,
+    img: 'max-width:100%;height:auto;'
+  };
+  return html.replace(/<(p|h[1-3]|ul|ol|li|blockquote|a|img)(?=[\s>])/g, (match, tag) => `<${tag} style="${styles[tag]}"`);
+};
+
+const header = (branding) => {
+  if (branding.logo_url) {
+    const logo = `<img src="${escapeHtml(branding.logo_url)}" alt="${escapeHtml(branding.brand_name)}" height="40" style="display:block;height:40px;width:auto;border:0;">`;
+    return branding.website_url ? `<a href="${escapeHtml(branding.website_url)}">${logo}</a>` : logo;
+  }
+  if (!branding.brand_name) return '';
+  return `<span style="font-size:20px;font-weight:bold;color:${branding.primary_color};">${escapeHtml(branding.brand_name)}</span>`;
+};
+
+const footer = (branding) => [
+  branding.footer_text && escapeHtml(branding.footer_text).replace(/\n/g, '<br>'),
+  [
+    branding.website_url && `<a href="${escapeHtml(branding.website_url)}" style="color:#6b7280;">${escapeHtml(branding.brand_name || branding.website_url)}</a>`,
+    '<a href="{{unsubscribe_url}}" style="color:#6b7280;">Unsubscribe</a>'
+  ].filter(Boolean).join(' &middot; ')
+].filter(Boolean).join('<br><br>');
+
+/**
+ * Render one drip as a sendable email.
+ *
+ * @param {{ subject: string, content: string }} drip - content is plain text or light Markdown
+ * @param {object} [branding] - a company's email branding, merged over DEFAULT_EMAIL_BRANDING
+ * @param {object} [options]
+ * @param {string} [options.locale] - the drip's language, e.g. the post's locale
+ * @returns {{ subject: string, preheader: string, html: string, text: string, bodyHtml: string }}
+ *   `bodyHtml` is the message alone, for ESPs that supply their own layout
+ */
+export function renderDripEmail({ subject, content }, branding = {}, { locale } = {}) {
+  const brand = { ...DEFAULT_EMAIL_BRANDING, ...branding };
+  const lang = locale || DEFAULT_LOCALE;
+  const body = personalize(content, { greet: isEnglish(lang) });
+  const preheader = preheaderOf(body);
+  // Quoted family names ("Helvetica Neue") would end the style attribute
+  const font = escapeHtml(brand.font_family);
+  const bodyHtml = inlineStyles(renderMarkdown(hardLineBreaks(body), { minHeadingLevel: 2 }), brand);
+
+  const html = [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(lang)}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    '<meta name="x-apple-disable-message-reformatting">',
+    `<title>${escapeHtml(subject)}</title>`,
+    '<style>',
+    'body { margin: 0; padding: 0; -webkit-text-size-adjust: 100%; }',
+    '@media only screen and (max-width: 620px) {',
+    '  .email-container { width: 100% !important; }',
+    '  .email-padding { padding-left: 16px !important; padding-right: 16px !important; }',
+    '}',
+    '</style>',
+    '</head>',
+    `<body style="margin:0;padding:0;background-color:${brand.background_color};">`,
+    `<div style="display:none;max-height:0;overflow:hidden;mso-hide:all;">${escapeHtml(preheader)}</div>`,
+    `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:${brand.background_color};">`,
+    '<tr><td align="center" style="padding:24px 0;">',
+    '<table role="presentation" class="email-container" width="600" cellpadding="0" cellspacing="0" border="0" style="width:600px;max-width:600px;background-color:#ffffff;">',
+    `<tr><td class="email-padding" style="padding:${brand.logo_url || brand.brand_name ? '24px 32px' : '0'};border-top:4px solid ${brand.primary_color};font-family:${font};">${header(brand)}</td></tr>`,
+    `<tr><td class="email-padding" style="padding:8px 32px 32px;font-family:${font};font-size:16px;line-height:1.6;color:${brand.text_color};">`,
+    bodyHtml,
+    '</td></tr>',
+    `<tr><td class="email-padding" style="padding:24px 32px;border-top:1px solid #e5e7eb;font-family:${font};font-size:12px;line-height:1.5;color:#6b7280;">${footer(brand)}</td></tr>`,
+    '</table>',
+    '</td></tr>',
+    '</table>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+
+  const signature = [brand.footer_text, brand.website_url, 'Unsubscribe: {{unsubscribe_url}}'].filter(Boolean).join('\n');
+  const text = `${markdownToPlainText(body)}\n\n--\n${signature}\n`;
+
+  return { subject, preheader, html, text, bodyHtml };
+}
+
+/**
+ * Replace the canonical merge tags, e.g. to preview an email for a sample
+ * recipient. Tags without a value are left as they are.
+ */
+export function fillMergeTags(text, values) {
+  return text.replace(/\{\{(\w+)\}\}/g, (match, tag) => (values[tag] !== undefined ? values[tag] : match));
+}
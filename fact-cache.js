@@ -0,0 +1,203 @@
+import { createClient } from '@supabase/supabase-js';
+import { logger } from './logger.js';
+import { researchFacts } from './generation.js';
+import { DEFAULT_LOCALE } from './locales.js';
+import { normalizeFact } from './citations.js';
+
+/**
+ * Cache of researched facts, so the same question asked for post after post
+ * is only paid for once. Entries are keyed by the normalized question, expire
+ * after FACT_CACHE_TTL_DAYS, and record where the answer came from. With
+ * FACT_CACHE_SIMILARITY set (0-1), a question can also be answered by a cached
+ * one whose words overlap at least that much ("What % of SMBs use CRM
+ * software?" and "What percentage of SMBs use CRM software"). Answers are
+ * cached per locale, since they are written in its language and currency,
+ * together with the source records they cite.
+ *
+ * Each request picks a cache mode:
+ * - `use` (default): answer from the cache, research and store the misses
+ * - `refresh`: research every question and overwrite the cached answers
+ * - `bypass`: research every question and leave the cache alone
+ */
+
+const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const TTL_DAYS = Number(process.env.FACT_CACHE_TTL_DAYS || 30);
+const SIMILARITY = Number(process.env.FACT_CACHE_SIMILARITY || 0);
+// Near-duplicate candidates fetched per question before scoring
+const CANDIDATES = 25;
+
+export const FACT_CACHE_MODES = ['use', 'refresh', 'bypass'];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'in', 'on', 'for', 'to', 'and', 'or', 'by', 'with', 'at', 'from', 'as',
+  'is', 'are', 'was', 'were', 'be', 'do', 'does', 'did', 'what', 'which', 'who', 'how', 'that', 'this',
+  'it', 'its', 'their', 'there', 'currently', 'today'
+]);
+
+const SYNONYMS = { '%': 'percent', percentage: 'percent', pct: 'percent', smbs: 'smb', businesses: 'business', companies: 'company' };
+
+/**
+ * The cache key for a question: case, punctuation and spacing don't matter.
+ */
+export const normalizeQuestion = (question) => String(question)
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/[‘’]/g, "'")
+  .replace(/%/g, ' % ')
+  .replace(/[^\p{L}\p{N}%$.'\s]|\.(?!\d)|'(?!\w)/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const questionTokens = (question) => [...new Set(normalizeQuestion(question)
+  .split(' ')
+  .map((word) => SYNONYMS[word] || word.replace(/'s$/, ''))
+  .filter((word) => word && !STOP_WORDS.has(word)))].sort();
+
+// Jaccard similarity of two token sets
+const similarity = (a, b) => {
+  const other = new Set(b);
+  const shared = a.filter((token) => other.has(token)).length;
+  return shared / (a.length + b.length - shared || 1);
+};
+
+// What the answer cites: its source records, plus links and "According to X" attributions in the text
+const referencesIn = ({ answer, citations }) => [...new Set([
+  ...citations.map((citation) => citation.url || citation.publisher),
+  ...(answer.match(/https?:\/\/[^\s)"'<>\]]+/g) || []).map((url) => url.replace(/[.,;:]+$/, '')),
+  ...[...answer.matchAll(/\baccording to (?:the )?([A-Z][\w&.'-]*(?:\s+(?:of\s+)?[A-Z][\w&.'-]*){0,5})/g)].map((match) => match[1].replace(/\.$/, ''))
+])];
+
+async function findExact(questions, locale) {
+  const { data, error } = await supabase
+    .from('fact_cache')
+    .select('*')
+    .eq('locale', locale)
+    .in('question_key', [...new Set(questions.map(normalizeQuestion))])
+    .gt('expires_at', new Date().toISOString());
+
+  if (error) throw error;
+  return new Map(data.map((row) => [row.question_key, row]));
+}
+
+async function findSimilar(question, locale) {
+  const tokens = questionTokens(question);
+  if (tokens.length === 0) return null;
+
+  const { data, error } = await supabase
+    .from('fact_cache')
+    .select('*')
+    .eq('locale', locale)
+    .overlaps('tokens', tokens)
+    .gt('expires_at', new Date().toISOString())
+    .limit(CANDIDATES);
+
+  if (error) throw error;
+  return data
+    .map((row) => ({ row, score: similarity(tokens, row.tokens || []) }))
+    .filter(({ score }) => score >= SIMILARITY)
+    .sort((a, b) => b.score - a.score)[0] || null;
+}
+
+// Look up every question, exact match first. Lookup failures count as misses:
+// the cache saves money but must never stop research.
+async function lookup(questions, locale) {
+  const hits = new Map();
+  try {
+    const exact = await findExact(questions, locale);
+    for (const question of questions) {
+      const row = exact.get(normalizeQuestion(question));
+      if (row) hits.set(question, { row, score: 1 });
+    }
+
+    if (SIMILARITY > 0) {
+      const rest = questions.filter((question) => !hits.has(question));
+      const similar = await Promise.all(rest.map((question) => findSimilar(question, locale)));
+      rest.forEach((question, index) => similar[index] && hits.set(question, similar[index]));
+    }
+  } catch (error) {
+    logger.error('Error reading the fact cache, researching every question:', error);
+  }
+  return hits;
+}
+
+async function store(answers, source, locale) {
+  const expiresAt = new Date(Date.now() + TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const rows = Object.entries(answers).map(([question, fact]) => ({
+    locale,
+    question_key: normalizeQuestion(question),
+    question,
+    tokens: questionTokens(question),
+    answer: fact.answer,
+    citations: fact.citations,
+    source: { ...source, references: referencesIn(fact) },
+    created_at: source.researched_at,
+    expires_at: expiresAt
+  }));
+
+  const { error } = await supabase.from('fact_cache').upsert(rows, { onConflict: 'locale,question_key' });
+  if (error) {
+    logger.error('Error storing facts in the cache:', { count: rows.length, error: error.message });
+  }
+}
+
+const cachedSource = ({ row, score }) => ({
+  cached: true,
+  ...(score < 1 && { matched_question: row.question, similarity: Number(score.toFixed(2)) }),
+  ...row.source,
+  researched_at: row.created_at,
+  expires_at: row.expires_at
+});
+
+/**
+ * Answer research questions, from the cache where possible; only the misses
+ * go to the facts stage.
+ *
+ * @param {{ questions: string[], locale?: string }} input
+ * @param {object} [options] - generation options ({ context, onPrompt }), plus:
+ * @param {string} [options.cache] - `use`, `refresh` or `bypass` (see above)
+ * @returns {Promise<{ facts: object, sources: object, hits: number, misses: number }>}
+ *   `facts` maps each question to its answer and citations, like researchFacts; `sources`
+ *   says for each question whether it was cached and where the answer came from
+ */
+export async function researchFactsCached({ questions, locale = DEFAULT_LOCALE }, { cache = 'use', ...options } = {}) {
+  const hits = cache === 'use' ? await lookup(questions, locale) : new Map();
+
+  // Questions that only differ in spelling are researched once
+  const misses = [...new Map(questions
+    .filter((question) => !hits.has(question))
+    .map((question) => [normalizeQuestion(question), question])).values()];
+  logger.info('Fact cache lookup', { cache, locale, hits: hits.size, misses: misses.length });
+
+  let researched = {};
+  let source;
+  if (misses.length > 0) {
+    let producedBy = {};
+    researched = await researchFacts({ questions: misses, locale }, {
+      ...options,
+      onModel: (model) => { producedBy = model; }
+    });
+    // Cached answers are shared between companies, so sources say nothing about who asked
+    source = { ...producedBy, researched_at: new Date().toISOString() };
+    if (cache !== 'bypass') {
+      await store(Object.fromEntries(misses.map((question) => [question, researched[question]])), source, locale);
+    }
+  }
+
+  const answeredBy = new Map(misses.map((question) => [normalizeQuestion(question), question]));
+  const facts = {};
+  const sources = {};
+  for (const question of questions) {
+    const hit = hits.get(question);
+    if (hit) {
+      facts[question] = normalizeFact({ answer: hit.row.answer, citations: hit.row.citations });
+      sources[question] = cachedSource(hit);
+    } else {
+      const fact = researched[answeredBy.get(normalizeQuestion(question))];
+      facts[question] = fact;
+      sources[question] = { cached: false, ...source, references: referencesIn(fact) };
+    }
+  }
+
+  return { facts, sources, hits: hits.size, misses: misses.length };
+}
@@ -0,0 +1,133 @@
+/**
+ * Deterministic offline provider, enabled with LLM_PROVIDER=fake or by setting
+ * a stage's provider to "fake". It ignores the prompt text and builds a
+ * well-formed response for the stage from the request's `variables`, so the
+ * whole API (pipeline included) can run without network access or API keys.
+ */
+
+const SECTION_COUNT = 5;
+
+const fakeResponses = {
+  structure: ({ titleConcept = 'Untitled topic', company = {} }) => {
+    const sections = Array.from({ length: SECTION_COUNT }, (_, i) => `Section ${i + 1}: ${titleConcept}`);
+    return JSON.stringify({
+      title: titleConcept,
+      hook: `Every ${company.industry || 'business'} team runs into ${titleConcept} sooner or later.`,
+      sections,
+      research_questions: Object.fromEntries(sections.map((section, i) => [
+        section,
+        [`What is fact ${i + 1}a about ${titleConcept}?`, `What is fact ${i + 1}b about ${titleConcept}?`]
+      ])),
+      keywords: [titleConcept.toLowerCase(), (company.industry || 'industry').toLowerCase()]
+    });
+  },
+
+  facts: ({ questions = [] }) => JSON.stringify(Object.fromEntries(
+    questions.map((question, i) => [question, {
+      answer: `Fake answer ${i + 1} for: ${question}`,
+      citations: [{
+        publisher: 'Fake Research',
+        url: `https://example.com/research/${i + 1}`,
+        date: '2024',
+        quote: `Fake answer ${i + 1}`
+      }]
+    }])
+  )),
+
+  // Cites the first source when the facts have one
+  article: ({ structure = {}, company = {}, facts = {} }) => {
+    const cited = Object.values(facts).some((fact) => fact?.citations?.length > 0);
+    return [
+      `# ${structure.title || 'Untitled'}`,
+      '',
+      structure.hook || '',
+      '',
+      ...(structure.sections || []).flatMap((section) => [
+        `## ${section}`,
+        '',
+        `This is the first paragraph for ${section}. It has a few sentences${cited ? ' [1]' : ''}. They are deterministic.`,
+        '',
+        `This is the second paragraph for ${section}. It also has a few sentences. They never change.`,
+        ''
+      ]),
+      company.tagline || ''
+    ].join('\n').trim();
+  },
+
+  verify: ({ claims = [] }) => JSON.stringify({
+    flagged_inaccuracies: [],
+    citation_checks: claims.map(({ number, claim }) => ({
+      number,
+      claim,
+      status: 'supported',
+      explanation: 'Fake provider: every citation checks out.',
+      corrected_text: null
+    }))
+  }),
+
+  polish: ({ content = '' }) => {
+    const title = content.match(/^#\s+(.+)$/m)?.[1] || 'Untitled';
+    const body = content.replace(/^#\s+.+\n+/, '');
+    return [
+      '<analysis>',
+      'No changes: fake provider.',
+      '- Kept the draft as it was',
+      '</analysis>',
+      '',
+      '<polished_blog_post>',
+      `  <title>${title}</title>`,
+      '  <body>',
+      body,
+      '  </body>',
+      '</polished_blog_post>'
+    ].join('\n');
+  },
+
+  html: ({ metadata = {} }) => `A fake meta description for ${metadata.title || 'this article'}.`,
+
+  social: () => JSON.stringify({
+    Instagram: { content: 'Fake Instagram post', hashtags: ['fake', 'instagram'] },
+    Facebook: { content: 'Fake Facebook post', link: 'https://example.com' },
+    X: { content: 'Fake X post', hashtags: ['fake', 'x'] },
+    LinkedIn: { content: 'Fake LinkedIn post', link: 'https://example.com' }
+  }),
+
+  email: () => JSON.stringify({
+    drips: [1, 2, 3, 4].map((n) => ({ subject: `Fake email ${n} subject`, content: `Fake email ${n} content` }))
+  }),
+
+  translate: ({ title = 'Untitled', keywords = [], content = '', locale = 'und' }) => JSON.stringify({
+    title: `[${locale}] ${title}`,
+    keywords: keywords.length > 0 ? keywords.map((keyword) => `${keyword} ${locale}`) : [locale],
+    content
+  })
+};
+
+// Rough token estimate so usage accounting has something to record
+const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+export const fakeProvider = {
+  isConfigured: () => true,
+
+  async complete(config, { stage, system, prompt, variables = {}, onToken }) {
+    const respond = fakeResponses[stage];
+    if (!respond) {
+      throw new Error(`Fake provider has no response for stage: ${stage}`);
+    }
+
+    const text = respond(variables);
+    if (onToken) {
+      for (const token of text.match(/\S+\s*/g) || []) {
+        onToken(token);
+      }
+    }
+
+    return {
+      text,
+      usage: {
+        inputTokens: estimateTokens(`${system || ''}${prompt}`),
+        outputTokens: estimateTokens(text)
+      }
+    };
+  }
+};
@@ -0,0 +1,442 @@
+import { logger } from './logger.js';
+import { generate } from './providers.js';
+import { schemas, validate, parseModelJson } from './schemas.js';
+import { renderPrompt } from './prompts.js';
+import { renderArticleHtml } from './html-renderer.js';
+import { DEFAULT_LOCALE, describeLocale, localeInstructions } from './locales.js';
+import { loadBrandVoice, voiceInstructions, lintVoice } from './brand-voice.js';
+import {
+  normalizeFacts,
+  numberReferences,
+  factsForPrompt,
+  referencesForPrompt,
+  citedClaims,
+  claimsForPrompt,
+  linkCitations
+} from './citations.js';
+import { correctionsForPolish } from './corrections.js';
+import { parsePolished, polishProblems } from './polish-output.js';
+
+// Build an error for model output that failed validation even after a repair
+// attempt. Routes return `validationErrors` to the caller; `output` keeps
+// the raw text for the logs, where it is redacted unless LOG_REDACT_CONTENT=false.
+const invalidOutput = (message, validationErrors, text) => {
+  const error = new Error(message);
+  error.validationErrors = validationErrors;
+  error.output = text;
+  return error;
+};
+
+const checkJson = (text, schema) => {
+  try {
+    const value = parseModelJson(text);
+    return { value, errors: validate(schema, value) };
+  } catch (parseError) {
+    return { errors: [`Response is not valid JSON: ${parseError.message}`] };
+  }
+};
+
+const JSON_REPAIR = 'Return the corrected JSON only, fixing every problem above. No markdown, no code fences, no extra text.';
+
+const repairPrompt = (prompt, text, errors, instruction = JSON_REPAIR) => `${prompt}
+
+### Correction Required
+Your previous response could not be used:
+<previous_response>
+${text}
+</previous_response>
+
+Problems found:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+${instruction}`;
+
+// Render a stage's prompt template for the caller's company and report its
+// version, which callers store alongside the artifact it produces. The brand
+// voice (for the stages that use one) and the locale's instructions are
+// appended, so company overrides follow them too.
+async function preparePrompt(name, variables, { context, onPrompt, locale, voice }) {
+  const { text, version } = await renderPrompt(name, variables, { companyId: context?.companyId });
+  onPrompt?.({ name, version });
+  return {
+    text: [text, voice && voiceInstructions(voice), localeInstructions(locale)].filter(Boolean).join('\n\n'),
+    version
+  };
+}
+
+// Tell the caller which of the voice's banned words and phrases to avoid the output uses
+const reportLint = (stage, output, voice, onLint) => {
+  const lint = lintVoice(output, voice);
+  if (lint.length > 0) {
+    logger.info(`${stage} output goes against the brand voice`, { phrases: lint.map((finding) => finding.phrase) });
+  }
+  onLint?.(lint);
+};
+
+/**
+ * Run a JSON-producing stage: parse and validate the output against `schema`,
+ * and if it doesn't pass, make one repair round-trip that shows the model its
+ * previous answer and the problems found. `onModel` is told which provider
+ * and model produced the answer.
+ */
+async function generateJson(stage, request, { schema, errorMessage, onModel }) {
+  const { text, provider, model } = await generate(stage, request);
+  logger.debug(`Raw ${stage} response`, { text });
+
+  const first = checkJson(text, schema);
+  if (first.errors.length === 0) {
+    onModel?.({ provider, model });
+    return first.value;
+  }
+
+  logger.error(`Invalid ${stage} response, requesting a repair:`, first.errors);
+  const repaired = await generate(stage, {
+    ...request,
+    prompt: repairPrompt(request.prompt, text, first.errors)
+  });
+  const repairedText = repaired.text;
+  logger.debug(`Repaired ${stage} response`, { text: repairedText });
+
+  const second = checkJson(repairedText, schema);
+  if (second.errors.length === 0) {
+    onModel?.({ provider: repaired.provider, model: repaired.model });
+    return second.value;
+  }
+
+  logger.error(`Repaired ${stage} response is still invalid:`, second.errors);
+  throw invalidOutput(errorMessage, second.errors, repairedText);
+}
+
+/**
+ * Generate a blog post structure (structure stage, Gemini by default)
+ */
+export async function generateStructure({ titleConcept, company, locale }, { context, onPrompt } = {}) {
+  const { text: prompt, version } = await preparePrompt('structure', { titleConcept, company }, { context, onPrompt, locale });
+
+  logger.debug('Generated prompt', { prompt });
+
+  const timestamp = new Date().toISOString();
+  const promptWithTimestamp = `${prompt}\n\nTimestamp: ${timestamp}`;
+
+  const structureData = await generateJson('structure', {
+    prompt: promptWithTimestamp,
+    variables: { titleConcept, company, locale },
+    promptVersion: version,
+    context
+  }, {
+    schema: schemas.structure,
+    errorMessage: 'Failed to generate valid blog structure'
+  });
+
+  logger.info('Structure generated successfully', { sections: structureData.sections.length });
+  return structureData;
+}
+
+/**
+ * Research factual answers (facts stage, Gemini with the "google_search" tool by default).
+ * Each question maps to `{ answer, citations: [{ publisher, url, date, quote }] }`.
+ */
+export async function researchFacts({ questions, locale = DEFAULT_LOCALE }, { context, onPrompt, onModel } = {}) {
+  logger.info('Processing questions', { count: questions.length, locale });
+  const { text: prompt, version } = await preparePrompt('facts', {
+    questions: questions.join('\n'),
+    currency: describeLocale(locale).currency || 'USD'
+  }, { context, onPrompt, locale });
+
+  // Add timestamp to prevent caching
+  const timestamp = new Date().toISOString();
+  const promptWithTimestamp = `${prompt}\n\nTimestamp: ${timestamp}`;
+  logger.debug('Using prompt', { prompt: promptWithTimestamp });
+
+  const factsData = await generateJson('facts', {
+    prompt: promptWithTimestamp,
+    variables: { questions, locale },
+    promptVersion: version,
+    context
+  }, {
+    schema: {
+      ...schemas.facts,
+      rules: (answers) => questions
+        .filter((question) => !(question in answers))
+        .map((question) => `No answer keyed by the question "${question}"`)
+    },
+    errorMessage: 'Failed to parse facts response',
+    onModel
+  });
+
+  logger.info('Successfully parsed JSON response');
+  return normalizeFacts(factsData);
+}
+
+/**
+ * Generate a comprehensive blog post draft (article stage, gpt-4o by default)
+ * Pass `onToken` to stream the completion; `signal` aborts it mid-flight.
+ * `tone` and `style` default to the company's brand voice; `onLint` gets the
+ * voice's banned words and phrases to avoid found in the draft.
+ * The draft cites the facts' sources with numbered markers such as "[2]";
+ * with `citationStyle: 'links'` they are replaced by inline links once the
+ * draft is complete (streamed tokens still carry the markers).
+ */
+export async function generateArticle({ structure, facts, tone, style, company, locale, citationStyle = 'footnotes' }, { onToken, onPrompt, onLint, signal, context } = {}) {
+  const voice = await loadBrandVoice(context?.companyId);
+  tone = tone || voice.tone;
+  style = style || voice.style;
+  const references = numberReferences(facts);
+  const { text: prompt, version } = await preparePrompt('article', {
+    structure,
+    facts: factsForPrompt(facts, references),
+    sources: referencesForPrompt(references),
+    tone,
+    style,
+    company
+  }, { context, onPrompt, locale, voice });
+
+  // Add timestamp to prevent caching
+  const timestamp = new Date().toISOString();
+  const promptWithTimestamp = `${prompt}\n\nTimestamp: ${timestamp}`;
+
+  const { text } = await generate('article', {
+    prompt: promptWithTimestamp,
+    variables: { structure, facts, tone, style, company, locale },
+    promptVersion: version,
+    context,
+    onToken,
+    signal
+  });
+
+  reportLint('article', text, voice, onLint);
+  return citationStyle === 'links' ? linkCitations(text, references) : text;
+}
+
+/**
+ * Verify the final draft for factual correctness (verify stage, Gemini by default).
+ * With the researched `facts`, every claim the draft cites is also checked
+ * against its source record; `citation_checks` reports each one, with markers
+ * that point at no recorded source reported as unsupported without asking the model.
+ */
+export async function verifyDraft({ draft, facts, locale }, { context, onPrompt } = {}) {
+  const references = numberReferences(facts);
+  const claims = citedClaims(draft, references);
+  const checkable = claims.filter((claim) => claim.source);
+
+  // The model returns a JSON listing sections that are suspect, recommended corrections, and any references
+  const { text: prompt, version } = await preparePrompt('verify', {
+    draft,
+    citations: claimsForPrompt(checkable)
+  }, { context, onPrompt, locale });
+
+  const verifyData = await generateJson('verify', {
+    prompt,
+    variables: { draft, claims: checkable, locale },
+    promptVersion: version,
+    context
+  }, {
+    schema: schemas.verify,
+    errorMessage: 'Failed to generate valid verification response'
+  });
+
+  const byNumber = new Map(references.map((reference) => [reference.number, reference]));
+  const citationChecks = [
+    ...(verifyData.citation_checks || []).map((check) => ({ ...check, source: byNumber.get(check.number) || null })),
+    ...claims.filter((claim) => !claim.source).map(({ number, claim }) => ({
+      number,
+      claim,
+      status: 'unsupported',
+      explanation: `The draft cites [${number}], but no source with that number was recorded`,
+      corrected_text: null,
+      source: null
+    }))
+  ];
+
+  logger.info('Draft verified successfully', {
+    flagged: verifyData.flagged_inaccuracies.length,
+    citations: citationChecks.length,
+    unsupportedCitations: citationChecks.filter((check) => check.status !== 'supported').length
+  });
+  return { ...verifyData, citation_checks: citationChecks };
+}
+
+const POLISH_REPAIR = 'Return your complete response again, fixing every problem above: the <analysis> block, then the <polished_blog_post> block with the <title> and the Markdown <body>.';
+
+/**
+ * Polish content (polish stage, Claude by default)
+ * `content` is the original draft,
+ * `corrections` is the JSON from the verify step with any flagged inaccuracies;
+ * those an editor rejected or that were already applied are left out
+ * Pass `onToken` to stream the completion; `signal` aborts it mid-flight.
+ * Writes in the company's brand voice; `onLint` gets what goes against it.
+ *
+ * The output is parsed into `{ title, body_markdown, analysis, changes }`.
+ * Output without a title or body, or whose body lost the draft's headings,
+ * gets one retry that shows the model the problems (not streamed); if that
+ * fails too, the error carries `validationErrors`.
+ */
+export async function polishArticle({ content, corrections, locale }, { onToken, onPrompt, onLint, signal, context } = {}) {
+  const voice = await loadBrandVoice(context?.companyId);
+  corrections = correctionsForPolish(corrections);
+  // The prompt merges content + factual corrections
+  const { text: prompt, version } = await preparePrompt('polish', { content, corrections }, { context, onPrompt, locale, voice });
+
+  logger.debug('Complete polishing prompt', { prompt });
+
+  const request = {
+    prompt,
+    variables: { content, corrections, locale },
+    promptVersion: version,
+    context,
+    signal
+  };
+  const { text } = await generate('polish', { ...request, onToken });
+
+  let polished = parsePolished(text);
+  let problems = polishProblems(polished, content);
+  if (problems.length > 0) {
+    logger.error('Invalid polish response, retrying:', problems);
+    const retry = await generate('polish', {
+      ...request,
+      prompt: repairPrompt(prompt, text, problems, POLISH_REPAIR)
+    });
+    polished = parsePolished(retry.text);
+    problems = polishProblems(polished, content);
+    if (problems.length > 0) {
+      logger.error('Retried polish response is still invalid:', problems);
+      throw invalidOutput('Failed to parse the polished article', problems, retry.text);
+    }
+  }
+
+  const { unclosed, ...result } = polished;
+  // The analysis may quote what was taken out, so only the post itself is linted
+  reportLint('polish', `${result.title}\n\n${result.body_markdown}`, voice, onLint);
+  return result;
+}
+
+// Keep the model's description to one clean line of a length search engines display
+const cleanDescription = (text) => text
+  .replace(/^\s*(meta )?description:\s*/i, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/^["'](.*)["']$/, '$1')
+  .slice(0, 160);
+
+/**
+ * Render Markdown content as an SEO-ready HTML page (html stage).
+ * Rendering is local and deterministic. With `describe` the model (gpt-4o-mini
+ * by default) writes the meta description; otherwise, or if that call fails,
+ * the description is excerpted from the article. An explicit
+ * `metadata.description` always wins. With the researched `facts`, citation
+ * markers become footnotes and the page ends with the sources they cite.
+ */
+export async function generateHtml({ content, metadata = {}, describe = false, locale, facts }, { onPrompt, signal, context } = {}) {
+  let description = metadata.description;
+
+  if (!description && describe) {
+    try {
+      const { text: prompt, version } = await preparePrompt('html', {
+        content,
+        title: metadata.title || '',
+        keywords: (metadata.keywords || []).join(', ')
+      }, { context, onPrompt, locale });
+
+      const { text } = await generate('html', {
+        prompt,
+        variables: { content, metadata },
+        promptVersion: version,
+        context,
+        signal
+      });
+      description = cleanDescription(text);
+    } catch (error) {
+      if (signal?.aborted || error.missingVariables) throw error;
+      logger.error('Meta description generation failed, using an excerpt instead:', error);
+    }
+  }
+
+  return renderArticleHtml({
+    content,
+    metadata: { lang: locale, ...(facts && { references: numberReferences(facts) }), ...metadata, description }
+  });
+}
+
+/**
+ * Generate social media posts for a blog post (social stage, gpt-4o by default),
+ * in the company's brand voice; `onLint` gets what goes against it, per platform.
+ */
+export async function generateSocialPosts({ content, locale }, { context, onPrompt, onLint } = {}) {
+  const voice = await loadBrandVoice(context?.companyId);
+  const { text: systemPrompt, version } = await preparePrompt('social', {}, { context, onPrompt, locale, voice });
+
+  const socialPosts = await generateJson('social', {
+    system: systemPrompt,
+    prompt: content,
+    variables: { content, locale },
+    promptVersion: version,
+    context
+  }, {
+    schema: schemas.social,
+    errorMessage: 'Failed to generate valid social media posts'
+  });
+
+  logger.debug('Successfully parsed social posts', { output: socialPosts });
+  reportLint('social', Object.fromEntries(Object.entries(socialPosts).map(([platform, post]) =>
+    [platform, [post.content, ...(post.hashtags || [])].join('\n')])), voice, onLint);
+  return socialPosts;
+}
+
+/**
+ * Generate an email drip campaign for a blog post (email stage, Gemini by default),
+ * in the company's brand voice; `onLint` gets what goes against it, per drip.
+ */
+export async function generateEmailCampaign({ content, locale }, { context, onPrompt, onLint } = {}) {
+  const voice = await loadBrandVoice(context?.companyId);
+  const { text: prompt, version } = await preparePrompt('email', { content }, { context, onPrompt, locale, voice });
+
+  logger.debug('Email campaign prompt', { prompt });
+
+  const timestamp = new Date().toISOString();
+  const promptWithTimestamp = `${prompt}\n\nTimestamp: ${timestamp}`;
+
+  const emailCampaign = await generateJson('email', {
+    prompt: promptWithTimestamp,
+    variables: { content, locale },
+    promptVersion: version,
+    context
+  }, {
+    schema: schemas.email,
+    errorMessage: 'Failed to generate valid email campaign'
+  });
+
+  logger.info('Successfully parsed JSON response:', {
+    numberOfDrips: emailCampaign.drips.length,
+    firstDripSubject: emailCampaign.drips[0].subject
+  });
+  reportLint('email', Object.fromEntries(emailCampaign.drips.flatMap(({ subject, content: body }, index) => [
+    [`drips[${index}].subject`, subject],
+    [`drips[${index}].content`, body]
+  ])), voice, onLint);
+  return emailCampaign;
+}
+
+/**
+ * Translate a post into another locale (translate stage, Claude by default).
+ * The title, keywords and Markdown body come back localized for `locale`.
+ */
+export async function generateTranslation({ title, keywords = [], content, locale }, { context, onPrompt } = {}) {
+  const { text: prompt, version } = await preparePrompt('translate', {
+    title,
+    keywords: keywords.join(', '),
+    content
+  }, { context, onPrompt, locale });
+
+  const translation = await generateJson('translate', {
+    prompt,
+    variables: { title, keywords, content, locale },
+    promptVersion: version,
+    context
+  }, {
+    schema: schemas.translate,
+    errorMessage: 'Failed to generate a valid translation'
+  });
+
+  logger.info('Translated post', { locale, title: translation.title });
+  return translation;
+}
@@ -0,0 +1,239 @@
+import { renderMarkdown, markdownToText, escapeHtml } from './markdown.js';
+import { citedNumbers, stripCitations } from './citations.js';
+
+// Search engines truncate descriptions around 155-160 characters
+const DESCRIPTION_LENGTH = 155;
+// Google's recommended maximum for an Article headline
+const HEADLINE_LENGTH = 110;
+
+const truncate = (text, length) => {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length).replace(/[\s,.;:!?-]+$/, '')}…`;
+};
+
+/**
+ * A meta description taken from the article itself: the first paragraph that
+ * isn't a heading, cut at a word boundary.
+ */
+export function excerptDescription(markdown, length = DESCRIPTION_LENGTH) {
+  const paragraph = String(markdown ?? '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/)
+    .map((block) => block.trim())
+    .find((block) => block && !/^(#|```|~~~|[-*_]{3,}\s*$|\||!\[)/.test(block));
+
+  return paragraph ? truncate(markdownToText(paragraph).replace(/\n/g, ' '), length) : '';
+}
+
+// Drop a leading "# Title" so the page's own <h1> isn't duplicated
+const splitTitle = (markdown) => {
+  const match = String(markdown ?? '').match(/^\s*#[ \t]+(.+?)[ \t]*#*[ \t]*(?:\n|$)/);
+  return match
+    ? { heading: match[1], body: String(markdown).slice(match[0].length) }
+    : { heading: null, body: String(markdown ?? '') };
+};
+
+const meta = (attribute, key, value) =>
+  value ? `<meta ${attribute}="${key}" content="${escapeHtml(value)}">` : null;
+
+const ogLocale = (lang) => (lang.includes('-') ? lang.replace('-', '_') : null);
+
+// hreflang links for every language version of the page, this one included.
+// Google ignores the set unless each version links to all the others, itself too.
+const alternateLinks = (alternates, lang, url) => {
+  const links = [...alternates];
+  if (url && lang && links.length > 0 && !links.some((alternate) => alternate.lang === lang)) {
+    links.unshift({ lang, url });
+  }
+  return links
+    .filter((alternate) => alternate.lang && alternate.url)
+    .map(({ lang: hreflang, url: href }) =>
+      `<link rel="alternate" hreflang="${escapeHtml(hreflang)}" href="${escapeHtml(href)}">`);
+};
+
+const localeAlternates = (alternates, lang) => alternates
+  .filter((alternate) => alternate.lang && alternate.lang !== lang && alternate.lang !== 'x-default')
+  .map((alternate) => meta('property', 'og:locale:alternate', ogLocale(alternate.lang)))
+  .filter(Boolean);
+
+// The references heading in the page's language; anything else is in English
+const REFERENCES_HEADINGS = {
+  en: 'References', de: 'Quellen', fr: 'Sources', es: 'Referencias', it: 'Fonti', pt: 'Referências', nl: 'Bronnen'
+};
+
+// Only cited references are listed; each keeps its number so the markers still match
+const citedReferences = (references, markdown) => {
+  const { cited } = citedNumbers(markdown, references);
+  return references.filter((reference) => cited.includes(reference.number));
+};
+
+// Turn "[2]" markers in text into footnote links, leaving code, tags and attributes alone
+const linkFootnotes = (html, references) => {
+  const numbers = new Set(references.map((reference) => reference.number));
+  return html
+    .split(/(<pre[\s\S]*?<\/pre>|<code>[\s\S]*?<\/code>|<[^>]*>)/)
+    .map((part, i) => (i % 2 === 1 ? part : part.replace(/(?<![!\\])\[(\d{1,3})\]/g, (match, number) =>
+      (numbers.has(Number(number))
+        ? `<sup class="citation"><a href="#ref-${number}">[${number}]</a></sup>`
+        : match))))
+    .join('');
+};
+
+const httpUrl = (url) => (/^https?:\/\//i.test(url || '') ? url : null);
+
+const referencesSection = (references, lang) => {
+  if (references.length === 0) return null;
+  const heading = REFERENCES_HEADINGS[lang.split('-')[0]] || REFERENCES_HEADINGS.en;
+  const items = references.map(({ number, publisher, url, date, quotes = [] }) => {
+    const link = httpUrl(url);
+    const source = [
+      escapeHtml(publisher || url),
+      link && `<a href="${escapeHtml(link)}" rel="nofollow noopener">${escapeHtml(link)}</a>`,
+      date && `(${escapeHtml(date)})`
+    ].filter(Boolean).join(', ').replace(/, \(/, ' (');
+    const quote = quotes[0] ? ` <q>${escapeHtml(quotes[0])}</q>` : '';
+    return `<li id="ref-${number}" value="${number}">${source}${quote}</li>`;
+  });
+  return [
+    '<section class="references">',
+    `<h2>${escapeHtml(heading)}</h2>`,
+    '<ol>',
+    ...items,
+    '</ol>',
+    '</section>'
+  ].join('\n');
+};
+
+// JSON-LD sits inside <script>, so "<" is escaped to keep "</script>" out of it
+const jsonLd = (data) => JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+
+/**
+ * Render an article's Markdown as a complete, sanitized HTML document with
+ * SEO metadata: title, description and keywords meta tags, Open Graph and
+ * Twitter card tags, hreflang links to the other language versions, and an
+ * Article JSON-LD block. With `references`, citation markers such as "[2]"
+ * become footnote links to a References section listing the cited sources.
+ * Deterministic: the same input always produces the same HTML.
+ *
+ * @param {object} options
+ * @param {string} options.content - the article or polished Markdown
+ * @param {object} options.metadata
+ * @param {string} [options.metadata.title] - falls back to the Markdown's first "# " heading
+ * @param {string[]} [options.metadata.keywords]
+ * @param {string} [options.metadata.description] - falls back to an excerpt of the first paragraph
+ * @param {string} [options.metadata.url] - canonical URL
+ * @param {string} [options.metadata.image] - social/preview image URL
+ * @param {string} [options.metadata.author] - author or company name
+ * @param {string} [options.metadata.siteName]
+ * @param {string} [options.metadata.publishedAt] - ISO date
+ * @param {string} [options.metadata.modifiedAt] - ISO date
+ * @param {string} [options.metadata.lang='en']
+ * @param {{ lang: string, url: string }[]} [options.metadata.alternates] - the
+ *   page's other language versions; `lang` may be "x-default"
+ * @param {object[]} [options.metadata.references] - numbered sources from
+ *   citations.js numberReferences
+ * @returns {string}
+ */
+export function renderArticleHtml({ content, metadata = {} }) {
+  const { heading, body } = splitTitle(content);
+  const title = (metadata.title || heading || '').trim();
+  const keywords = (metadata.keywords || []).filter(Boolean);
+  const references = citedReferences(metadata.references || [], body);
+  // Markers are footnote links in the page, but noise in the description and word count
+  const text = metadata.references ? stripCitations(body) : body;
+  const description = (metadata.description || excerptDescription(text)).trim();
+  const lang = metadata.lang || 'en';
+  const publisher = metadata.siteName || metadata.author;
+  const alternates = metadata.alternates || [];
+
+  const article = {
+    '@context': 'https://schema.org',
+    '@type': 'Article',
+    headline: truncate(title, HEADLINE_LENGTH),
+    ...(description && { description }),
+    ...(keywords.length && { keywords: keywords.join(', ') }),
+    ...(metadata.image && { image: [metadata.image] }),
+    ...(metadata.publishedAt && { datePublished: metadata.publishedAt }),
+    ...((metadata.modifiedAt || metadata.publishedAt) && { dateModified: metadata.modifiedAt || metadata.publishedAt }),
+    ...(metadata.author && { author: { '@type': 'Organization', name: metadata.author } }),
+    ...(publisher && { publisher: { '@type': 'Organization', name: publisher } }),
+    ...(metadata.url && { mainEntityOfPage: { '@type': 'WebPage', '@id': metadata.url } }),
+    ...(references.length && {
+      citation: references.map(({ publisher, url, date }) => ({
+        '@type': 'CreativeWork',
+        name: publisher || url,
+        ...(httpUrl(url) && { url }),
+        ...(date && { datePublished: date })
+      }))
+    }),
+    inLanguage: lang,
+    wordCount: markdownToText(text).split(/\s+/).filter(Boolean).length
+  };
+
+  const head = [
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    meta('name', 'description', description),
+    meta('name', 'keywords', keywords.join(', ')),
+    metadata.url && `<link rel="canonical" href="${escapeHtml(metadata.url)}">`,
+    ...alternateLinks(alternates, lang, metadata.url),
+    meta('property', 'og:type', 'article'),
+    meta('property', 'og:title', title),
+    meta('property', 'og:description', description),
+    meta('property', 'og:url', metadata.url),
+    meta('property', 'og:image', metadata.image),
+    meta('property', 'og:site_name', metadata.siteName),
+    meta('property', 'og:locale', ogLocale(lang)),
+    ...localeAlternates(alternates, lang),
+    meta('property', 'article:published_time', metadata.publishedAt),
+    meta('property', 'article:modified_time', metadata.modifiedAt),
+    ...keywords.map((keyword) => meta('property', 'article:tag', keyword)),
+    meta('name', 'twitter:card', metadata.image ? 'summary_large_image' : 'summary'),
+    meta('name', 'twitter:title', title),
+    meta('name', 'twitter:description', description),
+    meta('name', 'twitter:image', metadata.image),
+    `<script type="application/ld+json">\n${jsonLd(article)}\n</script>`
+  ].filter(Boolean);
+
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(lang)}">`,
+    '<head>',
+    ...head,
+    '</head>',
+    '<body>',
+    '<article>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    linkFootnotes(renderMarkdown(body, { minHeadingLevel: 2 }), references),
+    referencesSection(references, lang),
+    '</article>',
+    '</body>',
+    '</html>',
+    ''
+  ].filter((line) => line !== null).join('\n');
+}
+
+/**
+ * Swap the hreflang links and og:locale:alternate tags of a document
+ * renderArticleHtml produced for `alternates`, leaving the rest as it is.
+ * Versions that gain a URL later are linked this way from pages that were
+ * rendered before it existed.
+ */
+export function replaceAlternates(html, alternates) {
+  const lang = html.match(/<html lang="([^"]*)">/)?.[1] || 'en';
+  const lines = html
+    .split('\n')
+    .filter((line) => !/^<link rel="alternate" hreflang=|^<meta property="og:locale:alternate"/.test(line));
+
+  // Same places as in renderArticleHtml: hreflang links just before og:type,
+  // locale alternates after og:locale, ahead of the article:/twitter: tags
+  const insert = (before, tags) => {
+    const index = lines.findIndex((line) => before.test(line));
+    if (index >= 0) lines.splice(index, 0, ...tags);
+  };
+  insert(/^<meta property="og:type"/, alternateLinks(alternates, lang));
+  insert(/^<meta (property="article:|name="twitter:card")/, localeAlternates(alternates, lang));
+  return lines.join('\n');
+}
@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+
+// Minimal HS256 JSON Web Tokens: enough to verify Supabase access tokens
+// locally and to sign tokens for APIs that expect them.
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const hmac = (input, secret) => crypto.createHmac('sha256', secret).update(input).digest();
+
+/**
+ * Sign a payload as an HS256 JWT.
+ * @param {object} payload
+ * @param {string|Buffer} secret
+ * @param {object} [header] - extra header fields, e.g. `kid`
+ */
+export function signJwt(payload, secret, header = {}) {
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT', ...header })}.${encode(payload)}`;
+  return `${unsigned}.${hmac(unsigned, secret).toString('base64url')}`;
+}
+
+/**
+ * Verify an HS256 JWT's signature, expiry and (optionally) audience. Tokens
+ * must carry a numeric `exp`: one without it would never expire.
+ * @returns {object} the decoded payload
+ * @throws {Error} when the token is malformed, forged, expired, has no expiry or is for another audience
+ */
+export function verifyJwt(token, secret, { audience, clockToleranceSeconds = 30 } = {}) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  if (header.alg !== 'HS256') {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const expected = hmac(`${encodedHeader}.${encodedPayload}`, secret);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number') {
+    throw new Error('Token has no expiry');
+  }
+  if (now > payload.exp + clockToleranceSeconds) {
+    throw new Error('Token expired');
+  }
+  if (payload.nbf !== undefined && now + clockToleranceSeconds < payload.nbf) {
+    throw new Error('Token not yet valid');
+  }
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) {
+      throw new Error('Token audience mismatch');
+    }
+  }
+
+  return payload;
+}
@@ -0,0 +1,141 @@
+import fs from 'fs';
+import { logger } from './logger.js';
+
+/**
+ * Per-stage model configuration.
+ *
+ * Each stage names a primary provider/model plus an optional `fallback` that is
+ * tried when the primary errors out. `search` enables Gemini's google_search
+ * tool and is ignored by the other providers.
+ *
+ * Override any of it without a redeploy:
+ * - LLM_CONFIG_FILE: path to a JSON file shaped like STAGE_DEFAULTS
+ * - LLM_STAGE_CONFIG: inline JSON, applied after the file
+ * - LLM_PROVIDER=fake: run every stage against the offline fake provider
+ */
+const STAGE_DEFAULTS = {
+  structure: {
+    provider: 'gemini',
+    model: 'gemini-2.0-flash-exp',
+    temperature: 0.9,
+    maxTokens: 8192,
+    search: true,
+    fallback: { provider: 'openai', model: 'gpt-4o' }
+  },
+  facts: {
+    provider: 'gemini',
+    model: 'gemini-2.0-flash-exp',
+    temperature: 0.9,
+    maxTokens: 8192,
+    search: true,
+    fallback: { provider: 'openai', model: 'gpt-4o' }
+  },
+  article: {
+    provider: 'openai',
+    model: 'gpt-4o',
+    temperature: 0.7,
+    maxTokens: 8192,
+    fallback: { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' }
+  },
+  verify: {
+    provider: 'gemini',
+    model: 'gemini-2.0-flash-exp',
+    temperature: 0.0,
+    maxTokens: 8192,
+    search: true,
+    fallback: { provider: 'openai', model: 'gpt-4o' }
+  },
+  polish: {
+    provider: 'anthropic',
+    model: 'claude-3-5-sonnet-20241022',
+    maxTokens: 8192,
+    fallback: { provider: 'openai', model: 'gpt-4o' }
+  },
+  // HTML is rendered locally; the model only writes the meta description
+  html: {
+    provider: 'openai',
+    model: 'gpt-4o-mini',
+    temperature: 0.3,
+    maxTokens: 200,
+    fallback: { provider: 'anthropic', model: 'claude-3-5-haiku-20241022', maxTokens: 200 }
+  },
+  social: {
+    provider: 'openai',
+    model: 'gpt-4o',
+    temperature: 0.7,
+    fallback: { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022', maxTokens: 4096 }
+  },
+  email: {
+    provider: 'gemini',
+    model: 'gemini-2.0-flash-exp',
+    temperature: 0.9,
+    maxTokens: 8192,
+    search: true,
+    fallback: { provider: 'openai', model: 'gpt-4o' }
+  },
+  translate: {
+    provider: 'anthropic',
+    model: 'claude-3-5-sonnet-20241022',
+    temperature: 0.3,
+    maxTokens: 8192,
+    fallback: { provider: 'openai', model: 'gpt-4o' }
+  }
+};
+
+export const STAGES = Object.keys(STAGE_DEFAULTS);
+
+const readJson = (label, text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${label}: ${error.message}`);
+  }
+};
+
+// Merge the overrides over the defaults one stage at a time so a partial
+// override (e.g. only `model`) keeps the rest of that stage's settings.
+function loadStageConfig() {
+  const overrides = [];
+  if (process.env.LLM_CONFIG_FILE) {
+    overrides.push(readJson(process.env.LLM_CONFIG_FILE, fs.readFileSync(process.env.LLM_CONFIG_FILE, 'utf8')));
+  }
+  if (process.env.LLM_STAGE_CONFIG) {
+    overrides.push(readJson('LLM_STAGE_CONFIG', process.env.LLM_STAGE_CONFIG));
+  }
+
+  const config = {};
+  for (const stage of STAGES) {
+    config[stage] = Object.assign({}, STAGE_DEFAULTS[stage], ...overrides.map((o) => o[stage] || {}));
+
+    if (process.env.LLM_PROVIDER === 'fake') {
+      config[stage] = { ...config[stage], provider: 'fake', model: 'fake', fallback: null };
+    }
+  }
+
+  for (const stage of Object.keys(Object.assign({}, ...overrides))) {
+    if (!STAGES.includes(stage)) {
+      logger.error(`Ignoring LLM config for unknown stage "${stage}"`);
+    }
+  }
+
+  return config;
+}
+
+const stageConfig = loadStageConfig();
+
+/**
+ * Resolve the settings for one stage. The fallback inherits temperature and
+ * token limits from the primary unless it sets its own.
+ */
+export function getStageConfig(stage) {
+  const config = stageConfig[stage];
+  if (!config) {
+    throw new Error(`Unknown generation stage: ${stage}`);
+  }
+
+  const { fallback, ...primary } = config;
+  return {
+    primary,
+    fallback: fallback ? { ...primary, ...fallback } : null
+  };
+}
@@ -0,0 +1,99 @@
+/**
+ * Locales for generated content. A locale is a BCP 47 tag such as de-DE or
+ * es-MX; it decides the language the models write in, the currency and the
+ * date and number formats they use, and which search terms they pick as SEO
+ * keywords. Tags without a region use the language's most likely one
+ * ("de" is treated like "de-DE").
+ */
+
+export const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en-US';
+
+export const LOCALE_ERROR = '"locale" must be a language tag such as en-US, de-DE or es-MX';
+
+// Regions whose currency isn't obvious from the language alone; anything else
+// is told to use the local currency
+const REGION_CURRENCIES = {
+  US: 'USD', GB: 'GBP', IE: 'EUR', CA: 'CAD', AU: 'AUD', NZ: 'NZD', IN: 'INR', SG: 'SGD', ZA: 'ZAR',
+  DE: 'EUR', AT: 'EUR', CH: 'CHF', FR: 'EUR', BE: 'EUR', LU: 'EUR', NL: 'EUR', ES: 'EUR', PT: 'EUR',
+  IT: 'EUR', FI: 'EUR', GR: 'EUR', SE: 'SEK', NO: 'NOK', DK: 'DKK', PL: 'PLN', CZ: 'CZK', HU: 'HUF',
+  RO: 'RON', TR: 'TRY', MX: 'MXN', AR: 'ARS', CO: 'COP', CL: 'CLP', PE: 'PEN', BR: 'BRL', JP: 'JPY',
+  KR: 'KRW', CN: 'CNY', TW: 'TWD', HK: 'HKD', AE: 'AED', SA: 'SAR', IL: 'ILS'
+};
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+/**
+ * Canonicalize a locale tag ("de-de" becomes "de-DE"). A missing value means
+ * DEFAULT_LOCALE.
+ * @returns {string|null} null when the value isn't a valid tag
+ */
+export function parseLocale(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_LOCALE;
+  if (typeof value !== 'string') return null;
+  try {
+    const [locale] = Intl.getCanonicalLocales(value);
+    // Well-formed but unknown languages ("xx") come back from DisplayNames as their own code
+    const { language } = new Intl.Locale(locale);
+    return languageNames.of(language) === language ? null : locale;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * What a locale means for writing: its language and region names, currency
+ * and examples of its date and money formats.
+ */
+export function describeLocale(locale = DEFAULT_LOCALE) {
+  const { language, region } = new Intl.Locale(locale).maximize();
+  const currency = REGION_CURRENCIES[region] || null;
+  const sampleDate = new Date(Date.UTC(2025, 2, 14));
+
+  return {
+    locale,
+    language: languageNames.of(language),
+    region: region ? regionNames.of(region) : null,
+    currency,
+    dateExample: new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' }).format(sampleDate),
+    moneyExample: currency
+      ? new Intl.NumberFormat(locale, { style: 'currency', currency }).format(1234.5)
+      : new Intl.NumberFormat(locale).format(1234.5)
+  };
+}
+
+export const isEnglish = (locale = DEFAULT_LOCALE) => new Intl.Locale(locale).language === 'en';
+
+/**
+ * The instructions appended to every generation prompt so output follows the
+ * locale. Prompt templates themselves stay in English.
+ */
+export function localeInstructions(locale = DEFAULT_LOCALE) {
+  const { language, region, currency, dateExample, moneyExample } = describeLocale(locale);
+  const audience = region ? `${language} as written in ${region}` : language;
+
+  return [
+    '### Language and locale',
+    `- Write all output in ${audience} (${locale}), even though these instructions are in English.`,
+    '- Keep JSON keys, XML tags and Markdown syntax exactly as specified; only the text is localized. Where keys are given text (such as questions), copy them unchanged.',
+    currency
+      ? `- Give amounts of money in ${currency}, formatted like "${moneyExample}". Convert or clearly label figures that are in other currencies.`
+      : `- Give amounts of money in the local currency of the audience, formatted the local way (numbers look like "${moneyExample}").`,
+    `- Write dates the local way, e.g. "${dateExample}".`,
+    `- Choose SEO keywords and hashtags that people${region ? ` in ${region}` : ''} actually search for in ${language}, rather than translations of English terms.`,
+    '- Prefer statistics, sources and examples that are relevant to this audience where they exist.'
+  ].join('\n');
+}
+
+/**
+ * Express middleware: read the optional `locale` from the request body into
+ * `req.locale` (DEFAULT_LOCALE when absent), rejecting invalid tags with 400.
+ */
+export function readLocale(req, res, next) {
+  const locale = parseLocale(req.body?.locale);
+  if (!locale) {
+    return res.status(400).json({ error: LOCALE_ERROR });
+  }
+  req.locale = locale;
+  next();
+}
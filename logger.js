@@ -1,77 +1,198 @@
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
 import { fileURLToPath } from 'url';
 
+/**
+ * JSON-lines logger.
+ *
+ * Every line is one JSON object: `{ time, level, msg, requestId?, data?, error? }`.
+ * Lines below LOG_LEVEL (debug, info, warn, error; default info) are dropped.
+ * Lines go to the console and, asynchronously, to LOG_FILE, which is rotated
+ * once it reaches LOG_MAX_BYTES or is older than LOG_ROTATE_HOURS, keeping
+ * the newest LOG_MAX_FILES rotated files.
+ *
+ * Logged data is redacted by key: credentials always (plus any keys listed in
+ * LOG_REDACT_KEYS), and customer content (prompts, model output, articles...)
+ * unless LOG_REDACT_CONTENT=false.
+ */
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const LOG_DIR = path.join(__dirname, '../logs');
-const API_LOG_FILE = path.join(LOG_DIR, 'api.log');
+const LOG_FILE = process.env.LOG_FILE || path.join(__dirname, '../logs/api.log');
+const MAX_BYTES = Number(process.env.LOG_MAX_BYTES || 10 * 1024 * 1024);
+const ROTATE_MS = Number(process.env.LOG_ROTATE_HOURS || 24) * 60 * 60 * 1000;
+const MAX_FILES = Number(process.env.LOG_MAX_FILES || 10);
 
-// Create logs directory if it doesn't exist
-if (!fs.existsSync(LOG_DIR)) {
-  fs.mkdirSync(LOG_DIR);
-}
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minimumLevel = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+
+// "token" only at the end of a key: accessToken and refresh_token are secrets, inputTokens is a count
+const SENSITIVE_KEY = /pass(word)?$|secret|token$|api[-_]?key|authorization|cookie|credential|signature/i;
+const CONTENT_KEYS = new Set([
+  'prompt', 'system', 'text', 'content', 'article', 'polished', 'final_html', 'html', 'body',
+  'output', 'facts', 'questions', 'drips', 'company', 'titleConcept', 'title_concept', 'email'
+]);
+const EXTRA_KEYS = new Set((process.env.LOG_REDACT_KEYS || '').split(',').map((key) => key.trim()).filter(Boolean));
+const redactContent = process.env.LOG_REDACT_CONTENT !== 'false';
 
-// Format the log message with timestamp
-const formatLogMessage = (type, message) => {
-  const timestamp = new Date().toISOString();
-  return `[${timestamp}] [${type}] ${typeof message === 'object' ? JSON.stringify(message, null, 2) : message}\n`;
+// Content keeps its length so lines still say how much was sent or received
+const redactEntry = (key, value) => {
+  if (value === undefined || value === null) return value;
+  if (SENSITIVE_KEY.test(key) || EXTRA_KEYS.has(key)) return '[REDACTED]';
+  if (redactContent && CONTENT_KEYS.has(key)) {
+    return typeof value === 'string' ? `[REDACTED ${value.length} chars]` : '[REDACTED]';
+  }
+  return undefined;
 };
 
-// Write to log file
-const writeToLog = (message) => {
-  fs.appendFileSync(API_LOG_FILE, message);
+const redact = (value, seen = new WeakSet()) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+  if (Array.isArray(value)) return value.map((item) => redact(item, seen));
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+    key,
+    redactEntry(key, entry) ?? redact(entry, seen)
+  ]));
 };
 
-// Log levels
-export const logger = {
-  info: (message) => {
-    const logMessage = formatLogMessage('INFO', message);
-    console.log(logMessage);
-    writeToLog(logMessage);
-  },
-  error: (message, error) => {
-    const logMessage = formatLogMessage('ERROR', {
-      message,
-      error: error?.message || error,
-      stack: error?.stack
-    });
-    console.error(logMessage);
-    writeToLog(logMessage);
-  },
-  request: (req) => {
-    const logMessage = formatLogMessage('REQUEST', {
-      method: req.method,
-      path: req.path,
-      query: req.query,
-      body: req.body,
-      headers: {
-        'content-type': req.headers['content-type'],
-        'user-agent': req.headers['user-agent']
-      }
-    });
-    writeToLog(logMessage);
-  },
-  response: (req, res, data) => {
-    const logMessage = formatLogMessage('RESPONSE', {
-      method: req.method,
-      path: req.path,
-      statusCode: res.statusCode,
-      data: data
-    });
-    writeToLog(logMessage);
+// Errors don't serialize on their own; keep the extra fields routes rely on
+const serializeError = (error) => {
+  const { name, message, stack, ...fields } = error;
+  return redact({ name, message, ...fields, stack });
+};
+
+// --- Async file output with rotation -------------------------------------
+
+let stream = null;
+let size = 0;
+let openedAt = 0;
+let rotating = null;
+const pending = [];
+
+const openStream = () => {
+  fs.mkdirSync(path.dirname(LOG_FILE), { recursive: true });
+  try {
+    const stats = fs.statSync(LOG_FILE);
+    size = stats.size;
+    openedAt = stats.birthtimeMs || Date.now();
+  } catch {
+    size = 0;
+    openedAt = Date.now();
   }
+  stream = fs.createWriteStream(LOG_FILE, { flags: 'a' });
+  stream.on('error', (error) => console.error(JSON.stringify({ time: new Date().toISOString(), level: 'error', msg: 'Log file write failed', error: error.message })));
 };
 
-// Express middleware to log requests and responses
-export const requestLogger = (req, res, next) => {
-  logger.request(req);
+const pruneRotatedFiles = async () => {
+  const dir = path.dirname(LOG_FILE);
+  const { name, ext } = path.parse(LOG_FILE);
+  const rotated = (await fs.promises.readdir(dir))
+    .filter((file) => file.startsWith(`${name}-`) && file.endsWith(ext))
+    .sort()
+    .reverse();
+  await Promise.all(rotated.slice(MAX_FILES).map((file) => fs.promises.unlink(path.join(dir, file))));
+};
+
+// Close the current file, move it aside with a timestamp and start a new one.
+// Lines written meanwhile are held and flushed to the new file.
+const rotate = async () => {
+  const { dir, name, ext } = path.parse(LOG_FILE);
+  const current = stream;
+  stream = null;
+  try {
+    await new Promise((resolve) => current.end(resolve));
+    await fs.promises.rename(LOG_FILE, path.join(dir, `${name}-${new Date().toISOString().replace(/[:.]/g, '-')}${ext}`));
+    await pruneRotatedFiles();
+  } catch (error) {
+    console.error(JSON.stringify({ time: new Date().toISOString(), level: 'error', msg: 'Log rotation failed', error: error.message }));
+  } finally {
+    openStream();
+    size = 0;
+    openedAt = Date.now();
+    rotating = null;
+    for (const line of pending.splice(0)) writeLine(line);
+  }
+};
+
+function writeLine(line) {
+  if (rotating) {
+    pending.push(line);
+    return;
+  }
+  if (!stream) openStream();
+  stream.write(line);
+  size += Buffer.byteLength(line);
+  if (size >= MAX_BYTES || Date.now() - openedAt >= ROTATE_MS) {
+    rotating = rotate();
+  }
+}
+
+// --- Request context -------------------------------------------------------
+
+const requestContext = new AsyncLocalStorage();
 
-  // Capture the original res.json to log responses
-  const originalJson = res.json;
-  res.json = function(data) {
-    logger.response(req, res, data);
-    return originalJson.call(this, data);
+/**
+ * The correlation ID of the request being handled, if any. It follows the
+ * request through every await, including background work it starts.
+ */
+export const currentRequestId = () => requestContext.getStore()?.requestId;
+
+const write = (level, message, data) => {
+  if (LEVELS[level] < minimumLevel) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: typeof message === 'string' ? message.replace(/:\s*$/, '') : 'log',
+    requestId: currentRequestId()
   };
+  if (typeof message !== 'string') entry.data = redact(message);
+  if (data instanceof Error) {
+    entry.error = serializeError(data);
+  } else if (data !== undefined) {
+    entry.data = redact(data);
+  }
+
+  const line = `${JSON.stringify(entry)}\n`;
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+  writeLine(line);
+};
+
+export const logger = {
+  debug: (message, data) => write('debug', message, data),
+  info: (message, data) => write('info', message, data),
+  // Errors are logged under `error` with their stack; any other detail under `data`
+  warn: (message, detail) => write('warn', message, detail),
+  error: (message, error) => write('error', message, error)
+};
+
+// Accept a caller's correlation ID if it looks like one, otherwise make one up
+const REQUEST_ID = /^[\w.:-]{8,128}$/;
+
+/**
+ * Express middleware: give every request a correlation ID (from the
+ * X-Request-Id header, or a new UUID), echo it back in X-Request-Id, and
+ * log one line when the response finishes. Bodies are never logged.
+ */
+export const requestLogger = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    requestContext.run({ requestId: req.id }, () => {
+      write('info', 'Request completed', {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Number((process.hrtime.bigint() - started) / 1000000n),
+        userId: req.user?.id
+      });
+    });
+  });
 
-  next();
+  requestContext.run({ requestId: req.id }, next);
 };
@@ -0,0 +1,295 @@
+/**
+ * Deterministic Markdown renderer for generated articles.
+ *
+ * Supports the subset the models actually produce: ATX headings, paragraphs,
+ * emphasis, strikethrough, inline code, fenced code, block quotes, nested
+ * ordered/unordered lists, GFM tables, horizontal rules, links and images.
+ * Output is sanitized by construction: every piece of text is escaped, raw
+ * HTML in the Markdown is rendered as text, and links only keep safe URLs.
+ */
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ESCAPES[char]);
+
+const decodeHtml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Relative URLs and these schemes are allowed; anything else (javascript:, data:, ...) is dropped
+const SAFE_SCHEME = /^(https?|mailto|tel):/i;
+
+const safeUrl = (url) => {
+  const trimmed = decodeHtml(url.trim());
+  const scheme = trimmed.match(/^([^/?#]*?):/);
+  if (scheme && !SAFE_SCHEME.test(trimmed)) return null;
+  return escapeHtml(trimmed);
+};
+
+const HEADING = /^(#{1,6})[ \t]+(.*?)[ \t]*#*[ \t]*$/;
+const FENCE = /^[ \t]{0,3}(`{3,}|~{3,})[ \t]*([\w-]*)/;
+const RULE = /^[ \t]{0,3}([-*_])([ \t]*\1){2,}[ \t]*$/;
+const QUOTE = /^[ \t]{0,3}>[ \t]?/;
+const LIST_ITEM = /^([ \t]*)([-*+]|\d{1,9}[.)])[ \t]+(.*)$/;
+const TABLE_DIVIDER = /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+// Link and image targets, matched after escaping: `<...>`-wrapped (may hold
+// spaces), or bare with parentheses balanced two levels deep, as in
+// https://en.wikipedia.org/wiki/Foo_(bar)
+const LINK_TARGET = /(&lt;(?:(?!&lt;|&gt;)[^\n])*&gt;|(?:[^()\s]|\((?:[^()\s]|\([^()\s]*\))*\))+)/.source;
+const LINK_TITLE = /(?:\s+&quot;(.*?)&quot;)?/.source;
+const IMAGE = new RegExp(`!\\[([^\\]]*)\\]\\(${LINK_TARGET}${LINK_TITLE}\\)`, 'g');
+const LINK = new RegExp(`\\[([^\\]]+)\\]\\(${LINK_TARGET}${LINK_TITLE}\\)`, 'g');
+
+const linkTarget = (target) => (target.startsWith('&lt;') ? target.slice(4, -4).replace(/ /g, '%20') : target);
+
+const indentOf = (line) => line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+
+/**
+ * Render inline Markdown (emphasis, code, links, images) to escaped HTML.
+ */
+export function renderInline(text) {
+  // Code spans, links and images are swapped for placeholders so emphasis
+  // can't reach inside them
+  const stash = [];
+  const hold = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+  let html = text.replace(/\u0000/g, '').replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`));
+  html = escapeHtml(html);
+
+  html = html.replace(IMAGE, (match, alt, target, title) => {
+    const src = safeUrl(linkTarget(target));
+    if (!src) return alt;
+    return hold(`<img src="${src}" alt="${alt}"${title ? ` title="${title}"` : ''}>`);
+  });
+
+  html = html.replace(LINK, (match, label, target, title) => {
+    const href = safeUrl(linkTarget(target));
+    if (!href) return label;
+    return `${hold(`<a href="${href}"${title ? ` title="${title}"` : ''}>`)}${label}${hold('</a>')}`;
+  });
+
+  html = html.replace(/&lt;((?:https?:\/\/|mailto:)[^\s&]+)&gt;/g, (match, url) => hold(`<a href="${url}">${url}</a>`));
+
+  html = html
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+}
+
+const slugify = (text) => decodeHtml(text.replace(/<[^>]+>/g, ''))
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s-]/gu, '')
+  .trim()
+  .replace(/\s+/g, '-') || 'section';
+
+const splitRow = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map((cell) => cell.trim());
+
+function renderTable(lines) {
+  const alignments = splitRow(lines[1]).map((cell) => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return null;
+  });
+  const cell = (tag, text, index) => {
+    const align = alignments[index];
+    return `<${tag}${align ? ` style="text-align: ${align}"` : ''}>${renderInline(text)}</${tag}>`;
+  };
+
+  const header = splitRow(lines[0]).map((text, index) => cell('th', text, index)).join('');
+  const rows = lines.slice(2).map((line) => `<tr>${splitRow(line).map((text, index) => cell('td', text, index)).join('')}</tr>`);
+
+  return `<table>\n<thead>\n<tr>${header}</tr>\n</thead>\n<tbody>\n${rows.join('\n')}\n</tbody>\n</table>`;
+}
+
+// Collect the lines of one list (and any nested lists) starting at `start`
+function renderList(lines, start, context) {
+  const first = lines[start].match(LIST_ITEM);
+  const baseIndent = indentOf(first[1]);
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let loose = false;
+  let index = start;
+
+  while (index < lines.length) {
+    const match = lines[index].match(LIST_ITEM);
+    if (!match || indentOf(match[1]) !== baseIndent || /\d/.test(match[2]) !== ordered) break;
+
+    const body = [match[3]];
+    const contentIndent = baseIndent + match[0].length - match[0].trimStart().length + match[2].length + 1;
+    index++;
+
+    while (index < lines.length) {
+      const line = lines[index];
+      if (line.trim() === '') {
+        // A blank line only continues the item if more indented content follows
+        const next = lines.slice(index + 1).find((candidate) => candidate.trim() !== '');
+        if (next === undefined || indentOf(next) <= baseIndent) break;
+        if (!LIST_ITEM.test(next) || indentOf(next) > baseIndent) loose = true;
+        body.push('');
+        index++;
+        continue;
+      }
+      if (indentOf(line) <= baseIndent && (LIST_ITEM.test(line) || !body[body.length - 1])) break;
+      if (indentOf(line) <= baseIndent && isBlockStart(line)) break;
+      body.push(line.slice(Math.min(indentOf(line), contentIndent)));
+      index++;
+    }
+
+    items.push(body);
+    if (index < lines.length && lines[index].trim() === '') {
+      const next = lines.slice(index).find((candidate) => candidate.trim() !== '');
+      const nextMatch = next?.match(LIST_ITEM);
+      if (nextMatch && indentOf(nextMatch[1]) === baseIndent && /\d/.test(nextMatch[2]) === ordered) {
+        loose = true;
+        while (lines[index].trim() === '') index++;
+      }
+    }
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+  const renderedItems = items.map((body) => {
+    const blocks = renderBlocks(body, context);
+    const html = loose ? blocks : blocks.replace(/^<p>([\s\S]*?)<\/p>/, '$1').replace(/<p>([\s\S]*?)<\/p>/g, '$1');
+    return `<li>${html}</li>`;
+  });
+
+  return {
+    html: `<${tag}${ordered && startNumber !== 1 ? ` start="${startNumber}"` : ''}>\n${renderedItems.join('\n')}\n</${tag}>`,
+    next: index
+  };
+}
+
+const isBlockStart = (line) =>
+  HEADING.test(line.trimStart()) || FENCE.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+
+function renderBlocks(lines, context) {
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (line.trim() === '') {
+      index++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const closing = new RegExp(`^[ \\t]{0,3}${fence[1][0]}{${fence[1].length},}[ \\t]*$`);
+      const code = [];
+      index++;
+      while (index < lines.length && !closing.test(lines[index])) {
+        code.push(lines[index]);
+        index++;
+      }
+      index++;
+      const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+      blocks.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.trimStart().match(HEADING);
+    if (heading) {
+      const level = Math.min(Math.max(heading[1].length, context.minHeadingLevel), 6);
+      const html = renderInline(heading[2]);
+      let id = slugify(html);
+      const seen = context.headingIds.get(id) || 0;
+      context.headingIds.set(id, seen + 1);
+      if (seen > 0) id = `${id}-${seen + 1}`;
+      blocks.push(`<h${level} id="${id}">${html}</h${level}>`);
+      index++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push('<hr>');
+      index++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (index < lines.length && lines[index].trim() !== '' && (QUOTE.test(lines[index]) || quoted.length)) {
+        quoted.push(lines[index].replace(QUOTE, ''));
+        index++;
+      }
+      blocks.push(`<blockquote>\n${renderBlocks(quoted, context)}\n</blockquote>`);
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const list = renderList(lines, index, context);
+      blocks.push(list.html);
+      index = list.next;
+      continue;
+    }
+
+    if (line.includes('|') && TABLE_DIVIDER.test(lines[index + 1] || '') && lines[index + 1].includes('-')) {
+      const table = [line, lines[index + 1]];
+      index += 2;
+      while (index < lines.length && lines[index].includes('|') && lines[index].trim() !== '') {
+        table.push(lines[index]);
+        index++;
+      }
+      blocks.push(renderTable(table));
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    index++;
+    while (index < lines.length && lines[index].trim() !== '' && !isBlockStart(lines[index])) {
+      paragraph.push(lines[index].replace(/^[ \t]+/, ''));
+      index++;
+    }
+    blocks.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+  }
+
+  return blocks.join('\n');
+}
+
+// Models sometimes wrap the whole answer in a ```markdown fence
+const unwrapFence = (markdown) => {
+  const match = markdown.trim().match(/^```(?:markdown|md)?[ \t]*\n([\s\S]*?)\n```$/i);
+  return match ? match[1] : markdown;
+};
+
+/**
+ * Render Markdown to sanitized HTML.
+ *
+ * @param {string} markdown
+ * @param {object} [options]
+ * @param {number} [options.minHeadingLevel=1] - render shallower headings at this level (2 when the page supplies its own h1)
+ * @returns {string}
+ */
+export function renderMarkdown(markdown, { minHeadingLevel = 1 } = {}) {
+  const lines = unwrapFence(String(markdown ?? '').replace(/\r\n?/g, '\n')).split('\n');
+  return renderBlocks(lines, { minHeadingLevel, headingIds: new Map() });
+}
+
+/**
+ * Plain text of a Markdown document, one block per line. Used for excerpts,
+ * word counts and readability scoring.
+ */
+export function markdownToText(markdown) {
+  return decodeHtml(
+    renderMarkdown(markdown)
+      .replace(/<br>\n/g, ' ')
+      .replace(/<\/(p|h\d|li|blockquote|pre|tr|th|td)>/g, '$&\n')
+      .replace(/<[^>]+>/g, '')
+  )
+    .split('\n')
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
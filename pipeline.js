@@ -0,0 +1,301 @@
+import { createClient } from '@supabase/supabase-js';
+import { logger, currentRequestId } from './logger.js';
+import {
+  generateStructure,
+  generateArticle,
+  verifyDraft,
+  polishArticle,
+  generateHtml
+} from './generation.js';
+import { researchFactsCached } from './fact-cache.js';
+import { insertBlogPost } from './posts.js';
+import { readPolished } from './polish-output.js';
+import { recordUsage, loadSubscription, exceededQuota } from './quotas.js';
+import { attachCallsToPost } from './costs.js';
+
+const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+// Stages run in this order; each one's output is checkpointed on the job row
+// under its own key so a failed job can pick up where it left off.
+export const PIPELINE_STAGES = ['structure', 'facts', 'article', 'verify', 'polish', 'html', 'save'];
+
+// Jobs currently executing in this process, so a resume can't start a second runner
+const activeJobs = new Set();
+
+// Generation stages get `options` ({ context, onPrompt }) to pass straight through,
+// and set `locals.skipUsage` when they answered without the model.
+// Jobs created before locales were added have no `input.locale` and use the default.
+const stageRunners = {
+  structure: ({ input, options }) => generateStructure({
+    titleConcept: input.titleConcept,
+    company: input.company,
+    locale: input.locale
+  }, options),
+
+  facts: async ({ input, checkpoints, options, locals }) => {
+    const { facts, misses } = await researchFactsCached({
+      questions: Object.values(checkpoints.structure.research_questions || {}).flat(),
+      locale: input.locale
+    }, options);
+    // Answered entirely from the cache, as on /api/generate/facts
+    if (misses === 0) locals.skipUsage = true;
+    return facts;
+  },
+
+  article: ({ input, checkpoints, options }) => generateArticle({
+    structure: checkpoints.structure,
+    facts: checkpoints.facts,
+    // Without a tone or style the company's brand voice decides
+    tone: input.tone,
+    style: input.style,
+    company: input.company,
+    locale: input.locale
+  }, options),
+
+  verify: ({ input, checkpoints, options }) => verifyDraft({
+    draft: checkpoints.article,
+    facts: checkpoints.facts,
+    locale: input.locale
+  }, options),
+
+  polish: ({ input, checkpoints, options }) => polishArticle({
+    content: checkpoints.article,
+    corrections: checkpoints.verify,
+    locale: input.locale
+  }, options),
+
+  html: ({ input, checkpoints, options }) => {
+    // Jobs polished before the output was parsed checkpointed the raw text
+    const polished = readPolished(checkpoints.polish);
+    return generateHtml({
+      content: polished.body_markdown,
+      metadata: {
+        title: polished.title || checkpoints.structure.title,
+        keywords: checkpoints.structure.keywords || [],
+        author: input.company.company_name,
+        siteName: input.company.company_name
+      },
+      describe: true,
+      facts: checkpoints.facts,
+      locale: input.locale
+    }, options);
+  },
+
+  save: async ({ job, checkpoints, promptVersions }) => {
+    const post = await insertBlogPost({
+      user_id: job.user_id,
+      company_id: job.company_id,
+      title_concept: job.input.titleConcept,
+      structure: checkpoints.structure,
+      facts: checkpoints.facts,
+      article: checkpoints.article,
+      polished: checkpoints.polish,
+      final_html: checkpoints.html,
+      prompt_versions: promptVersions,
+      locale: job.input.locale
+    });
+    await attachCallsToPost(job.id, post.id);
+    return { post_id: post.id };
+  }
+};
+
+async function updateJob(jobId, fields) {
+  const { error } = await supabase
+    .from('pipeline_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', jobId);
+
+  if (error) throw error;
+}
+
+async function fetchJob(jobId, companyIds) {
+  const { data, error } = await supabase
+    .from('pipeline_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .in('company_id', companyIds)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Execute every stage that doesn't have a checkpoint yet, persisting each
+ * stage's output as soon as it finishes. Each stage first checks the quota it
+ * counts against, so a run stops (failed, resumable) once the allowance is
+ * used up rather than overshooting it. Never throws: failures are recorded
+ * on the job row. `releaseSlot`, the caller's held rate-limit slot, is
+ * released once the run ends.
+ */
+async function runPipeline(job, { releaseSlot } = {}) {
+  activeJobs.add(job.id);
+  const checkpoints = { ...(job.checkpoints || {}) };
+  const promptVersions = { ...(job.prompt_versions || {}) };
+  const options = {
+    context: { requestId: currentRequestId(), userId: job.user_id, companyId: job.company_id, pipelineJobId: job.id },
+    onPrompt: ({ name, version }) => {
+      promptVersions[name] = version;
+    }
+  };
+  let currentStage = null;
+
+  try {
+    const subscription = await loadSubscription(job.user_id);
+
+    for (const stage of PIPELINE_STAGES) {
+      if (checkpoints[stage] !== undefined) continue;
+
+      currentStage = stage;
+      const kind = stage === 'save' ? 'post' : 'ai_call';
+      const exceeded = await exceededQuota(job.user_id, subscription, [kind]);
+      if (exceeded) {
+        throw new Error(`Quota exceeded for ${kind} on the ${subscription.plan.name} plan (${exceeded.used} of ${exceeded.limit} used)`);
+      }
+
+      logger.info(`Pipeline ${job.id}: running stage ${stage}`);
+      await updateJob(job.id, { status: 'running', current_stage: stage, error: null });
+
+      const locals = {};
+      checkpoints[stage] = await stageRunners[stage]({ job, input: job.input, checkpoints, promptVersions, options, locals });
+      await updateJob(job.id, { checkpoints, prompt_versions: promptVersions });
+      if (!locals.skipUsage) {
+        await recordUsage({ userId: job.user_id, companyId: job.company_id, kind, stage });
+      }
+    }
+
+    await updateJob(job.id, {
+      status: 'completed',
+      current_stage: null,
+      post_id: checkpoints.save.post_id
+    });
+    logger.info(`Pipeline ${job.id}: completed`);
+  } catch (error) {
+    logger.error(`Pipeline ${job.id}: stage ${currentStage} failed:`, error);
+    try {
+      await updateJob(job.id, {
+        status: 'failed',
+        error: error.validationErrors
+          ? `${error.message}: ${error.validationErrors.join('; ')}`
+          : error.message
+      });
+    } catch (updateError) {
+      logger.error(`Pipeline ${job.id}: could not record failure:`, updateError);
+    }
+  } finally {
+    activeJobs.delete(job.id);
+    releaseSlot?.();
+  }
+}
+
+// Shape a job row for the status endpoint
+const formatJob = (job) => {
+  const checkpoints = job.checkpoints || {};
+  const completedStages = PIPELINE_STAGES.filter((stage) => checkpoints[stage] !== undefined);
+
+  return {
+    jobId: job.id,
+    status: job.status,
+    currentStage: job.current_stage,
+    completedStages,
+    totalStages: PIPELINE_STAGES.length,
+    progress: Math.round((completedStages.length / PIPELINE_STAGES.length) * 100),
+    error: job.error,
+    postId: job.post_id,
+    results: checkpoints,
+    promptVersions: job.prompt_versions || {},
+    createdAt: job.created_at,
+    updatedAt: job.updated_at
+  };
+};
+
+export async function startPipeline(req, res) {
+  try {
+    const { titleConcept, company, tone, style } = req.body;
+
+    if (!titleConcept || !company) {
+      logger.error('Missing required fields:', { titleConcept, company });
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    if (!company.company_name || !company.industry || !company.tagline) {
+      logger.error('Missing company fields', { company });
+      return res.status(400).json({ error: 'Missing company information' });
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('pipeline_jobs')
+      .insert([
+        {
+          user_id: req.user.id,
+          company_id: req.companyId,
+          input: { titleConcept, company, tone, style, locale: req.locale },
+          status: 'queued',
+          checkpoints: {},
+          created_at: now,
+          updated_at: now
+        }
+      ])
+      .select();
+
+    if (error) throw error;
+
+    const job = data[0];
+    logger.info('Pipeline job created:', job.id);
+
+    // Run in the background; progress is polled through GET /api/pipeline/:jobId.
+    // The run counts against the caller's concurrent generations until it ends.
+    runPipeline(job, { releaseSlot: res.locals.holdRateLimitSlot?.() });
+
+    res.status(202).json(formatJob(job));
+  } catch (error) {
+    logger.error('Error starting pipeline:', error);
+    res.status(500).json({ error: 'Failed to start pipeline' });
+  }
+}
+
+export async function getPipelineStatus(req, res) {
+  try {
+    const { jobId } = req.params;
+    const job = await fetchJob(jobId, req.companyIds);
+
+    if (!job) {
+      return res.status(404).json({ error: `Pipeline job ${jobId} not found` });
+    }
+
+    res.json(formatJob(job));
+  } catch (error) {
+    logger.error('Error fetching pipeline status:', error);
+    res.status(500).json({ error: 'Failed to fetch pipeline status' });
+  }
+}
+
+export async function resumePipeline(req, res) {
+  try {
+    const { jobId } = req.params;
+    const job = await fetchJob(jobId, req.companyIds);
+
+    if (!job) {
+      return res.status(404).json({ error: `Pipeline job ${jobId} not found` });
+    }
+
+    if (job.status === 'completed') {
+      return res.status(409).json({ error: 'Pipeline job already completed' });
+    }
+
+    if (activeJobs.has(job.id)) {
+      return res.status(409).json({ error: 'Pipeline job is already running' });
+    }
+
+    // A job left "running" by a restarted process is resumable too
+    logger.info(`Resuming pipeline ${job.id} from stage ${job.current_stage}`);
+    await updateJob(job.id, { status: 'queued', error: null });
+    runPipeline(job, { releaseSlot: res.locals.holdRateLimitSlot?.() });
+
+    res.status(202).json(formatJob({ ...job, status: 'queued', error: null }));
+  } catch (error) {
+    logger.error('Error resuming pipeline:', error);
+    res.status(500).json({ error: 'Failed to resume pipeline' });
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Subscription plans and their per-period allowances.
+ *
+ * Each plan is matched to a Stripe price through an environment variable so
+ * test and live mode can use different price IDs. Quotas reset at the start
+ * of every billing period.
+ */
+export const PLANS = {
+  starter: {
+    id: 'starter',
+    name: 'Starter',
+    priceEnv: 'STRIPE_PRICE_STARTER',
+    quotas: { post: 10, ai_call: 150 }
+  },
+  growth: {
+    id: 'growth',
+    name: 'Growth',
+    priceEnv: 'STRIPE_PRICE_GROWTH',
+    quotas: { post: 40, ai_call: 600 }
+  },
+  agency: {
+    id: 'agency',
+    name: 'Agency',
+    priceEnv: 'STRIPE_PRICE_AGENCY',
+    quotas: { post: 150, ai_call: 2500 }
+  }
+};
+
+// Subscribers on a price we don't recognise (e.g. a legacy price) get this plan
+export const DEFAULT_PLAN = PLANS.starter;
+
+// Stripe subscription statuses in good standing
+export const ACTIVE_STATUSES = ['active', 'trialing'];
+
+// Days a subscriber keeps access after a renewal payment fails, while Stripe retries it
+export const GRACE_PERIOD_DAYS = Number(process.env.BILLING_GRACE_DAYS || 7);
+
+// Billing states that may use the generation routes
+export const ACCESS_STATES = ['trialing', 'active', 'canceling', 'grace_period'];
+
+// Quota kinds, as stored in usage_events.kind
+export const USAGE_KINDS = ['post', 'ai_call'];
+
+/**
+ * Find the plan for a Stripe price ID.
+ * @returns {object|null} the plan, or null when no plan uses that price
+ */
+export function planForPriceId(priceId) {
+  if (!priceId) return null;
+  return Object.values(PLANS).find((plan) => process.env[plan.priceEnv] === priceId) || null;
+}
+
+/**
+ * Whether a plan change from `from` to `to` is an upgrade; plans are listed
+ * in PLANS from smallest to largest.
+ */
+export function isUpgrade(from, to) {
+  const order = Object.keys(PLANS);
+  return order.indexOf(to.id) > order.indexOf(from.id);
+}
+
+/**
+ * Where a subscription stands, as one of:
+ * - `trialing` / `active`: in good standing
+ * - `canceling`: in good standing, but won't renew when the period ends
+ * - `grace_period`: past due after a failed payment, still usable until `gracePeriodEnd`
+ * - `past_due`: past due and the grace period is over
+ * - `incomplete`: the first payment hasn't gone through yet
+ * - `unpaid`: Stripe gave up retrying
+ * - `inactive`: no subscription, or it has ended
+ *
+ * @param {object} subscription - as loaded by quotas.js (status, periodStart, periodEnd, cancelAtPeriodEnd, gracePeriodEnd)
+ */
+export function billingState(subscription, now = new Date()) {
+  const { status, periodStart, periodEnd, cancelAtPeriodEnd, gracePeriodEnd } = subscription;
+
+  if (ACTIVE_STATUSES.includes(status)) {
+    if (periodEnd && periodEnd <= now) return 'inactive';
+    return cancelAtPeriodEnd ? 'canceling' : status;
+  }
+  if (status === 'past_due') {
+    // The failed-payment webhook may not have arrived yet; renewals fail at the period start
+    const graceEnd = gracePeriodEnd || (periodStart && new Date(periodStart.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000));
+    return graceEnd && graceEnd > now ? 'grace_period' : 'past_due';
+  }
+  if (status === 'incomplete' || status === 'unpaid') return status;
+  return 'inactive';
+}
+
+export const hasAccess = (subscription) => ACCESS_STATES.includes(billingState(subscription));
@@ -0,0 +1,103 @@
+/**
+ * The polish stage's output. The model answers with an <analysis> block and
+ * the post wrapped in <polished_blog_post><title>…</title><body>…</body>;
+ * this turns that into `{ title, body_markdown, analysis, changes }`, with the
+ * body as Markdown that can go straight to the HTML renderer.
+ */
+
+const PLACEHOLDERS = ['[Title here]', '[Main content here in paragraphs]', '[The polished post in Markdown]'];
+
+// Section headings; the draft's "# Title" isn't expected in the body
+const HEADING = /^#{2,6}[ \t]+\S/m;
+
+const tagContent = (text, tag) => {
+  const match = text.match(new RegExp(`<${tag}>([\\s\\S]*?)(</${tag}>|$)`));
+  return match ? { content: match[1], closed: Boolean(match[2]) } : null;
+};
+
+// The body template is indented inside the markup, and models copy that;
+// indented "## Heading" lines would stop being headings
+const dedent = (text) => {
+  const lines = text.split('\n');
+  const indent = Math.min(...lines.filter((line) => line.trim()).map((line) => line.match(/^[ \t]*/)[0].length));
+  return Number.isFinite(indent) && indent > 0 ? lines.map((line) => line.slice(indent)).join('\n') : text;
+};
+
+const cleanBody = (body) => dedent(body.replace(/^[ \t]*\n|\n[ \t]*$/g, ''))
+  // A body wrapped whole in a ```markdown fence
+  .replace(/^```(?:markdown|md)?[ \t]*\n([\s\S]*?)\n```[ \t]*$/, '$1')
+  .trim();
+
+const cleanTitle = (title) => title
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/^#{1,6}\s+/, '')
+  .replace(/^(\*\*|__)(.*)\1$/, '$2')
+  .replace(/^["“](.*)["”]$/, '$1')
+  .trim();
+
+// Changes are the analysis's bullet points
+const changesIn = (analysis) => analysis
+  .split('\n')
+  .map((line) => line.match(/^[ \t]*(?:[-*•]|\d{1,3}[.)])[ \t]+(.+)$/)?.[1]?.trim())
+  .filter(Boolean);
+
+/**
+ * Parse raw polish output, without judging it (see polishProblems).
+ *
+ * @returns {{ title: string|null, body_markdown: string|null, analysis: string, changes: string[], unclosed: string[] }}
+ *   `unclosed` names the tags that were opened but never closed
+ */
+export function parsePolished(text) {
+  const raw = String(text ?? '');
+  const post = tagContent(raw, 'polished_blog_post');
+  const scope = post ? post.content : raw;
+  const title = tagContent(scope, 'title');
+  const body = tagContent(scope, 'body');
+  const analysis = tagContent(raw, 'analysis')?.content.trim() || '';
+
+  return {
+    title: title ? cleanTitle(title.content) || null : null,
+    body_markdown: body ? cleanBody(body.content) || null : null,
+    analysis,
+    changes: changesIn(analysis),
+    unclosed: [['polished_blog_post', post], ['title', title], ['body', body]]
+      .filter(([, tag]) => tag && !tag.closed)
+      .map(([name]) => name)
+  };
+}
+
+/**
+ * What is wrong with parsed polish output. With the `draft` that was
+ * polished, a body that lost all of the draft's Markdown headings is wrong too.
+ * @returns {string[]} empty when the output can be used
+ */
+export function polishProblems(parsed, draft) {
+  const problems = parsed.unclosed.map((tag) => `The <${tag}> tag is never closed; the response may have been cut off`);
+  if (!parsed.title) {
+    problems.push('The post has no title: put it in <title>...</title> inside <polished_blog_post>');
+  } else if (PLACEHOLDERS.includes(parsed.title)) {
+    problems.push('The <title> still holds the template placeholder instead of the title');
+  }
+  if (!parsed.body_markdown) {
+    problems.push('The post has no body: put the polished Markdown in <body>...</body> inside <polished_blog_post>');
+  } else if (PLACEHOLDERS.includes(parsed.body_markdown)) {
+    problems.push('The <body> still holds the template placeholder instead of the post');
+  } else if (HEADING.test(draft || '') && !HEADING.test(parsed.body_markdown)) {
+    problems.push('The body has no Markdown headings: keep the draft\'s "##" section headings');
+  }
+  return problems;
+}
+
+/**
+ * A post's stored `polished` value as `{ title, body_markdown, analysis, changes }`.
+ * Posts polished before the output was parsed hold the raw model text; text
+ * without the markup is taken as the body itself.
+ */
+export function readPolished(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+
+  const { unclosed, ...parsed } = parsePolished(value);
+  return { ...parsed, body_markdown: parsed.body_markdown || value.trim() };
+}
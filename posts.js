@@ -0,0 +1,431 @@
+import { createClient } from '@supabase/supabase-js';
+import { logger } from './logger.js';
+import { belongsToCompany } from './auth.js';
+import { REVISION_FIELDS, recordRevision, recordCreationRevisions, listRevisions, fetchRevision } from './revisions.js';
+import { unifiedDiff } from './diff.js';
+import { DEFAULT_LOCALE, parseLocale, LOCALE_ERROR } from './locales.js';
+
+const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Columns PATCH /api/posts/:id may change; ownership and timestamps are server-managed
+const EDITABLE_FIELDS = ['title_concept', 'structure', 'facts', 'article', 'polished', 'final_html', 'status'];
+
+// Where a post is in the editorial workflow; publishing to a CMS is tracked separately in `publications`
+export const POST_STATUSES = ['draft', 'in_review', 'published', 'archived'];
+
+// `polished` holds the parsed polish output (see polish-output.js), or raw
+// text as posts polished before parsing do; readPolished reads either
+const isPolished = (value) => {
+  if (value === null || typeof value === 'string') return true;
+  if (typeof value !== 'object' || Array.isArray(value)) return false;
+  const { title, body_markdown, analysis, changes } = value;
+  return typeof title === 'string'
+    && typeof body_markdown === 'string'
+    && (analysis === undefined || typeof analysis === 'string')
+    && (changes === undefined || (Array.isArray(changes) && changes.every((change) => typeof change === 'string')));
+};
+
+// Create metadata object from available data
+const buildMetadata = (structure, facts) => ({
+  title: structure?.title,
+  keywords: structure?.keywords || [],
+  sections: structure?.sections || [],
+  research_questions: structure?.research_questions || {},
+  facts: facts || {}
+});
+
+// Cursors are opaque to clients: the sort key of the last row on the page
+const encodeCursor = (post) =>
+  Buffer.from(JSON.stringify({ created_at: post.created_at, id: post.id })).toString('base64url');
+
+// A decoded cursor goes into a PostgREST filter, so it must hold exactly what
+// encodeCursor puts there: a UUID and an ISO timestamp
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})$/;
+
+const decodeCursor = (cursor) => {
+  try {
+    const { created_at, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof id !== 'string' || !UUID.test(id)) return null;
+    if (typeof created_at !== 'string' || !ISO_TIMESTAMP.test(created_at) || Number.isNaN(Date.parse(created_at))) return null;
+    return { created_at, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Insert a blog post row, deriving its metadata from the structure and facts.
+ * Shared by POST /api/posts and the pipeline's final save stage.
+ */
+export async function insertBlogPost({
+  user_id,
+  company_id,
+  title_concept,
+  structure,
+  facts,
+  article,
+  polished,
+  final_html,
+  prompt_versions = {},
+  locale = DEFAULT_LOCALE,
+  translation_of = null
+}) {
+  const metadata = buildMetadata(structure, facts);
+
+  const { data, error } = await supabase
+    .from('blog_posts')
+    .insert([
+      {
+        user_id,
+        company_id,
+        title_concept,
+        structure,
+        facts,
+        article,
+        polished,
+        final_html,
+        prompt_versions,
+        metadata,
+        locale,
+        translation_of,
+        created_at: new Date().toISOString()
+      }
+    ])
+    .select();
+
+  if (error) throw error;
+
+  const post = data[0];
+  await recordCreationRevisions({ post, authorId: user_id });
+  return post;
+}
+
+/**
+ * Fetch one blog post, confined to the given companies.
+ * Resolves with null when the post doesn't exist or belongs to another tenant.
+ */
+export async function fetchBlogPost(id, companyIds) {
+  const { data, error } = await supabase
+    .from('blog_posts')
+    .select('*')
+    .eq('id', id)
+    .in('company_id', companyIds)
+    .maybeSingle();  // Use maybeSingle() instead of single() to avoid errors
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * List blog posts for the caller's companies, newest first.
+ *
+ * Query params: `company_id`, `status`, `locale`, `created_after` / `created_before`
+ * (ISO dates), `q` (full-text search over title and article), `limit`
+ * (default 20, max 100) and `cursor`. The cursor for the next page comes back
+ * in the `X-Next-Cursor` header, which is absent on the last page.
+ * @route GET /api/posts
+ */
+export async function listPosts(req, res) {
+  try {
+    const { company_id, status, created_after, created_before, q, cursor } = req.query;
+    const locale = req.query.locale && parseLocale(req.query.locale);
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+    }
+    if (company_id && !belongsToCompany(req, company_id)) {
+      return res.status(403).json({ error: 'You do not have access to this company' });
+    }
+    if (req.query.locale && !locale) {
+      return res.status(400).json({ error: LOCALE_ERROR });
+    }
+    for (const [name, value] of Object.entries({ created_after, created_before })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `Invalid "${name}" date` });
+      }
+    }
+
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    logger.info('Fetching blog posts...', { company_id, status, q, limit });
+
+    let query = supabase
+      .from('blog_posts')
+      .select('*')
+      .in('company_id', company_id ? [company_id] : req.companyIds)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);  // One extra row tells us whether there is a next page
+
+    if (status) query = query.eq('status', status);
+    if (locale) query = query.eq('locale', locale);
+    if (created_after) query = query.gte('created_at', created_after);
+    if (created_before) query = query.lt('created_at', created_before);
+    if (q) query = query.textSearch('search_document', q, { type: 'websearch', config: 'english' });
+    if (after) {
+      query = query.or(`created_at.lt."${after.created_at}",and(created_at.eq."${after.created_at}",id.lt."${after.id}")`);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const posts = data.slice(0, limit);
+    if (data.length > limit) {
+      res.set('X-Next-Cursor', encodeCursor(posts[posts.length - 1]));
+    }
+
+    logger.info('Blog posts fetched successfully');
+    res.json(posts);
+  } catch (error) {
+    logger.error('Error fetching blog posts:', error);
+    res.status(500).json({ error: 'Failed to fetch blog posts' });
+  }
+}
+
+/**
+ * Update the editable fields of a blog post
+ * @route PATCH /api/posts/:id
+ */
+export async function updatePost(req, res) {
+  try {
+    const { id } = req.params;
+    const unknownFields = Object.keys(req.body).filter((field) => !EDITABLE_FIELDS.includes(field));
+
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        error: `These fields cannot be updated: ${unknownFields.join(', ')}`,
+        editableFields: EDITABLE_FIELDS
+      });
+    }
+    if (Object.keys(req.body).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+    if ('status' in req.body && !POST_STATUSES.includes(req.body.status)) {
+      return res.status(400).json({ error: `status must be one of: ${POST_STATUSES.join(', ')}` });
+    }
+    if ('polished' in req.body && !isPolished(req.body.polished)) {
+      return res.status(400).json({
+        error: 'polished must be a string or an object with string title and body_markdown'
+      });
+    }
+
+    const existingPost = await fetchBlogPost(id, req.companyIds);
+    if (!existingPost) {
+      return res.status(404).json({ error: `Post with ID ${id} not found` });
+    }
+
+    const fields = { ...req.body, updated_at: new Date().toISOString() };
+    if ('structure' in req.body || 'facts' in req.body) {
+      fields.metadata = {
+        ...existingPost.metadata,
+        ...buildMetadata(req.body.structure ?? existingPost.structure, req.body.facts ?? existingPost.facts)
+      };
+    }
+
+    const { data, error } = await supabase
+      .from('blog_posts')
+      .update(fields)
+      .eq('id', id)
+      .select();
+
+    if (error) throw error;
+
+    await recordRevision({ post: data[0], authorId: req.user.id, stage: 'edit' });
+
+    logger.info('Blog post updated successfully:', id);
+    res.json(data[0]);
+  } catch (error) {
+    logger.error('Error updating blog post:', error);
+    res.status(500).json({ error: 'Failed to update blog post' });
+  }
+}
+
+/**
+ * Delete a blog post
+ * @route DELETE /api/posts/:id
+ */
+export async function deletePost(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('blog_posts')
+      .delete()
+      .eq('id', id)
+      .in('company_id', req.companyIds)
+      .select('id');
+
+    if (error) throw error;
+
+    if (data.length === 0) {
+      return res.status(404).json({ error: `Post with ID ${id} not found` });
+    }
+
+    logger.info('Blog post deleted successfully:', id);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting blog post:', error);
+    res.status(500).json({ error: 'Failed to delete blog post' });
+  }
+}
+
+// Revision numbers come from the URL or query string
+const parseRevisionNumber = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// Text columns diff as-is; JSON columns diff as indented JSON
+const diffableText = (value) =>
+  value === null || value === undefined || typeof value === 'string'
+    ? value ?? ''
+    : JSON.stringify(value, null, 2);
+
+/**
+ * List a post's revisions, newest first
+ * @route GET /api/posts/:id/revisions
+ */
+export async function listPostRevisions(req, res) {
+  try {
+    const { id } = req.params;
+    const post = await fetchBlogPost(id, req.companyIds);
+    if (!post) {
+      return res.status(404).json({ error: `Post with ID ${id} not found` });
+    }
+
+    res.json(await listRevisions(id));
+  } catch (error) {
+    logger.error('Error listing post revisions:', error);
+    res.status(500).json({ error: 'Failed to list post revisions' });
+  }
+}
+
+/**
+ * Get one revision of a post, including its snapshot
+ * @route GET /api/posts/:id/revisions/:number
+ */
+export async function getPostRevision(req, res) {
+  try {
+    const { id } = req.params;
+    const number = parseRevisionNumber(req.params.number);
+    if (!number) {
+      return res.status(400).json({ error: 'Revision number must be a positive integer' });
+    }
+
+    const post = await fetchBlogPost(id, req.companyIds);
+    if (!post) {
+      return res.status(404).json({ error: `Post with ID ${id} not found` });
+    }
+
+    const revision = await fetchRevision(id, number);
+    if (!revision) {
+      return res.status(404).json({ error: `Revision ${number} of post ${id} not found` });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    logger.error('Error fetching post revision:', error);
+    res.status(500).json({ error: 'Failed to fetch post revision' });
+  }
+}
+
+/**
+ * Diff two revisions of a post field by field. `from` and `to` are revision
+ * numbers; `to` defaults to the latest revision.
+ * @route GET /api/posts/:id/revisions/diff?from=&to=
+ */
+export async function diffPostRevisions(req, res) {
+  try {
+    const { id } = req.params;
+    const from = parseRevisionNumber(req.query.from);
+    const to = req.query.to === undefined ? undefined : parseRevisionNumber(req.query.to);
+    if (!from || to === null) {
+      return res.status(400).json({ error: '"from" (and optional "to") must be positive revision numbers' });
+    }
+
+    const post = await fetchBlogPost(id, req.companyIds);
+    if (!post) {
+      return res.status(404).json({ error: `Post with ID ${id} not found` });
+    }
+
+    const toNumber = to ?? (await listRevisions(id))[0]?.revision_number;
+    const [fromRevision, toRevision] = await Promise.all([
+      fetchRevision(id, from),
+      toNumber ? fetchRevision(id, toNumber) : null
+    ]);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: `Revision ${fromRevision ? toNumber : from} of post ${id} not found` });
+    }
+
+    const fields = REVISION_FIELDS
+      .map((field) => ({
+        field,
+        diff: unifiedDiff(
+          diffableText(fromRevision.snapshot[field]),
+          diffableText(toRevision.snapshot[field]),
+          { fromLabel: `revision ${from}/${field}`, toLabel: `revision ${toNumber}/${field}` }
+        )
+      }))
+      .filter(({ diff }) => diff);
+
+    res.json({ from, to: toNumber, fields });
+  } catch (error) {
+    logger.error('Error diffing post revisions:', error);
+    res.status(500).json({ error: 'Failed to diff post revisions' });
+  }
+}
+
+/**
+ * Restore a post to an earlier revision. The restore is itself recorded as a
+ * new revision, so it can be undone the same way.
+ * @route POST /api/posts/:id/revisions/:number/restore
+ */
+export async function restorePostRevision(req, res) {
+  try {
+    const { id } = req.params;
+    const number = parseRevisionNumber(req.params.number);
+    if (!number) {
+      return res.status(400).json({ error: 'Revision number must be a positive integer' });
+    }
+
+    const existingPost = await fetchBlogPost(id, req.companyIds);
+    if (!existingPost) {
+      return res.status(404).json({ error: `Post with ID ${id} not found` });
+    }
+
+    const revision = await fetchRevision(id, number);
+    if (!revision) {
+      return res.status(404).json({ error: `Revision ${number} of post ${id} not found` });
+    }
+
+    logger.info(`Restoring post ${id} to revision ${number}`);
+    const { snapshot } = revision;
+    const { data, error } = await supabase
+      .from('blog_posts')
+      .update({
+        ...Object.fromEntries(REVISION_FIELDS.map((field) => [field, snapshot[field] ?? null])),
+        metadata: { ...existingPost.metadata, ...buildMetadata(snapshot.structure, snapshot.facts) },
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select();
+
+    if (error) throw error;
+
+    await recordRevision({ post: data[0], authorId: req.user.id, stage: 'restore', restoredFrom: number });
+
+    logger.info('Blog post restored successfully:', id);
+    res.json(data[0]);
+  } catch (error) {
+    logger.error('Error restoring post revision:', error);
+    res.status(500).json({ error: 'Failed to restore post revision' });
+  }
+}
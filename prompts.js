@@ -0,0 +1,143 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createClient } from '@supabase/supabase-js';
+import { logger } from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, 'prompts');
+
+const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+/**
+ * Named prompt templates and the variables each one may use. Templates live in
+ * prompts/<name>.md and reference variables as {{name}} or {{object.field}};
+ * every placeholder in a template is required when it is rendered.
+ */
+export const PROMPT_TEMPLATES = {
+  structure: ['titleConcept', 'company'],
+  facts: ['questions', 'currency'],
+  article: ['structure', 'facts', 'sources', 'tone', 'style', 'company'],
+  verify: ['draft', 'citations'],
+  polish: ['content', 'corrections'],
+  html: ['content', 'title', 'keywords'],
+  social: [],
+  email: ['content'],
+  translate: ['title', 'keywords', 'content']
+};
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Company overrides are cached briefly so a busy pipeline doesn't hit the database on every stage
+const OVERRIDE_CACHE_TTL_MS = Number(process.env.PROMPT_OVERRIDE_CACHE_TTL_MS || 60000);
+const overrideCache = new Map();
+
+// The version ID is derived from the template text, so any edit produces a new one
+const versionOf = (name, template) =>
+  `${name}@${crypto.createHash('sha256').update(template).digest('hex').slice(0, 12)}`;
+
+const placeholdersOf = (template) => [...new Set([...template.matchAll(PLACEHOLDER)].map((match) => match[1]))];
+
+// Only the root of a dotted placeholder has to be one of the template's variables
+const unknownVariables = (name, template) =>
+  placeholdersOf(template).filter((placeholder) => !PROMPT_TEMPLATES[name].includes(placeholder.split('.')[0]));
+
+const loadDefaultTemplates = () => Object.fromEntries(Object.keys(PROMPT_TEMPLATES).map((name) => {
+  const template = fs.readFileSync(path.join(PROMPTS_DIR, `${name}.md`), 'utf8').trim();
+  const unknown = unknownVariables(name, template);
+  if (unknown.length > 0) {
+    throw new Error(`Prompt template "${name}" uses unknown variables: ${unknown.join(', ')}`);
+  }
+  return [name, { name, template, version: versionOf(name, template), source: 'default' }];
+}));
+
+const defaultTemplates = loadDefaultTemplates();
+
+async function fetchOverride(companyId, name) {
+  const { data, error } = await supabase
+    .from('prompt_templates')
+    .select('template')
+    .eq('company_id', companyId)
+    .eq('name', name)
+    .eq('active', true)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.template?.trim() || null;
+}
+
+/**
+ * Resolve the template a company should use for `name`: its active override
+ * from the prompt_templates table if it has a valid one, otherwise the default.
+ * Overrides that fail to load or reference unknown variables are logged and
+ * skipped so a bad row can't take generation down.
+ */
+export async function resolvePromptTemplate(name, companyId) {
+  const fallback = defaultTemplates[name];
+  if (!fallback) {
+    throw new Error(`Unknown prompt template: ${name}`);
+  }
+  if (!companyId) return fallback;
+
+  const cacheKey = `${companyId}:${name}`;
+  const cached = overrideCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) return cached.template;
+
+  let resolved = fallback;
+  try {
+    const template = await fetchOverride(companyId, name);
+    if (template) {
+      const unknown = unknownVariables(name, template);
+      if (unknown.length > 0) {
+        logger.error(`Ignoring ${name} prompt override for company ${companyId}, unknown variables:`, unknown);
+      } else {
+        resolved = { name, template, version: versionOf(name, template), source: 'company' };
+      }
+    }
+  } catch (error) {
+    logger.error(`Error loading ${name} prompt override for company ${companyId}:`, error);
+    return fallback;
+  }
+
+  overrideCache.set(cacheKey, { template: resolved, expiresAt: Date.now() + OVERRIDE_CACHE_TTL_MS });
+  return resolved;
+}
+
+const lookup = (variables, placeholder) =>
+  placeholder.split('.').reduce((value, key) => value?.[key], variables);
+
+/**
+ * Render a named prompt for a company with the given variables.
+ * Strings are inserted as-is; anything else is inserted as indented JSON.
+ *
+ * @returns {Promise<{ text: string, version: string }>}
+ * @throws {Error} with `missingVariables` when a placeholder has no value
+ */
+export async function renderPrompt(name, variables, { companyId } = {}) {
+  const { template, version } = await resolvePromptTemplate(name, companyId);
+
+  const missing = placeholdersOf(template).filter((placeholder) => lookup(variables, placeholder) == null);
+  if (missing.length > 0) {
+    const error = new Error(`Missing prompt variables for "${name}": ${missing.join(', ')}`);
+    error.missingVariables = missing;
+    throw error;
+  }
+
+  const text = template.replace(PLACEHOLDER, (match, placeholder) => {
+    const value = lookup(variables, placeholder);
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  });
+
+  return { text, version };
+}
+
+/**
+ * An `onPrompt` callback that reports the prompt version to the client in the
+ * X-Prompt-Version response header.
+ */
+export const promptVersionHeader = (res) => ({ version }) => {
+  res.set('X-Prompt-Version', version);
+};
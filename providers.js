@@ -0,0 +1,259 @@
+import OpenAI from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
+// IMPORTANT: Use a namespace import for @google/generative-ai
+import * as generativeAi from '@google/generative-ai';
+import { logger } from './logger.js';
+import { getStageConfig } from './llm-config.js';
+import { fakeProvider } from './fake-provider.js';
+import { recordAiCall } from './costs.js';
+import { acquireProviderSlot } from './rate-limits.js';
+
+// Extract classes from the namespace
+const { GoogleGenerativeAI } = generativeAi;
+
+// Clients are created on first use so the API can boot (e.g. with the fake
+// provider) without every vendor key present.
+const clients = {};
+
+const getGoogleClient = () => {
+  const apiKey = process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
+  if (!apiKey) {
+    throw new Error('Missing Google PaLM / Gemini API Key. Set GOOGLE_API_KEY or GEMINI_API_KEY in your .env');
+  }
+  clients.google ??= new GoogleGenerativeAI(apiKey);
+  return clients.google;
+};
+
+const getOpenAIClient = () => {
+  clients.openai ??= new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  return clients.openai;
+};
+
+const getAnthropicClient = () => {
+  clients.anthropic ??= new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  return clients.anthropic;
+};
+
+/**
+ * Provider adapters. Each one takes a resolved stage config plus the request
+ * and resolves with `{ text, usage }`, where usage is
+ * `{ inputTokens, outputTokens }` as reported by the vendor.
+ * When `onToken` is given the adapter streams and forwards each text delta.
+ */
+const providers = {
+  gemini: {
+    isConfigured: () => Boolean(process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY),
+
+    async complete(config, { system, prompt, onToken, signal }) {
+      const model = getGoogleClient().getGenerativeModel({
+        model: config.model,
+        ...(system && { systemInstruction: system })
+      });
+
+      const request = {
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: {
+          temperature: config.temperature,
+          maxOutputTokens: config.maxTokens,
+          candidateCount: 1,
+          stopSequences: []
+        },
+        ...(config.search && {
+          tools: [{
+            functionDeclarations: [{
+              name: 'google_search'
+            }]
+          }]
+        }),
+        safetySettings: []
+      };
+
+      const usageFrom = (metadata) => ({
+        inputTokens: metadata?.promptTokenCount ?? 0,
+        outputTokens: metadata?.candidatesTokenCount ?? 0
+      });
+
+      if (onToken) {
+        const result = await model.generateContentStream(request, { signal });
+        let text = '';
+        for await (const chunk of result.stream) {
+          const delta = chunk.text();
+          if (delta) {
+            text += delta;
+            onToken(delta);
+          }
+        }
+        const response = await result.response;
+        return { text, usage: usageFrom(response.usageMetadata) };
+      }
+
+      const result = await model.generateContent(request, { signal });
+      const response = await result.response;
+      return { text: response.text(), usage: usageFrom(response.usageMetadata) };
+    }
+  },
+
+  openai: {
+    isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+
+    async complete(config, { system, prompt, onToken, signal }) {
+      const request = {
+        model: config.model,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          { role: 'user', content: prompt }
+        ],
+        ...(config.maxTokens && { max_tokens: config.maxTokens }),
+        ...(config.temperature !== undefined && { temperature: config.temperature })
+      };
+
+      const usageFrom = (usage) => ({
+        inputTokens: usage?.prompt_tokens ?? 0,
+        outputTokens: usage?.completion_tokens ?? 0
+      });
+
+      if (onToken) {
+        const stream = await getOpenAIClient().chat.completions.create(
+          { ...request, stream: true, stream_options: { include_usage: true } },
+          { signal }
+        );
+        let text = '';
+        let usage;
+        for await (const chunk of stream) {
+          const delta = chunk.choices[0]?.delta?.content;
+          if (delta) {
+            text += delta;
+            onToken(delta);
+          }
+          if (chunk.usage) usage = chunk.usage;
+        }
+        return { text, usage: usageFrom(usage) };
+      }
+
+      const completion = await getOpenAIClient().chat.completions.create(request, { signal });
+      return { text: completion.choices[0].message.content, usage: usageFrom(completion.usage) };
+    }
+  },
+
+  anthropic: {
+    isConfigured: () => Boolean(process.env.ANTHROPIC_API_KEY),
+
+    async complete(config, { system, prompt, onToken, signal }) {
+      const request = {
+        model: config.model,
+        max_tokens: config.maxTokens || 8192,
+        messages: [{ role: 'user', content: prompt }],
+        ...(system && { system }),
+        ...(config.temperature !== undefined && { temperature: config.temperature })
+      };
+
+      if (onToken) {
+        const stream = await getAnthropicClient().messages.create({ ...request, stream: true }, { signal });
+        let text = '';
+        const usage = { inputTokens: 0, outputTokens: 0 };
+        for await (const event of stream) {
+          if (event.type === 'message_start') {
+            usage.inputTokens = event.message.usage?.input_tokens ?? 0;
+          } else if (event.type === 'message_delta') {
+            usage.outputTokens = event.usage?.output_tokens ?? usage.outputTokens;
+          } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+            text += event.delta.text;
+            onToken(event.delta.text);
+          }
+        }
+        return { text, usage };
+      }
+
+      const message = await getAnthropicClient().messages.create(request, { signal });
+      return {
+        text: message.content[0].text,
+        usage: {
+          inputTokens: message.usage?.input_tokens ?? 0,
+          outputTokens: message.usage?.output_tokens ?? 0
+        }
+      };
+    }
+  },
+
+  fake: fakeProvider
+};
+
+const getProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return provider;
+};
+
+/**
+ * Build the accounting context for AI calls made while handling a request,
+ * including its correlation ID so each call can be traced back to it.
+ */
+export const contextFromRequest = (req, fields = {}) => ({
+  requestId: req.id,
+  userId: req.user?.id,
+  companyId: req.companyId,
+  ...fields
+});
+
+/**
+ * Run one generation stage against its configured provider, failing over to
+ * the stage's fallback provider if the primary errors out.
+ *
+ * @param {string} stage - structure, facts, article, verify, polish, html, social or email
+ * @param {object} request
+ * @param {string} request.prompt - the user prompt
+ * @param {string} [request.system] - optional system prompt
+ * @param {object} [request.variables] - the structured inputs behind the prompt (used by the fake provider)
+ * @param {string} [request.promptVersion] - version ID of the prompt template, recorded with the call
+ * @param {object} [request.context] - who the call is for ({ requestId, userId, companyId, postId, pipelineJobId }), for cost accounting
+ * @param {function} [request.onToken] - stream text deltas to this callback
+ * @param {AbortSignal} [request.signal] - abort the request
+ * @returns {Promise<{ text: string, usage: object, provider: string, model: string }>}
+ */
+export async function generate(stage, request) {
+  const { primary, fallback } = getStageConfig(stage);
+
+  // Once tokens have gone out to a streaming client we can't switch providers
+  // without sending a second, different answer on top of the first one.
+  let streamed = false;
+  const onToken = request.onToken && ((token) => {
+    streamed = true;
+    request.onToken(token);
+  });
+
+  const attempt = async (config) => {
+    const release = await acquireProviderSlot(config.provider, {
+      key: request.context?.userId || request.context?.companyId,
+      signal: request.signal
+    });
+    let result;
+    try {
+      logger.info(`Running ${stage} on ${config.provider} (${config.model})`);
+      result = await getProvider(config.provider).complete(config, { ...request, stage, onToken });
+    } finally {
+      release();
+    }
+    recordAiCall({
+      context: request.context,
+      stage,
+      provider: config.provider,
+      model: config.model,
+      usage: result.usage,
+      promptVersion: request.promptVersion
+    });
+    return { ...result, provider: config.provider, model: config.model };
+  };
+
+  try {
+    return await attempt(primary);
+  } catch (error) {
+    if (request.signal?.aborted || streamed || !fallback || !getProvider(fallback.provider).isConfigured()) {
+      throw error;
+    }
+
+    logger.error(`${stage} failed on ${primary.provider} (${primary.model}), failing over to ${fallback.provider} (${fallback.model}):`, error);
+    return attempt(fallback);
+  }
+}
@@ -0,0 +1,150 @@
+import { createClient } from '@supabase/supabase-js';
+import { logger } from './logger.js';
+import { fetchBlogPost } from './posts.js';
+import { fetchConnection, connectionHandlers, invalidCredentialUrls } from './connections.js';
+import { cmsAdapters, CMS_PLATFORMS, slugify } from './cms-adapters.js';
+import { renderMarkdown } from './markdown.js';
+import { excerptDescription } from './html-renderer.js';
+import { updateTranslationAlternates } from './translations.js';
+
+const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const PUBLISH_STATUSES = ['draft', 'live'];
+
+// The body of the saved page: the <article> of final_html without its <h1>,
+// or the Markdown rendered directly when no HTML has been generated yet
+const articleHtml = (post) => {
+  const article = post.final_html?.match(/<article>([\s\S]*?)<\/article>/)?.[1];
+  if (article) return article.replace(/^\s*<h1>[\s\S]*?<\/h1>\s*/, '').trim();
+  if (post.final_html) return post.final_html;
+  return renderMarkdown(post.article || '', { minHeadingLevel: 2 });
+};
+
+const metaDescription = (post) => post.final_html
+  ?.match(/<meta name="description" content="([^"]*)">/)?.[1]
+  ?.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+const articleFromPost = (post) => {
+  const title = post.metadata?.title || post.structure?.title || post.title_concept;
+  return {
+    title,
+    html: articleHtml(post),
+    excerpt: metaDescription(post) || excerptDescription(post.article),
+    tags: post.structure?.keywords || post.metadata?.keywords || [],
+    slug: slugify(title || `post-${post.id}`)
+  };
+};
+
+// Remote failures carry the CMS's status; timeouts surface as TimeoutError.
+// The remote body stays in the logs.
+const publishErrorResponse = (error, adapter) => {
+  if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+    return { status: 504, body: { error: `${adapter.name} did not respond in time` } };
+  }
+  if (error.status) {
+    return {
+      status: 502,
+      body: { error: `${adapter.name} rejected the publish request`, remoteStatus: error.status }
+    };
+  }
+  return { status: 500, body: { error: `Failed to publish to ${adapter.name}` } };
+};
+
+const cmsConnections = connectionHandlers({ table: 'cms_connections', adapters: cmsAdapters, label: 'CMS' });
+
+/**
+ * List a company's CMS connections (credentials are never returned)
+ * @route GET /api/companies/:companyId/cms
+ */
+export const listCmsConnections = cmsConnections.list;
+
+/**
+ * Store (or replace) a company's credentials and settings for one CMS
+ * @route PUT /api/companies/:companyId/cms/:platform
+ */
+export const saveCmsConnection = cmsConnections.save;
+
+/**
+ * Remove a company's connection to one CMS
+ * @route DELETE /api/companies/:companyId/cms/:platform
+ */
+export const deleteCmsConnection = cmsConnections.remove;
+
+/**
+ * Publish a post to one of its company's CMSs, as a draft or live.
+ * The remote ID and URL are recorded under `publications[platform]` on the
+ * post, and publishing again updates that same remote entry.
+ * @route POST /api/posts/:id/publish
+ */
+export async function publishPost(req, res) {
+  const { id } = req.params;
+  const { platform, status = 'draft' } = req.body;
+  // Own keys only: "constructor" and friends are not platforms
+  const adapter = Object.hasOwn(cmsAdapters, platform) ? cmsAdapters[platform] : null;
+
+  if (!adapter) {
+    return res.status(400).json({ error: `Please provide "platform" as one of: ${CMS_PLATFORMS.join(', ')}` });
+  }
+  if (!PUBLISH_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `"status" must be one of: ${PUBLISH_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const post = await fetchBlogPost(id, req.companyIds);
+    if (!post) {
+      return res.status(404).json({ error: `Post with ID ${id} not found` });
+    }
+    if (!post.final_html && !post.article) {
+      return res.status(409).json({ error: 'Post has no content to publish yet' });
+    }
+
+    const connection = await fetchConnection('cms_connections', post.company_id, platform);
+    if (!connection) {
+      return res.status(400).json({ error: `No ${adapter.name} connection is configured for this company` });
+    }
+    // Connections saved before base URLs were checked
+    const invalidUrls = invalidCredentialUrls(adapter, connection.credentials);
+    if (invalidUrls.length > 0) {
+      return res.status(400).json({
+        error: `The ${adapter.name} connection's ${invalidUrls.join(', ')} must be an https URL on a public host; save it again`
+      });
+    }
+
+    const previous = post.publications?.[platform];
+    logger.info(`Publishing post ${id} to ${adapter.name} as ${status}`, { remoteId: previous?.remote_id });
+
+    const result = await adapter.publish(connection, {
+      article: articleFromPost(post),
+      status,
+      remoteId: previous?.remote_id
+    });
+
+    const publication = {
+      remote_id: result.remoteId,
+      url: result.url,
+      status: result.status,
+      published_at: new Date().toISOString()
+    };
+
+    const { error } = await supabase
+      .from('blog_posts')
+      .update({ publications: { ...post.publications, [platform]: publication } })
+      .eq('id', id);
+
+    if (error) throw error;
+
+    logger.info(`Post ${id} published to ${adapter.name}:`, publication);
+
+    // The post is published either way; its language versions can catch up on the next publish
+    try {
+      await updateTranslationAlternates(post);
+    } catch (alternatesError) {
+      logger.error(`Error updating the hreflang links of post ${id}'s translations:`, alternatesError);
+    }
+    res.json({ platform, ...publication, updated: Boolean(previous) });
+  } catch (error) {
+    logger.error(`Error publishing post ${id} to ${adapter.name}:`, error);
+    const { status: httpStatus, body } = publishErrorResponse(error, adapter);
+    res.status(httpStatus).json(body);
+  }
+}
@@ -0,0 +1,183 @@
+import { createClient } from '@supabase/supabase-js';
+import { logger } from './logger.js';
+import { DEFAULT_PLAN, USAGE_KINDS, planForPriceId, billingState, hasAccess } from './plans.js';
+
+const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const dateOrNull = (value) => (value ? new Date(value) : null);
+
+/**
+ * Resolve a user's subscription, plan and current billing period from
+ * `get_user_details`. `plan` falls back to DEFAULT_PLAN; `priceId` is null
+ * for users who never subscribed.
+ */
+export async function loadSubscription(userId) {
+  const { data: user, error } = await supabase
+    .rpc('get_user_details', { user_id: userId });
+
+  if (error) throw error;
+
+  const periodEnd = user?.subscription_period_end ? new Date(user.subscription_period_end) : null;
+  let periodStart = user?.subscription_period_start ? new Date(user.subscription_period_start) : null;
+  if (!periodStart && periodEnd) {
+    // Older rows only have the period end; plans bill monthly
+    periodStart = new Date(periodEnd);
+    periodStart.setMonth(periodStart.getMonth() - 1);
+  }
+
+  const plan = planForPriceId(user?.subscription_price_id);
+  if (!plan && user?.subscription_price_id) {
+    logger.error('Unknown Stripe price, using default plan:', user.subscription_price_id);
+  }
+
+  return {
+    status: user?.subscription_status || 'inactive',
+    plan: plan || DEFAULT_PLAN,
+    priceId: user?.subscription_price_id ?? null,
+    subscriptionId: user?.subscription_id ?? null,
+    customerId: user?.stripe_customer_id ?? null,
+    periodStart,
+    periodEnd,
+    trialEnd: dateOrNull(user?.subscription_trial_end),
+    cancelAtPeriodEnd: Boolean(user?.subscription_cancel_at_period_end),
+    paymentFailedAt: dateOrNull(user?.payment_failed_at),
+    gracePeriodEnd: dateOrNull(user?.grace_period_end)
+  };
+}
+
+async function countUsage(userId, kind, since) {
+  let query = supabase
+    .from('usage_events')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('kind', kind);
+
+  if (since) {
+    query = query.gte('created_at', since.toISOString());
+  }
+
+  const { count, error } = await query;
+  if (error) throw error;
+  return count;
+}
+
+/**
+ * Record one unit of usage against the user's quota.
+ * Failures are logged rather than thrown so metering never breaks a request.
+ */
+export async function recordUsage({ userId, companyId, kind, stage, count = 1 }) {
+  const rows = Array.from({ length: count }, () => ({
+    user_id: userId,
+    company_id: companyId,
+    kind,
+    stage,
+    created_at: new Date().toISOString()
+  }));
+
+  const { error } = await supabase.from('usage_events').insert(rows);
+  if (error) {
+    logger.error('Error recording usage:', { userId, kind, stage, error: error.message });
+  }
+}
+
+/**
+ * The first of `kinds` the user has used up in the subscription's current
+ * period, as `{ kind, used, limit }`, or null while all of them have allowance left.
+ */
+export async function exceededQuota(userId, subscription, kinds) {
+  for (const kind of kinds) {
+    const limit = subscription.plan.quotas[kind];
+    const used = await countUsage(userId, kind, subscription.periodStart);
+    if (used >= limit) return { kind, used, limit };
+  }
+  return null;
+}
+
+/**
+ * Express middleware factory: reject callers without access (402; see
+ * billingState: inactive, or past due beyond the grace period) or who have
+ * used up their allowance for any of `kinds` this period (429).
+ * Sets `req.subscription` for later handlers.
+ */
+export const enforceQuota = (...kinds) => async (req, res, next) => {
+  try {
+    const subscription = await loadSubscription(req.user.id);
+    req.subscription = subscription;
+
+    if (!hasAccess(subscription)) {
+      return res.status(402).json({
+        error: 'An active subscription is required',
+        subscriptionStatus: subscription.status,
+        billingState: billingState(subscription)
+      });
+    }
+
+    const exceeded = await exceededQuota(req.user.id, subscription, kinds);
+    if (exceeded) {
+      const { kind, used, limit } = exceeded;
+      logger.info('Quota exceeded:', { userId: req.user.id, kind, used, limit });
+      if (subscription.periodEnd) {
+        const secondsLeft = Math.ceil((subscription.periodEnd.getTime() - Date.now()) / 1000);
+        res.set('Retry-After', String(Math.max(secondsLeft, 1)));
+      }
+      return res.status(429).json({
+        error: `Quota exceeded for ${kind} on the ${subscription.plan.name} plan`,
+        quota: { kind, used, limit, resetsAt: subscription.periodEnd?.toISOString() ?? null }
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Error checking quota:', error);
+    res.status(500).json({ error: 'Failed to check usage quota' });
+  }
+};
+
+/**
+ * Express middleware factory: count one unit of `kind` once the response
+ * finishes successfully. `stage` defaults to the last path segment.
+ */
+export const trackUsage = (kind, stage) => (req, res, next) => {
+  res.on('finish', () => {
+    // Routes set res.locals.skipUsage when they answered without the model
+    if (res.statusCode >= 400 || res.locals.skipUsage) return;
+    recordUsage({
+      userId: req.user.id,
+      companyId: req.companyId,
+      kind,
+      stage: stage || req.path.split('/').pop()
+    });
+  });
+  next();
+};
+
+/**
+ * Report the caller's plan and remaining allowance for the current period
+ * @route GET /api/usage
+ */
+export async function getUsage(req, res) {
+  try {
+    const subscription = await loadSubscription(req.user.id);
+
+    const usage = {};
+    for (const kind of USAGE_KINDS) {
+      const limit = subscription.plan.quotas[kind];
+      const used = await countUsage(req.user.id, kind, subscription.periodStart);
+      usage[kind] = { used, limit, remaining: Math.max(limit - used, 0) };
+    }
+
+    res.json({
+      plan: { id: subscription.plan.id, name: subscription.plan.name },
+      subscriptionStatus: subscription.status,
+      active: hasAccess(subscription),
+      period: {
+        start: subscription.periodStart?.toISOString() ?? null,
+        end: subscription.periodEnd?.toISOString() ?? null
+      },
+      usage
+    });
+  } catch (error) {
+    logger.error('Error fetching usage:', error);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+}
@@ -0,0 +1,238 @@
+import { logger } from './logger.js';
+
+/**
+ * In-process rate limiting, in two layers:
+ *
+ * - Per-user budgets on the generation routes (`rateLimit`): a token bucket
+ *   allowing RATE_LIMIT_GENERATE_PER_MINUTE requests a minute with bursts of
+ *   up to RATE_LIMIT_GENERATE_BURST, and at most RATE_LIMIT_GENERATE_CONCURRENT
+ *   requests in flight. Over budget, callers get 429 with Retry-After.
+ * - Global per-provider concurrency caps (`acquireProviderSlot`): calls over
+ *   PROVIDER_CONCURRENCY_<PROVIDER> wait in a queue that takes turns between
+ *   users, so one user's burst can't starve everyone else. A call that waits
+ *   longer than PROVIDER_QUEUE_TIMEOUT_MS fails (and may fail over).
+ *
+ * State lives in memory, so limits apply per server process.
+ */
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const BUDGETS = {
+  generate: {
+    perMinute: numberFromEnv('RATE_LIMIT_GENERATE_PER_MINUTE', 20),
+    burst: numberFromEnv('RATE_LIMIT_GENERATE_BURST', 5),
+    concurrent: numberFromEnv('RATE_LIMIT_GENERATE_CONCURRENT', 3)
+  }
+};
+
+// Without a configured cap a provider is unlimited (e.g. the fake provider)
+const PROVIDER_CONCURRENCY = {
+  gemini: numberFromEnv('PROVIDER_CONCURRENCY_GEMINI', 4),
+  openai: numberFromEnv('PROVIDER_CONCURRENCY_OPENAI', 8),
+  anthropic: numberFromEnv('PROVIDER_CONCURRENCY_ANTHROPIC', 4)
+};
+const QUEUE_TIMEOUT_MS = numberFromEnv('PROVIDER_QUEUE_TIMEOUT_MS', 60000);
+
+// Buckets idle long enough to be full again carry no state worth keeping
+const BUCKET_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// --- Per-user budgets ------------------------------------------------------
+
+const buckets = new Map();
+const inFlight = new Map();
+
+const sweepBuckets = setInterval(() => {
+  const now = Date.now();
+  for (const [key, bucket] of buckets) {
+    const { perMinute, burst } = BUDGETS[bucket.name];
+    if (bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute >= burst) buckets.delete(key);
+  }
+}, BUCKET_SWEEP_INTERVAL_MS);
+sweepBuckets.unref();
+
+// Refill a user's bucket for the time that has passed, then try to take a token.
+// Resolves with the seconds until a token is available when there is none.
+const takeToken = (name, userId) => {
+  const { perMinute, burst } = BUDGETS[name];
+  const key = `${name}:${userId}`;
+  const now = Date.now();
+  const bucket = buckets.get(key) || { name, tokens: burst, updatedAt: now };
+
+  bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute);
+  bucket.updatedAt = now;
+  buckets.set(key, bucket);
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil(((1 - bucket.tokens) / perMinute) * 60);
+};
+
+const rejectOverBudget = (res, retryAfter, error, limit) => {
+  res.set('Retry-After', String(Math.max(retryAfter, 1)));
+  return res.status(429).json({ error, retryAfter: Math.max(retryAfter, 1), limit });
+};
+
+/**
+ * Express middleware factory: hold the caller to the `name` budget (see
+ * BUDGETS). The in-flight slot is released when the response finishes or the
+ * client goes away, unless the handler keeps it for work that outlives the
+ * response: `res.locals.holdRateLimitSlot()` returns the function that
+ * releases it instead.
+ */
+export const rateLimit = (name) => (req, res, next) => {
+  const budget = BUDGETS[name];
+  const userId = req.user.id;
+  const key = `${name}:${userId}`;
+
+  const running = inFlight.get(key) || 0;
+  if (running >= budget.concurrent) {
+    logger.info('Rate limit: too many concurrent requests', { userId, name, running });
+    return rejectOverBudget(
+      res,
+      5,
+      `Too many generation requests in progress; at most ${budget.concurrent} at a time`,
+      { concurrent: budget.concurrent }
+    );
+  }
+
+  const retryAfter = takeToken(name, userId);
+  if (retryAfter > 0) {
+    logger.info('Rate limit: budget exhausted', { userId, name, retryAfter });
+    return rejectOverBudget(
+      res,
+      retryAfter,
+      `Too many generation requests; try again in ${retryAfter} seconds`,
+      { perMinute: budget.perMinute, burst: budget.burst }
+    );
+  }
+
+  inFlight.set(key, running + 1);
+  let released = false;
+  let held = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    const remaining = (inFlight.get(key) || 1) - 1;
+    if (remaining > 0) inFlight.set(key, remaining);
+    else inFlight.delete(key);
+  };
+  res.locals.holdRateLimitSlot = () => {
+    held = true;
+    return release;
+  };
+  const releaseWithResponse = () => {
+    if (!held) release();
+  };
+  res.on('finish', releaseWithResponse);
+  res.on('close', releaseWithResponse);
+
+  next();
+};
+
+// --- Per-provider concurrency ----------------------------------------------
+
+// provider -> { active, waiting: Map<key, waiter[]>, turns: key[] }
+const providerQueues = new Map();
+
+const queueFor = (provider) => {
+  if (!providerQueues.has(provider)) {
+    providerQueues.set(provider, { active: 0, waiting: new Map(), turns: [] });
+  }
+  return providerQueues.get(provider);
+};
+
+// Hand a freed slot to the next waiter, taking users in turn: the user at the
+// front of `turns` gets the slot and goes to the back if they have more waiting
+const dispatch = (queue) => {
+  if (queue.turns.length === 0) return;
+
+  const key = queue.turns.shift();
+  const waiters = queue.waiting.get(key);
+  const waiter = waiters.shift();
+  if (waiters.length > 0) queue.turns.push(key);
+  else queue.waiting.delete(key);
+
+  queue.active += 1;
+  waiter.grant();
+};
+
+const queueTimeoutError = (provider) => {
+  const error = new Error(`Timed out after ${QUEUE_TIMEOUT_MS}ms waiting for a ${provider} slot`);
+  error.name = 'QueueTimeoutError';
+  return error;
+};
+
+/**
+ * Wait for a free slot on `provider`. Resolves with a `release` function the
+ * caller must call once the provider call is done, whatever its outcome.
+ *
+ * @param {string} provider - a providers.js key
+ * @param {object} [options]
+ * @param {string} [options.key] - whose call this is (user or company); waiters take turns by key
+ * @param {AbortSignal} [options.signal] - stop waiting when aborted
+ * @returns {Promise<function>}
+ */
+export function acquireProviderSlot(provider, { key = 'anonymous', signal } = {}) {
+  const cap = PROVIDER_CONCURRENCY[provider];
+  if (!cap) return Promise.resolve(() => {});
+
+  const queue = queueFor(provider);
+  let releasedSlot = false;
+  const release = () => {
+    if (releasedSlot) return;
+    releasedSlot = true;
+    queue.active -= 1;
+    dispatch(queue);
+  };
+
+  if (signal?.aborted) return Promise.reject(signal.reason);
+  if (queue.active < cap && queue.turns.length === 0) {
+    queue.active += 1;
+    return Promise.resolve(release);
+  }
+
+  return new Promise((resolve, reject) => {
+    const leave = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      const waiters = queue.waiting.get(key);
+      const index = waiters?.indexOf(waiter) ?? -1;
+      if (index === -1) return;
+      waiters.splice(index, 1);
+      if (waiters.length === 0) {
+        queue.waiting.delete(key);
+        queue.turns.splice(queue.turns.indexOf(key), 1);
+      }
+    };
+    const onAbort = () => {
+      leave();
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      leave();
+      reject(queueTimeoutError(provider));
+    }, QUEUE_TIMEOUT_MS);
+
+    const waiter = {
+      grant: () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        resolve(release);
+      }
+    };
+
+    if (!queue.waiting.has(key)) {
+      queue.waiting.set(key, []);
+      queue.turns.push(key);
+    }
+    queue.waiting.get(key).push(waiter);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    logger.info(`Waiting for a ${provider} slot`, { key, active: queue.active, cap, waitingUsers: queue.turns.length });
+  });
+}
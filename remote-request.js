@@ -0,0 +1,84 @@
+import net from 'net';
+
+// Build an error for a third-party request that failed. `status` is the remote
+// HTTP status and `details` the body it returned, for the logs: remote bodies
+// are not passed on to clients.
+export const remoteError = (platform, status, details) => {
+  const error = new Error(`${platform} responded with HTTP ${status}`);
+  error.platform = platform;
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+export const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// Loopback, private, link-local, shared and reserved ranges. Separate lists
+// per family: an IPv6 list also matches IPv4 addresses as ::ffff:a.b.c.d
+const nonPublic = (family, ranges) => {
+  const list = new net.BlockList();
+  ranges.forEach(([prefix, bits]) => list.addSubnet(prefix, bits, family));
+  return list;
+};
+const NON_PUBLIC_ADDRESSES = {
+  4: nonPublic('ipv4', [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+  ]),
+  6: nonPublic('ipv6', [
+    ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+  ])
+};
+
+const NON_PUBLIC_SUFFIXES = ['.localhost', '.local', '.internal', '.home.arpa'];
+
+/**
+ * Whether `value` is an https URL on a public host, for base URLs users
+ * supply: the server sends requests there with the stored credentials.
+ * IP literals must be public addresses and names must be fully qualified.
+ */
+export const isPublicHttpsUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+  if (url.protocol !== 'https:' || url.username || url.password) return false;
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  const family = net.isIP(host);
+  if (family) return !NON_PUBLIC_ADDRESSES[family].check(host, `ipv${family}`);
+  return host.includes('.') && !NON_PUBLIC_SUFFIXES.some((suffix) => `.${host}`.endsWith(suffix));
+};
+
+/**
+ * A JSON request helper that gives up after `timeoutMs`. The returned
+ * function resolves with the parsed body (or `{ data, headers }` with
+ * `raw: true`) and throws a `remoteError` for non-2xx responses.
+ */
+export const remoteRequest = (timeoutMs) => async (platform, url, { method = 'GET', headers = {}, body, raw = false } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      Accept: 'application/json',
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (error) {
+    data = text;
+  }
+
+  if (!response.ok) {
+    throw remoteError(platform, response.status, data);
+  }
+  return raw ? { data, headers: response.headers } : data;
+};
@@ -0,0 +1,175 @@
+import { createClient } from '@supabase/supabase-js';
+import { logger } from './logger.js';
+
+const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+/**
+ * Post columns captured in every revision snapshot. Metadata is derived from
+ * structure and facts, and status is workflow rather than content, so neither
+ * is versioned.
+ */
+export const REVISION_FIELDS = [
+  'title_concept',
+  'structure',
+  'facts',
+  'article',
+  'polished',
+  'final_html',
+  'prompt_versions',
+  'instagram_post_content',
+  'instagram_hashtags',
+  'facebook_post_content',
+  'facebook_post_link',
+  'x_post_content',
+  'x_hashtags',
+  'linkedin_post_content',
+  'linkedin_post_link',
+  'social_posts_generated_at',
+  'email_drip_campaigns'
+];
+
+// A post saved in one go still gets one revision per pipeline stage it
+// contains, so "the version before polish" can be restored later.
+const CREATION_STAGES = [
+  { stage: 'structure', fields: ['title_concept', 'structure'] },
+  { stage: 'facts', fields: ['facts'] },
+  { stage: 'article', fields: ['article'] },
+  { stage: 'polish', fields: ['polished'] },
+  { stage: 'html', fields: ['final_html'] }
+];
+
+// Unique (post_id, revision_number) violations from concurrent writers are retried
+const UNIQUE_VIOLATION = '23505';
+const MAX_NUMBERING_ATTEMPTS = 3;
+
+const snapshotOf = (post) =>
+  Object.fromEntries(REVISION_FIELDS.map((field) => [field, post[field] ?? null]));
+
+const changedFields = (before, after) =>
+  REVISION_FIELDS.filter((field) => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after[field]));
+
+async function fetchLatestRevision(postId) {
+  const { data, error } = await supabase
+    .from('post_revisions')
+    .select('revision_number, snapshot')
+    .eq('post_id', postId)
+    .order('revision_number', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function insertRevisions(postId, buildRows) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await fetchLatestRevision(postId);
+    const rows = buildRows(latest);
+    if (rows.length === 0) return [];
+
+    const { data, error } = await supabase.from('post_revisions').insert(rows).select();
+    if (!error) return data;
+    if (error.code !== UNIQUE_VIOLATION || attempt === MAX_NUMBERING_ATTEMPTS) throw error;
+  }
+}
+
+/**
+ * Record the current state of a post as its next numbered revision.
+ * Nothing is recorded when no versioned field changed since the last revision.
+ * Failures are logged rather than thrown so history never breaks a save.
+ *
+ * @param {object} options
+ * @param {object} options.post - the post row after the change
+ * @param {string} options.authorId - the user who made the change
+ * @param {string} options.stage - what produced it: save, edit, corrections, social, email or restore
+ * @param {number} [options.restoredFrom] - the revision a restore copied
+ * @returns {Promise<object|null>} the new revision, or null
+ */
+export async function recordRevision({ post, authorId, stage, restoredFrom = null }) {
+  try {
+    const snapshot = snapshotOf(post);
+    const [revision] = await insertRevisions(post.id, (latest) => {
+      const changed = changedFields(latest?.snapshot, snapshot);
+      if (latest && changed.length === 0 && restoredFrom === null) return [];
+      return [{
+        post_id: post.id,
+        revision_number: (latest?.revision_number ?? 0) + 1,
+        author_id: authorId,
+        stage,
+        changed_fields: changed,
+        restored_from: restoredFrom,
+        snapshot,
+        created_at: new Date().toISOString()
+      }];
+    });
+    return revision ?? null;
+  } catch (error) {
+    logger.error('Error recording post revision:', { postId: post.id, stage, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Record a newly created post as one revision per pipeline stage it contains.
+ * Failures are logged rather than thrown.
+ */
+export async function recordCreationRevisions({ post, authorId }) {
+  try {
+    const createdAt = new Date().toISOString();
+    const snapshot = snapshotOf({});
+    const rows = [];
+
+    for (const { stage, fields } of CREATION_STAGES) {
+      if (fields.every((field) => post[field] == null)) continue;
+      const previous = { ...snapshot };
+      for (const field of fields) snapshot[field] = post[field] ?? null;
+      rows.push({ stage, changed_fields: changedFields(previous, snapshot), snapshot: { ...snapshot } });
+    }
+
+    // Anything not covered by a stage (or an empty post) lands in a final "save" revision
+    const remaining = changedFields(snapshot, snapshotOf(post));
+    if (rows.length === 0 || remaining.length > 0) {
+      rows.push({ stage: 'save', changed_fields: remaining, snapshot: snapshotOf(post) });
+    }
+
+    await insertRevisions(post.id, (latest) => rows.map((row, index) => ({
+      ...row,
+      post_id: post.id,
+      revision_number: (latest?.revision_number ?? 0) + index + 1,
+      author_id: authorId,
+      restored_from: null,
+      created_at: createdAt
+    })));
+  } catch (error) {
+    logger.error('Error recording post revisions:', { postId: post.id, error: error.message });
+  }
+}
+
+/**
+ * List a post's revisions, newest first, without their snapshots.
+ */
+export async function listRevisions(postId) {
+  const { data, error } = await supabase
+    .from('post_revisions')
+    .select('revision_number, author_id, stage, changed_fields, restored_from, created_at')
+    .eq('post_id', postId)
+    .order('revision_number', { ascending: false });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Fetch one revision of a post by number, or null if it doesn't exist.
+ */
+export async function fetchRevision(postId, revisionNumber) {
+  const { data, error } = await supabase
+    .from('post_revisions')
+    .select('*')
+    .eq('post_id', postId)
+    .eq('revision_number', revisionNumber)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
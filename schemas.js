@@ -0,0 +1,262 @@
+/**
+ * Declared shapes for every structured (JSON) generation stage, plus the
+ * helpers that turn raw model text into a validated object.
+ *
+ * Schemas are plain objects:
+ * - { type: 'string', minLength }
+ * - { type: 'number' }
+ * - { type: 'array', items, minItems, maxItems }
+ * - { type: 'object', properties, required }
+ * - { type: 'record', values, minProperties }   (free-form keys, uniform values)
+ * Any schema may add `rules(value) => string[]` for checks the shape can't express,
+ * and `nullable: true` to also accept null.
+ */
+
+import { SOCIAL_PLATFORMS, SOCIAL_PLATFORM_KEYS, PLACEHOLDER_URL, checkSocialPost } from './social-platforms.js';
+
+const string = { type: 'string', minLength: 1 };
+const optionalString = { type: 'string' };
+const stringList = (options = {}) => ({ type: 'array', items: string, ...options });
+
+export const STRUCTURE_SECTION_COUNT = 5;
+
+export const CITATION_CHECK_STATUSES = ['supported', 'unsupported', 'contradicted', 'unverifiable'];
+
+const nullableString = { type: 'string', nullable: true };
+
+export const schemas = {
+  structure: {
+    type: 'object',
+    required: ['title', 'hook', 'sections', 'research_questions', 'keywords'],
+    properties: {
+      title: string,
+      hook: string,
+      sections: stringList({ minItems: STRUCTURE_SECTION_COUNT, maxItems: STRUCTURE_SECTION_COUNT }),
+      research_questions: { type: 'record', values: stringList({ minItems: 1 }), minProperties: 1 },
+      keywords: stringList({ minItems: 1 })
+    },
+    rules: ({ sections, research_questions }) => {
+      const errors = [];
+      const questionKeys = Object.keys(research_questions);
+
+      if (new Set(sections).size !== sections.length) {
+        errors.push('$.sections must not contain duplicate section titles');
+      }
+      for (const section of sections) {
+        if (!questionKeys.includes(section)) {
+          errors.push(`$.research_questions is missing questions for section "${section}"`);
+        }
+      }
+      for (const key of questionKeys) {
+        if (!sections.includes(key)) {
+          errors.push(`$.research_questions has key "${key}" which is not one of the sections`);
+        }
+      }
+      return errors;
+    }
+  },
+
+  facts: {
+    type: 'record',
+    minProperties: 1,
+    values: {
+      type: 'object',
+      required: ['answer', 'citations'],
+      properties: {
+        answer: string,
+        citations: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['publisher'],
+            properties: { publisher: string, url: nullableString, date: nullableString, quote: nullableString }
+          }
+        }
+      }
+    },
+    rules: (facts) => Object.entries(facts).flatMap(([question, { citations }]) => citations
+      .map((citation, i) => ({ citation, i }))
+      .filter(({ citation }) => citation.url && !/^https?:\/\/\S+$/i.test(citation.url))
+      .map(({ i }) => `$["${question}"].citations[${i}].url must be an http(s) URL or null`))
+  },
+
+  verify: {
+    type: 'object',
+    required: ['flagged_inaccuracies'],
+    properties: {
+      flagged_inaccuracies: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['original_text', 'reason', 'corrected_text'],
+          properties: {
+            original_text: string,
+            reason: string,
+            corrected_text: optionalString,
+            references: { type: 'array', items: optionalString }
+          }
+        }
+      },
+      citation_checks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['number', 'claim', 'status', 'explanation'],
+          properties: {
+            number: { type: 'number' },
+            claim: string,
+            status: string,
+            explanation: optionalString,
+            corrected_text: nullableString
+          }
+        }
+      }
+    },
+    rules: ({ citation_checks: checks = [] }) => checks
+      .map((check, i) => ({ check, i }))
+      .filter(({ check }) => !CITATION_CHECK_STATUSES.includes(check.status))
+      .map(({ i }) => `$.citation_checks[${i}].status must be one of: ${CITATION_CHECK_STATUSES.join(', ')}`)
+  },
+
+  social: {
+    type: 'object',
+    required: ['Instagram', 'Facebook', 'X', 'LinkedIn'],
+    properties: {
+      Instagram: { type: 'object', required: ['content', 'hashtags'], properties: { content: string, hashtags: stringList() } },
+      Facebook: { type: 'object', required: ['content', 'link'], properties: { content: string, link: optionalString } },
+      X: { type: 'object', required: ['content', 'hashtags'], properties: { content: string, hashtags: stringList() } },
+      LinkedIn: { type: 'object', required: ['content', 'link'], properties: { content: string, link: optionalString } }
+    },
+    // X posts get the article link appended when they're sent, so leave room for it
+    rules: (posts) => SOCIAL_PLATFORM_KEYS.flatMap((platform) => {
+      const { name } = SOCIAL_PLATFORMS[platform];
+      const post = platform === 'x' ? { ...posts[name], link: PLACEHOLDER_URL } : posts[name];
+      return checkSocialPost(platform, post).map((error) => `$.${name}: ${error}`);
+    })
+  },
+
+  email: {
+    type: 'object',
+    required: ['drips'],
+    properties: {
+      drips: {
+        type: 'array',
+        minItems: 4,
+        maxItems: 4,
+        items: { type: 'object', required: ['subject', 'content'], properties: { subject: string, content: string } }
+      }
+    }
+  },
+
+  translate: {
+    type: 'object',
+    required: ['title', 'keywords', 'content'],
+    properties: { title: string, keywords: stringList({ minItems: 1 }), content: string }
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * Validate a value against a schema.
+ * @returns {string[]} human-readable problems, empty when the value is valid
+ */
+export function validate(schema, value, path = '$') {
+  if (value === null && schema.nullable) return [];
+
+  const expected = schema.type === 'record' ? 'object' : schema.type;
+  if (typeOf(value) !== expected) {
+    return [`${path} must be ${expected === 'array' || expected === 'object' ? 'an' : 'a'} ${expected}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+
+  if (schema.type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items, got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items, got ${value.length}`);
+    }
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validate(propertySchema, value[key], `${path}.${key}`));
+      }
+    }
+  }
+
+  if (schema.type === 'record') {
+    const entries = Object.entries(value);
+    if (schema.minProperties !== undefined && entries.length < schema.minProperties) {
+      errors.push(`${path} must have at least ${schema.minProperties} entries`);
+    }
+    for (const [key, entry] of entries) {
+      errors.push(...validate(schema.values, entry, `${path}["${key}"]`));
+    }
+  }
+
+  // Business rules only make sense once the shape itself is right
+  if (errors.length === 0 && schema.rules) {
+    errors.push(...schema.rules(value));
+  }
+
+  return errors;
+}
+
+// Escape raw control characters that appear inside JSON strings (models
+// often emit literal newlines in long answers), leaving the rest untouched.
+const escapeControlCharacters = (text) => {
+  let result = '';
+  let inString = false;
+  let escaped = false;
+
+  for (const char of text) {
+    if (inString && !escaped && char < ' ') {
+      result += char === '\n' ? '\\n' : char === '\r' ? '\\r' : char === '\t' ? '\\t' : '';
+      continue;
+    }
+    if (char === '"' && !escaped) inString = !inString;
+    escaped = char === '\\' && !escaped;
+    result += char;
+  }
+  return result;
+};
+
+/**
+ * Pull a JSON value out of raw model text: tolerates ``` fences, prose around
+ * the object and raw control characters inside strings.
+ * @throws {SyntaxError} when no JSON object can be recovered
+ */
+export function parseModelJson(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  let candidate = (fenced ? fenced[1] : text).trim();
+
+  const start = candidate.search(/[[{]/);
+  const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+  if (start !== -1 && end > start) {
+    candidate = candidate.slice(start, end + 1);
+  }
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    return JSON.parse(escapeControlCharacters(candidate));
+  }
+}
@@ -0,0 +1,410 @@
+import { createClient } from '@supabase/supabase-js';
+import { logger } from './logger.js';
+import { markdownToText } from './markdown.js';
+import { excerptDescription } from './html-renderer.js';
+import { fetchBlogPost } from './posts.js';
+import { readPolished } from './polish-output.js';
+import { DEFAULT_LOCALE, parseLocale, isEnglish, LOCALE_ERROR } from './locales.js';
+
+/**
+ * Deterministic SEO and readability checks for a draft, scored against its
+ * structure. Every check ends up in `checks` as `pass`, `warn` or `fail`, so
+ * the list doubles as the editor's checklist; the ones that didn't pass say
+ * what to change. Each category scores 100 minus 25 per failure and 10 per
+ * warning, and the overall score is their average.
+ */
+
+const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+export const SEO_CATEGORIES = ['keywords', 'headings', 'metadata', 'readability', 'paragraphs'];
+
+const PENALTIES = { pass: 0, warn: 10, fail: 25 };
+
+// Search results show about 60 characters of a title and 160 of a description
+const TITLE_LENGTH = { min: 30, max: 60 };
+const DESCRIPTION_LENGTH = { min: 70, max: 160 };
+// Keyword density, as a percentage of the article's words
+const DENSITY = { min: 0.5, max: 3 };
+// The article prompt asks for 2 paragraphs of 3-6 sentences per main section
+const PARAGRAPHS_PER_SECTION = 2;
+const SENTENCES_PER_PARAGRAPH = { min: 3, max: 6 };
+// Flesch-Kincaid grade above which a section is hard going for a business reader
+const MAX_GRADE_LEVEL = 12;
+// Headings and structure sections match when this share of their words is shared
+const SECTION_MATCH = 0.5;
+
+const HEADING = /^(#{1,6})[ \t]+(.*?)[ \t]*#*[ \t]*$/;
+const FENCE = /^[ \t]{0,3}(`{3,}|~{3,})/;
+// Blocks that aren't prose paragraphs: lists, quotes, tables, images, rules
+const NON_PARAGRAPH = /^([ \t]*([-*+]|\d{1,9}[.)])[ \t]|[ \t]{0,3}>|[ \t]*\||!\[|[ \t]{0,3}([-*_])([ \t]*\3){2,}[ \t]*$)/;
+
+const normalize = (text) => ` ${String(text ?? '')
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim()} `;
+
+const tokensOf = (text) => normalize(text).trim().split(' ').filter(Boolean);
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+
+const segmenters = new Map();
+const segmenter = (locale, granularity) => {
+  const key = `${locale}:${granularity}`;
+  if (!segmenters.has(key)) segmenters.set(key, new Intl.Segmenter(locale, { granularity }));
+  return segmenters.get(key);
+};
+
+const wordsIn = (text, locale) =>
+  [...segmenter(locale, 'word').segment(text)].filter((segment) => segment.isWordLike).map((segment) => segment.segment);
+
+const sentencesIn = (text, locale) =>
+  [...segmenter(locale, 'sentence').segment(text)].map((segment) => segment.segment.trim()).filter((sentence) => wordsIn(sentence, locale).length > 0);
+
+// English syllable estimate: vowel groups, less a silent final "e"
+const syllablesIn = (word) => {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length <= 3) return 1;
+  const groups = letters.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+  return Math.max(groups?.length || 1, 1);
+};
+
+/**
+ * Flesch reading ease (0-100, higher is easier) and Flesch-Kincaid grade
+ * level of English text.
+ */
+export function readability(text, locale = DEFAULT_LOCALE) {
+  const words = wordsIn(text, locale);
+  const sentences = Math.max(sentencesIn(text, locale).length, 1);
+  if (words.length === 0) return null;
+
+  const wordsPerSentence = words.length / sentences;
+  const syllablesPerWord = words.reduce((sum, word) => sum + syllablesIn(word), 0) / words.length;
+  return {
+    fleschReadingEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+    gradeLevel: round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59)
+  };
+}
+
+// Split Markdown into headings and, per heading, its prose paragraphs and text
+function parseMarkdown(markdown) {
+  const headings = [];
+  const sections = [{ heading: null, level: 0, blocks: [] }];
+  let block = [];
+  let fence = null;
+
+  const endBlock = () => {
+    if (block.length > 0) sections[sections.length - 1].blocks.push(block.join('\n'));
+    block = [];
+  };
+
+  for (const line of String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n')) {
+    const fenceMatch = line.match(FENCE);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+      continue;
+    }
+    if (fenceMatch) {
+      endBlock();
+      fence = fenceMatch[1];
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      endBlock();
+      const level = heading[1].length;
+      headings.push({ level, text: heading[2] });
+      // Sections are the h2s; deeper headings belong to the h2 above them
+      if (level <= 2) sections.push({ heading: heading[2], level, blocks: [] });
+      continue;
+    }
+
+    if (line.trim() === '') endBlock();
+    else block.push(line);
+  }
+  endBlock();
+
+  return {
+    headings,
+    // Text between the title and the first h2 is the introduction
+    sections: sections.filter((section) => section.level === 2 || section.blocks.length > 0)
+  };
+}
+
+const matchesSection = (heading, section) => {
+  const a = tokensOf(heading);
+  const b = tokensOf(section);
+  if (a.length === 0 || b.length === 0) return false;
+  const other = new Set(b);
+  const shared = a.filter((token) => other.has(token)).length;
+  return shared / Math.min(a.length, b.length) >= SECTION_MATCH && shared / Math.max(a.length, b.length) >= SECTION_MATCH / 2;
+};
+
+const occurrences = (haystack, needle) => {
+  const phrase = normalize(needle);
+  if (phrase.trim() === '') return 0;
+  let count = 0;
+  for (let index = haystack.indexOf(phrase); index !== -1; index = haystack.indexOf(phrase, index + phrase.length - 1)) count += 1;
+  return count;
+};
+
+/**
+ * Analyze a Markdown draft.
+ *
+ * @param {object} input
+ * @param {string} input.content - the article or polished Markdown
+ * @param {object} [input.structure] - the structure stage's output; `keywords`
+ *   and `sections` (arrays of strings) are checked against the draft, and
+ *   fail their checks when missing
+ * @param {string} [input.title] - falls back to the draft's "# " heading, then structure.title
+ * @param {string} [input.description] - the meta description; defaults to the
+ *   excerpt the HTML renderer would use
+ * @param {string} [input.locale] - readability formulas only apply to English
+ * @returns {{ score: number, scores: object, checks: object[], keywords: object[], sections: object[], title: object, description: object, wordCount: number }}
+ */
+export function analyzeSeo({ content, structure = {}, title, description, locale = DEFAULT_LOCALE }) {
+  const checks = [];
+  const check = (category, id, status, message, extra = {}) => checks.push({ category, id, status, message, ...extra });
+
+  const { headings, sections } = parseMarkdown(content);
+  const h1s = headings.filter((heading) => heading.level === 1);
+  const pageTitle = (title || h1s[0]?.text || structure.title || '').trim();
+  const bodyMarkdown = String(content ?? '').replace(/^\s*#[ \t]+.*(?:\n|$)/, '');
+  const metaDescription = (description || excerptDescription(bodyMarkdown)).trim();
+  const text = markdownToText(content);
+  const wordCount = wordsIn(text, locale).length;
+
+  // --- Keywords ---
+  const haystack = normalize(text);
+  const firstParagraph = normalize(sections.find((section) => section.blocks.some((block) => !NON_PARAGRAPH.test(block)))
+    ?.blocks.find((block) => !NON_PARAGRAPH.test(block)));
+  const headingText = normalize(headings.filter((heading) => heading.level >= 2).map((heading) => heading.text).join(' '));
+  const keywords = (structure.keywords || []).filter(Boolean).map((keyword, index) => {
+    const count = occurrences(haystack, keyword);
+    const density = wordCount ? round((count * tokensOf(keyword).length * 100) / wordCount, 2) : 0;
+    return {
+      keyword,
+      primary: index === 0,
+      count,
+      density,
+      inTitle: occurrences(normalize(pageTitle), keyword) > 0,
+      inHeadings: occurrences(headingText, keyword) > 0,
+      inFirstParagraph: occurrences(firstParagraph, keyword) > 0,
+      inDescription: occurrences(normalize(metaDescription), keyword) > 0
+    };
+  });
+
+  if (keywords.length === 0) {
+    check('keywords', 'keywords.present', 'fail', 'No target keywords: pass the structure with its "keywords" to check coverage');
+  }
+  for (const result of keywords) {
+    const { keyword } = result;
+    if (result.count === 0) {
+      check('keywords', 'keywords.used', 'fail', `"${keyword}" never appears; work it into the body`, { keyword });
+      continue;
+    }
+    check('keywords', 'keywords.used', 'pass', `"${keyword}" appears ${result.count} time${result.count === 1 ? '' : 's'} (${result.density}%)`, { keyword });
+    if (result.density > DENSITY.max) {
+      check('keywords', 'keywords.density', 'warn', `"${keyword}" makes up ${result.density}% of the words; keep it under ${DENSITY.max}% to avoid keyword stuffing`, { keyword });
+    } else if (result.primary && result.density < DENSITY.min) {
+      check('keywords', 'keywords.density', 'warn', `Primary keyword "${keyword}" is only ${result.density}% of the words; aim for at least ${DENSITY.min}%`, { keyword });
+    }
+    if (result.primary) {
+      check('keywords', 'keywords.title', result.inTitle ? 'pass' : 'warn',
+        result.inTitle ? `Title contains "${keyword}"` : `Put the primary keyword "${keyword}" in the title`, { keyword });
+      check('keywords', 'keywords.intro', result.inFirstParagraph ? 'pass' : 'warn',
+        result.inFirstParagraph ? `First paragraph mentions "${keyword}"` : `Mention "${keyword}" in the first paragraph`, { keyword });
+      check('keywords', 'keywords.headings', result.inHeadings ? 'pass' : 'warn',
+        result.inHeadings ? `A subheading contains "${keyword}"` : `Use "${keyword}" in at least one subheading`, { keyword });
+    }
+  }
+
+  // --- Headings ---
+  if (h1s.length > 1) {
+    check('headings', 'headings.h1', 'fail', `The draft has ${h1s.length} "# " headings; keep only the title as h1 and make the rest "## " sections`);
+  } else {
+    check('headings', 'headings.h1', 'pass', 'At most one h1');
+  }
+  const subheadings = headings.filter((heading) => heading.level >= 2);
+  check('headings', 'headings.sections', subheadings.length > 0 ? 'pass' : 'fail',
+    subheadings.length > 0 ? `${subheadings.length} subheadings` : 'No "## " subheadings; break the article into sections');
+
+  const skips = headings.filter((heading, index) => index > 0 && heading.level > headings[index - 1].level + 1);
+  for (const heading of skips) {
+    check('headings', 'headings.hierarchy', 'warn', `"${heading.text}" skips a level (h${heading.level} without an h${heading.level - 1} above it)`, { section: heading.text });
+  }
+  if (skips.length === 0 && headings.length > 0) {
+    check('headings', 'headings.hierarchy', 'pass', 'Heading levels are nested without gaps');
+  }
+
+  const plannedSections = structure.sections || [];
+  if (plannedSections.length === 0) {
+    check('headings', 'headings.structure', 'fail', 'No planned sections: pass the structure with its "sections" to check coverage');
+  }
+  for (const planned of plannedSections) {
+    const found = subheadings.some((heading) => matchesSection(heading.text, planned));
+    check('headings', 'headings.structure', found ? 'pass' : 'warn',
+      found ? `Section "${planned}" is covered` : `No heading matches the planned section "${planned}"; add it or rename the heading that covers it`,
+      { section: planned });
+  }
+
+  // --- Title and meta description ---
+  const titleLength = [...pageTitle].length;
+  if (!pageTitle) {
+    check('metadata', 'metadata.title', 'fail', 'The post has no title');
+  } else if (titleLength > TITLE_LENGTH.max) {
+    check('metadata', 'metadata.title', 'warn', `Title is ${titleLength} characters; search results cut it off after about ${TITLE_LENGTH.max}`);
+  } else if (titleLength < TITLE_LENGTH.min) {
+    check('metadata', 'metadata.title', 'warn', `Title is only ${titleLength} characters; use ${TITLE_LENGTH.min}-${TITLE_LENGTH.max} to say more about the topic`);
+  } else {
+    check('metadata', 'metadata.title', 'pass', `Title is ${titleLength} characters`);
+  }
+
+  const descriptionLength = [...metaDescription].length;
+  if (!metaDescription) {
+    check('metadata', 'metadata.description', 'fail', 'No meta description, and no opening paragraph to take one from');
+  } else if (descriptionLength > DESCRIPTION_LENGTH.max) {
+    check('metadata', 'metadata.description', 'warn', `Meta description is ${descriptionLength} characters; search results cut it off after about ${DESCRIPTION_LENGTH.max}`);
+  } else if (descriptionLength < DESCRIPTION_LENGTH.min) {
+    check('metadata', 'metadata.description', 'warn', `Meta description is only ${descriptionLength} characters; aim for ${DESCRIPTION_LENGTH.min}-${DESCRIPTION_LENGTH.max}`);
+  } else {
+    check('metadata', 'metadata.description', 'pass', `Meta description is ${descriptionLength} characters`);
+  }
+
+  // --- Sections: readability and the paragraph rule ---
+  const english = isEnglish(locale);
+  const isPlanned = (heading) => plannedSections.length > 0
+    ? plannedSections.some((planned) => matchesSection(heading, planned))
+    : true;
+
+  const sectionReports = sections.map(({ heading, level, blocks }) => {
+    const sectionText = markdownToText(blocks.join('\n\n'));
+    const paragraphs = blocks
+      .filter((block) => !NON_PARAGRAPH.test(block))
+      .map((block) => {
+        const paragraphText = markdownToText(block).replace(/\n/g, ' ');
+        return { sentences: sentencesIn(paragraphText, locale).length, words: wordsIn(paragraphText, locale).length };
+      });
+    return {
+      heading: level === 1 ? null : heading,
+      main: level === 2 && isPlanned(heading),
+      words: wordsIn(sectionText, locale).length,
+      paragraphs,
+      readability: english ? readability(sectionText, locale) : null
+    };
+  });
+
+  if (!english) {
+    check('readability', 'readability.language', 'pass', `Readability formulas only apply to English; not scored for ${locale}`);
+  }
+  for (const section of sectionReports) {
+    const name = section.heading || 'Introduction';
+    if (section.readability) {
+      const { gradeLevel, fleschReadingEase } = section.readability;
+      check('readability', 'readability.grade', gradeLevel > MAX_GRADE_LEVEL ? 'warn' : 'pass',
+        gradeLevel > MAX_GRADE_LEVEL
+          ? `"${name}" reads at grade ${gradeLevel} (reading ease ${fleschReadingEase}); shorten sentences and prefer simpler words`
+          : `"${name}" reads at grade ${gradeLevel}`,
+        { section: name });
+    }
+
+    if (!section.main) continue;
+    const count = section.paragraphs.length;
+    check('paragraphs', 'paragraphs.count', count === PARAGRAPHS_PER_SECTION ? 'pass' : 'warn',
+      count === PARAGRAPHS_PER_SECTION
+        ? `"${name}" has ${count} paragraphs`
+        : `"${name}" has ${count} paragraph${count === 1 ? '' : 's'}; main sections should have ${PARAGRAPHS_PER_SECTION}`,
+      { section: name });
+    section.paragraphs.forEach(({ sentences }, index) => {
+      if (sentences < SENTENCES_PER_PARAGRAPH.min || sentences > SENTENCES_PER_PARAGRAPH.max) {
+        check('paragraphs', 'paragraphs.sentences', 'warn',
+          `Paragraph ${index + 1} of "${name}" has ${sentences} sentence${sentences === 1 ? '' : 's'}; aim for ${SENTENCES_PER_PARAGRAPH.min}-${SENTENCES_PER_PARAGRAPH.max}`,
+          { section: name });
+      }
+    });
+  }
+
+  const scores = Object.fromEntries(SEO_CATEGORIES.map((category) => [
+    category,
+    Math.max(0, 100 - checks
+      .filter((item) => item.category === category)
+      .reduce((sum, item) => sum + PENALTIES[item.status], 0))
+  ]));
+
+  return {
+    score: Math.round(SEO_CATEGORIES.reduce((sum, category) => sum + scores[category], 0) / SEO_CATEGORIES.length),
+    scores,
+    checks,
+    keywords,
+    sections: sectionReports,
+    title: { text: pageTitle, length: titleLength },
+    description: { text: metaDescription, length: descriptionLength, generated: !description },
+    wordCount
+  };
+}
+
+/**
+ * Score a draft's SEO and readability. Body: `content` (Markdown), `structure`,
+ * and optionally `title`, `description` and `locale`. With `post_id`, missing
+ * fields come from that post (its polished version when there is one) and the
+ * result is stored on it as `seo_analysis` and `seo_score`.
+ * @route POST /api/analyze/seo
+ */
+export async function analyzePostSeo(req, res) {
+  try {
+    const { post_id } = req.body;
+    let { content, structure, title, description } = req.body;
+    let locale = parseLocale(req.body.locale);
+    if (!locale) {
+      return res.status(400).json({ error: LOCALE_ERROR });
+    }
+
+    let post = null;
+    if (post_id) {
+      post = await fetchBlogPost(post_id, req.companyIds);
+      if (!post) {
+        return res.status(404).json({ error: `Post with ID ${post_id} not found` });
+      }
+      const polished = readPolished(post.polished);
+      content = content ?? (polished?.body_markdown || post.article);
+      structure = structure ?? post.structure;
+      title = title ?? (polished?.title || post.metadata?.title);
+      if (!req.body.locale && post.locale) locale = post.locale;
+    }
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Please provide the Markdown to analyze under "content", or a "post_id"' });
+    }
+    if (structure !== undefined && structure !== null && (typeof structure !== 'object' || Array.isArray(structure))) {
+      return res.status(400).json({ error: '"structure" must be the structure object' });
+    }
+    for (const field of ['keywords', 'sections']) {
+      const value = structure?.[field];
+      if (value !== undefined && value !== null && !(Array.isArray(value) && value.every((item) => typeof item === 'string'))) {
+        return res.status(400).json({ error: `"structure.${field}" must be an array of strings` });
+      }
+    }
+    for (const [field, value] of Object.entries({ title, description, 'structure.title': structure?.title })) {
+      if (value !== undefined && value !== null && typeof value !== 'string') {
+        return res.status(400).json({ error: `"${field}" must be a string` });
+      }
+    }
+
+    const analysis = { ...analyzeSeo({ content, structure: structure || {}, title, description, locale }), analyzed_at: new Date().toISOString() };
+
+    if (post) {
+      const { error } = await supabase
+        .from('blog_posts')
+        .update({ seo_analysis: analysis, seo_score: analysis.score })
+        .eq('id', post.id);
+      if (error) throw error;
+    }
+
+    logger.info('SEO analysis complete', { postId: post?.id, score: analysis.score });
+    res.json(analysis);
+  } catch (error) {
+    logger.error('Error analyzing SEO:', error);
+    res.status(500).json({ error: 'Failed to analyze SEO' });
+  }
+}
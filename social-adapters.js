@@ -0,0 +1,140 @@
+import { logger } from './logger.js';
+import { remoteRequest, trimSlash } from './remote-request.js';
+
+const request = remoteRequest(Number(process.env.SOCIAL_REQUEST_TIMEOUT_MS || 15000));
+
+// Base URLs come from the environment only, read per request so tests can
+// point them at a local mock server
+const apiUrl = (variable, fallback) => trimSlash(process.env[variable] || fallback);
+const xApiUrl = () => apiUrl('X_API_URL', 'https://api.twitter.com/2');
+const graphApiUrl = () => apiUrl('FACEBOOK_GRAPH_API_URL', 'https://graph.facebook.com/v19.0');
+const linkedinApiUrl = () => apiUrl('LINKEDIN_API_URL', 'https://api.linkedin.com/rest');
+
+// An error retrying can't fix (bad credentials, rejected content, ...)
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+/**
+ * Social platform adapters. Each one takes the company's stored credentials
+ * and settings plus the post to send, and resolves with `{ remoteId, url }`.
+ *
+ * `post` is `{ text, link, mediaUrl }`: `text` is already composed for the
+ * platform (see composeSocialText), `link` is the article URL for platforms
+ * that attach it as a preview, and `mediaUrl` a public image URL.
+ *
+ * Adapters throw the request helper's errors, which carry the remote HTTP
+ * status; the worker retries those except for 4xx other than 429. Errors
+ * flagged `retryable: false` are never retried. Credentials hold only the
+ * `credentialFields` (and `optionalCredentialFields`) an adapter declares.
+ */
+export const socialAdapters = {
+  x: {
+    name: 'X',
+    credentialFields: ['accessToken'],
+
+    // Needs an OAuth 2.0 user access token with the tweet.write scope
+    async send({ credentials }, { text }) {
+      const { data } = await request('X', `${xApiUrl()}/tweets`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${credentials.accessToken}` },
+        body: { text }
+      });
+      return { remoteId: data.id, url: `https://x.com/i/web/status/${data.id}` };
+    }
+  },
+
+  facebook: {
+    name: 'Facebook',
+    credentialFields: ['pageId', 'pageAccessToken'],
+
+    async send({ credentials }, { text, link }) {
+      const post = await request('Facebook', `${graphApiUrl()}/${credentials.pageId}/feed`, {
+        method: 'POST',
+        body: { message: text, ...(link && { link }), access_token: credentials.pageAccessToken }
+      });
+      return { remoteId: post.id, url: `https://www.facebook.com/${post.id}` };
+    }
+  },
+
+  linkedin: {
+    name: 'LinkedIn',
+    credentialFields: ['accessToken', 'authorUrn'],
+    optionalCredentialFields: ['apiVersion'],
+
+    // authorUrn is the member or organization posting, e.g. "urn:li:organization:123"
+    async send({ credentials }, { text, link }) {
+      const { headers } = await request('LinkedIn', `${linkedinApiUrl()}/posts`, {
+        method: 'POST',
+        raw: true,
+        headers: {
+          Authorization: `Bearer ${credentials.accessToken}`,
+          'LinkedIn-Version': credentials.apiVersion || '202405',
+          'X-Restli-Protocol-Version': '2.0.0'
+        },
+        body: {
+          author: credentials.authorUrn,
+          commentary: text,
+          visibility: 'PUBLIC',
+          distribution: { feedDistribution: 'MAIN_FEED', targetEntities: [], thirdPartyDistributionChannels: [] },
+          lifecycleState: 'PUBLISHED',
+          ...(link && { content: { article: { source: link } } })
+        }
+      });
+      // The new post's URN comes back in a header, not the (empty) body
+      const remoteId = headers.get('x-restli-id');
+      return { remoteId, url: remoteId ? `https://www.linkedin.com/feed/update/${remoteId}` : null };
+    }
+  },
+
+  instagram: {
+    name: 'Instagram',
+    credentialFields: ['igUserId', 'accessToken'],
+
+    // Instagram only publishes media: create a container for the image, then publish it
+    async send({ credentials }, { text, mediaUrl }) {
+      if (!mediaUrl) {
+        throw permanentError('Instagram posts need an image (media_url)');
+      }
+      const api = `${graphApiUrl()}/${credentials.igUserId}`;
+      const token = credentials.accessToken;
+
+      const container = await request('Instagram', `${api}/media`, {
+        method: 'POST',
+        body: { image_url: mediaUrl, caption: text, access_token: token }
+      });
+      const media = await request('Instagram', `${api}/media_publish`, {
+        method: 'POST',
+        body: { creation_id: container.id, access_token: token }
+      });
+
+      // The post is live now: a failed permalink lookup must not make the queue send it again
+      try {
+        const { permalink } = await request(
+          'Instagram',
+          `${graphApiUrl()}/${media.id}?fields=permalink&access_token=${encodeURIComponent(token)}`
+        );
+        return { remoteId: media.id, url: permalink || null };
+      } catch (error) {
+        logger.warn('Instagram permalink lookup failed', { mediaId: media.id, error: error.message });
+        return { remoteId: media.id, url: null };
+      }
+    }
+  }
+};
+
+/**
+ * Used for every platform when SOCIAL_DRY_RUN=true: logs the post instead of
+ * sending it, so the queue can be exercised without platform credentials.
+ */
+export const dryRunAdapter = {
+  name: 'Dry run',
+  credentialFields: [],
+
+  async send(connection, post) {
+    logger.info('Dry run, not sending social post:', post);
+    return { remoteId: `dry-run-${Date.now()}`, url: null };
+  }
+};
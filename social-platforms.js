@@ -0,0 +1,129 @@
+/**
+ * Per-platform rules for social posts: how a post's parts are composed into
+ * the text that gets sent, the length and hashtag limits that text must fit,
+ * and swapping the prompt's placeholder link for the post's real URL.
+ *
+ * Platform keys are lowercase; `name` matches the keys of the social stage's
+ * JSON output ("Instagram", "Facebook", "X", "LinkedIn").
+ */
+
+// The social prompt asks the model for this link; it's replaced once the post has a URL
+export const PLACEHOLDER_URL = 'https://example.com';
+const PLACEHOLDER_PATTERN = /https?:\/\/(?:www\.)?example\.com(?:\/[^\s"')\]]*)?/g;
+
+// X counts every URL as 23 characters, whatever its real length (t.co wrapping)
+const X_URL_LENGTH = 23;
+const URL_PATTERN = /https?:\/\/[^\s]+/g;
+
+/**
+ * `maxHashtags` is the platform's own cap where it has one (Instagram) and a
+ * house limit elsewhere, since more tags than this read as spam. `linkInText`
+ * says whether the link is written into the text; Facebook and LinkedIn send
+ * it as a separate link preview instead, and Instagram captions can't link.
+ */
+export const SOCIAL_PLATFORMS = {
+  instagram: { name: 'Instagram', maxLength: 2200, maxHashtags: 30, linkInText: false, requiresMedia: true },
+  facebook: { name: 'Facebook', maxLength: 63206, maxHashtags: 10, linkInText: false },
+  x: { name: 'X', maxLength: 280, maxHashtags: 5, linkInText: true },
+  linkedin: { name: 'LinkedIn', maxLength: 3000, maxHashtags: 5, linkInText: false }
+};
+
+export const SOCIAL_PLATFORM_KEYS = Object.keys(SOCIAL_PLATFORMS);
+
+const hashtag = (tag) => `#${String(tag).trim().replace(/^#+/, '').replace(/\s+/g, '')}`;
+
+/**
+ * The text actually sent for a post: the content, then the link where the
+ * platform puts it in the text (unless the content already has it), then any
+ * hashtags not already in the content.
+ */
+export function composeSocialText(platform, { content, hashtags = [], link }) {
+  const rules = SOCIAL_PLATFORMS[platform];
+  const inContent = new Set((content.match(/#[\p{L}\p{N}_]+/gu) || []).map((tag) => tag.toLowerCase()));
+  const tags = [...new Set(hashtags.map(hashtag))].filter((tag) => tag.length > 1 && !inContent.has(tag.toLowerCase()));
+
+  const appendLink = rules.linkInText && link && !content.includes(link);
+
+  return [content.trim(), appendLink && link, tags.join(' ')].filter(Boolean).join('\n\n');
+}
+
+// X weighs most Latin, punctuation and symbol characters as 1 and everything
+// else (CJK, emoji, ...) as 2
+const X_LIGHT_RANGES = [[0x0000, 0x10ff], [0x2000, 0x200d], [0x2010, 0x201f], [0x2032, 0x2037]];
+
+const xWeight = (text) => {
+  let length = 0;
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    length += X_LIGHT_RANGES.some(([from, to]) => code >= from && code <= to) ? 1 : 2;
+  }
+  return length;
+};
+
+/**
+ * The length of `text` as the platform counts it.
+ */
+export function socialTextLength(platform, text) {
+  if (platform !== 'x') return [...text].length;
+  const urls = text.match(URL_PATTERN) || [];
+  return xWeight(text.replace(URL_PATTERN, '')) + urls.length * X_URL_LENGTH;
+}
+
+/**
+ * Check a post against its platform's length and hashtag limits.
+ * @param {string} platform - a SOCIAL_PLATFORMS key
+ * @param {{ content: string, hashtags?: string[], link?: string }} post
+ * @returns {string[]} human-readable problems, empty when the post fits
+ */
+export function checkSocialPost(platform, post) {
+  const rules = SOCIAL_PLATFORMS[platform];
+  const text = composeSocialText(platform, post);
+  const errors = [];
+
+  const length = socialTextLength(platform, text);
+  if (length > rules.maxLength) {
+    errors.push(`${rules.name} posts are limited to ${rules.maxLength} characters, this one is ${length} (including link and hashtags)`);
+  }
+
+  const tagCount = (text.match(/#[\p{L}\p{N}_]+/gu) || []).length;
+  if (tagCount > rules.maxHashtags) {
+    errors.push(`${rules.name} posts are limited to ${rules.maxHashtags} hashtags, this one has ${tagCount}`);
+  }
+
+  return errors;
+}
+
+export const hasPlaceholderUrl = (text) => new RegExp(PLACEHOLDER_PATTERN.source).test(text || '');
+
+/**
+ * Replace the placeholder link in a post's content and link with `url`, and
+ * fill in an empty link. Leaves the post untouched when there's no URL yet.
+ */
+export function injectPostUrl(post, url) {
+  if (!url) return post;
+  return {
+    ...post,
+    content: post.content?.replace(PLACEHOLDER_PATTERN, url),
+    ...('link' in post && { link: post.link ? post.link.replace(PLACEHOLDER_PATTERN, url) : url })
+  };
+}
+
+/**
+ * The public URL of a post: its most recent live publication, falling back
+ * to the most recent publication of any status. Null until it's published.
+ */
+export function publicPostUrl(post) {
+  const publications = Object.values(post.publications || {})
+    .filter((publication) => publication?.url)
+    .sort((a, b) => String(b.published_at).localeCompare(String(a.published_at)));
+
+  return (publications.find((publication) => publication.status === 'live') || publications[0])?.url || null;
+}
+
+// Where the social stage's output for each platform is stored on blog_posts
+export const SOCIAL_POST_COLUMNS = {
+  instagram: { content: 'instagram_post_content', hashtags: 'instagram_hashtags' },
+  facebook: { content: 'facebook_post_content', link: 'facebook_post_link' },
+  x: { content: 'x_post_content', hashtags: 'x_hashtags' },
+  linkedin: { content: 'linkedin_post_content', link: 'linkedin_post_link' }
+};
@@ -0,0 +1,399 @@
+import { createClient } from '@supabase/supabase-js';
+import { logger } from './logger.js';
+import { fetchBlogPost } from './posts.js';
+import { fetchConnection, connectionHandlers } from './connections.js';
+import { socialAdapters, dryRunAdapter } from './social-adapters.js';
+import {
+  SOCIAL_PLATFORMS,
+  SOCIAL_PLATFORM_KEYS,
+  SOCIAL_POST_COLUMNS,
+  checkSocialPost,
+  composeSocialText,
+  hasPlaceholderUrl,
+  injectPostUrl,
+  publicPostUrl
+} from './social-platforms.js';
+
+const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const WORKER_INTERVAL_MS = Number(process.env.SOCIAL_WORKER_INTERVAL_MS || 30000);
+const WORKER_BATCH_SIZE = 20;
+const MAX_ATTEMPTS = Number(process.env.SOCIAL_MAX_ATTEMPTS || 5);
+// Retries back off exponentially from this delay: 1, 2, 4, 8... minutes
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+// A worker that stopped mid-send leaves its entry in `sending`; after this
+// long the entry is marked failed for someone to review
+const SENDING_LEASE_MS = 5 * 60 * 1000;
+
+const dryRun = () => process.env.SOCIAL_DRY_RUN === 'true';
+
+const QUEUE_COLUMNS = 'id, post_id, company_id, platform, content, hashtags, link, media_url, send_at, status, attempts, next_attempt_at, last_error, remote_id, remote_url, sent_at, created_at, updated_at';
+
+// Statuses a queued post moves through:
+// scheduled -> sending -> sent, or -> retrying -> sending ... -> failed
+// scheduled/retrying -> cancelled; sending past its lease -> failed
+const PENDING_STATUSES = ['scheduled', 'retrying'];
+
+const socialConnections = connectionHandlers({ table: 'social_connections', adapters: socialAdapters, label: 'social' });
+
+/**
+ * List a company's social account connections (credentials are never returned)
+ * @route GET /api/companies/:companyId/social
+ */
+export const listSocialConnections = socialConnections.list;
+
+/**
+ * Store (or replace) a company's credentials and settings for one social platform
+ * @route PUT /api/companies/:companyId/social/:platform
+ */
+export const saveSocialConnection = socialConnections.save;
+
+/**
+ * Remove a company's connection to one social platform
+ * @route DELETE /api/companies/:companyId/social/:platform
+ */
+export const deleteSocialConnection = socialConnections.remove;
+
+// One requested queue entry, defaulting to the post's generated content for
+// its platform, with the real post URL in place of the placeholder
+const buildQueueEntry = (post, request, postUrl) => {
+  const columns = SOCIAL_POST_COLUMNS[request.platform];
+  const entry = {
+    content: request.content ?? post[columns.content] ?? '',
+    hashtags: request.hashtags ?? (columns.hashtags ? post[columns.hashtags] : null) ?? [],
+    link: request.link ?? (columns.link ? post[columns.link] : null) ?? postUrl ?? null
+  };
+  return injectPostUrl(entry, postUrl);
+};
+
+const checkQueueEntry = (platform, entry, sendAt, mediaUrl) => {
+  const errors = [];
+  if (Number.isNaN(Date.parse(sendAt))) {
+    errors.push('"send_at" must be an ISO 8601 date');
+  }
+  if (!entry.content.trim()) {
+    errors.push(`There is no ${SOCIAL_PLATFORMS[platform].name} content; generate social posts first or pass "content"`);
+    return errors;
+  }
+  if (hasPlaceholderUrl(entry.content) || hasPlaceholderUrl(entry.link)) {
+    errors.push('The post still links to the placeholder URL; publish the post first or pass "post_url"');
+  }
+  if (SOCIAL_PLATFORMS[platform].requiresMedia && !mediaUrl) {
+    errors.push(`${SOCIAL_PLATFORMS[platform].name} posts need an image; pass "media_url"`);
+  }
+  return [...errors, ...checkSocialPost(platform, entry)];
+};
+
+/**
+ * Queue a post's social content for sending, one entry per platform with its
+ * own send time. Each entry defaults to the content generated for that
+ * platform and may override `content`, `hashtags`, `link` and `media_url`.
+ * The placeholder link is replaced with `post_url`, or the post's published
+ * URL; entries that don't fit their platform's limits are rejected with 400.
+ *
+ * Body: { posts: [{ platform, send_at, content?, hashtags?, link?, media_url? }], post_url? }
+ * @route POST /api/posts/:id/social/schedule
+ */
+export async function scheduleSocialPosts(req, res) {
+  const { id } = req.params;
+  const { posts: requests, post_url: postUrlOverride } = req.body;
+
+  if (!Array.isArray(requests) || requests.length === 0) {
+    return res.status(400).json({ error: 'Please provide "posts" as a non-empty array of { platform, send_at }' });
+  }
+  const unknown = requests.filter((request) => !Object.hasOwn(SOCIAL_PLATFORMS, request?.platform));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Each post's "platform" must be one of: ${SOCIAL_PLATFORM_KEYS.join(', ')}` });
+  }
+
+  try {
+    const post = await fetchBlogPost(id, req.companyIds);
+    if (!post) {
+      return res.status(404).json({ error: `Post with ID ${id} not found` });
+    }
+
+    const postUrl = postUrlOverride || publicPostUrl(post);
+    const entries = requests.map((request) => ({ request, entry: buildQueueEntry(post, request, postUrl) }));
+
+    const validationErrors = entries
+      .map(({ request, entry }, index) => ({
+        index,
+        platform: request.platform,
+        errors: checkQueueEntry(request.platform, entry, request.send_at, request.media_url)
+      }))
+      .filter(({ errors }) => errors.length > 0);
+
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ error: 'Some posts cannot be scheduled', validationErrors });
+    }
+
+    if (!dryRun()) {
+      for (const platform of new Set(requests.map((request) => request.platform))) {
+        if (!await fetchConnection('social_connections', post.company_id, platform)) {
+          return res.status(400).json({ error: `No ${SOCIAL_PLATFORMS[platform].name} account is connected for this company` });
+        }
+      }
+    }
+
+    const rows = entries.map(({ request, entry }) => {
+      const sendAt = new Date(request.send_at).toISOString();
+      return {
+        post_id: id,
+        company_id: post.company_id,
+        user_id: req.user.id,
+        platform: request.platform,
+        ...entry,
+        media_url: request.media_url || null,
+        send_at: sendAt,
+        next_attempt_at: sendAt,
+        status: 'scheduled',
+        attempts: 0
+      };
+    });
+
+    const { data, error } = await supabase
+      .from('social_queue')
+      .insert(rows)
+      .select(QUEUE_COLUMNS);
+
+    if (error) throw error;
+
+    logger.info(`Scheduled ${data.length} social posts for post ${id}`);
+    res.status(201).json(data);
+  } catch (error) {
+    logger.error(`Error scheduling social posts for post ${id}:`, error);
+    res.status(500).json({ error: 'Failed to schedule social posts' });
+  }
+}
+
+/**
+ * List a post's queued social posts with their status, oldest send time first
+ * @route GET /api/posts/:id/social/schedule
+ */
+export async function listScheduledSocialPosts(req, res) {
+  const { id } = req.params;
+  try {
+    const post = await fetchBlogPost(id, req.companyIds);
+    if (!post) {
+      return res.status(404).json({ error: `Post with ID ${id} not found` });
+    }
+
+    const { data, error } = await supabase
+      .from('social_queue')
+      .select(QUEUE_COLUMNS)
+      .eq('post_id', id)
+      .order('send_at', { ascending: true });
+
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    logger.error(`Error listing social posts for post ${id}:`, error);
+    res.status(500).json({ error: 'Failed to list scheduled social posts' });
+  }
+}
+
+// Move a queue entry the caller can access from one of `from` to `changes`.
+// Resolves with the updated row, or `{ missing }` / `{ conflict }`.
+async function transitionQueueEntry(req, from, changes) {
+  const { data: entry, error } = await supabase
+    .from('social_queue')
+    .select('id, status')
+    .eq('id', req.params.entryId)
+    .in('company_id', req.companyIds)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!entry) return { missing: true };
+  if (!from.includes(entry.status)) return { conflict: entry.status };
+
+  // The status filter keeps this from racing the worker picking the entry up
+  const { data, error: updateError } = await supabase
+    .from('social_queue')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', entry.id)
+    .in('status', from)
+    .select(QUEUE_COLUMNS);
+
+  if (updateError) throw updateError;
+  return data.length > 0 ? { entry: data[0] } : { conflict: 'sending' };
+}
+
+/**
+ * Cancel a queued social post that hasn't been sent yet
+ * @route DELETE /api/social/queue/:entryId
+ */
+export async function cancelScheduledSocialPost(req, res) {
+  const { entryId } = req.params;
+  try {
+    const result = await transitionQueueEntry(req, PENDING_STATUSES, { status: 'cancelled' });
+    if (result.missing) {
+      return res.status(404).json({ error: `Scheduled social post ${entryId} not found` });
+    }
+    if (result.conflict) {
+      return res.status(409).json({ error: `Cannot cancel a social post that is ${result.conflict}` });
+    }
+    res.json(result.entry);
+  } catch (error) {
+    logger.error(`Error cancelling social post ${entryId}:`, error);
+    res.status(500).json({ error: 'Failed to cancel scheduled social post' });
+  }
+}
+
+/**
+ * Send a failed social post again as soon as the worker next runs, with a
+ * fresh set of attempts
+ * @route POST /api/social/queue/:entryId/retry
+ */
+export async function retrySocialPost(req, res) {
+  const { entryId } = req.params;
+  try {
+    const result = await transitionQueueEntry(req, ['failed'], {
+      status: 'retrying',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString()
+    });
+    if (result.missing) {
+      return res.status(404).json({ error: `Scheduled social post ${entryId} not found` });
+    }
+    if (result.conflict) {
+      return res.status(409).json({ error: `Only failed social posts can be retried, this one is ${result.conflict}` });
+    }
+    res.json(result.entry);
+  } catch (error) {
+    logger.error(`Error retrying social post ${entryId}:`, error);
+    res.status(500).json({ error: 'Failed to retry social post' });
+  }
+}
+
+// Client errors won't succeed on a retry, except rate limiting
+const isRetryable = (error) => error.retryable !== false
+  && !(error.status >= 400 && error.status < 500 && error.status !== 429);
+
+async function sendQueueEntry(entry) {
+  const adapter = dryRun() ? dryRunAdapter : socialAdapters[entry.platform];
+  const connection = dryRun() ? {} : await fetchConnection('social_connections', entry.company_id, entry.platform);
+  if (!connection) {
+    const error = new Error(`No ${SOCIAL_PLATFORMS[entry.platform].name} account is connected for this company`);
+    error.retryable = false;
+    throw error;
+  }
+
+  return adapter.send(connection, {
+    text: composeSocialText(entry.platform, entry),
+    link: entry.link,
+    mediaUrl: entry.media_url
+  });
+}
+
+async function processQueueEntry(entry) {
+  // Claim the entry first so two workers never send the same post
+  const { data: claimed, error: claimError } = await supabase
+    .from('social_queue')
+    .update({ status: 'sending', updated_at: new Date().toISOString() })
+    .eq('id', entry.id)
+    .eq('status', entry.status)
+    .eq('updated_at', entry.updated_at)
+    .select('id');
+
+  if (claimError) throw claimError;
+  if (claimed.length === 0) return;
+
+  const attempts = entry.attempts + 1;
+  let changes;
+  try {
+    const result = await sendQueueEntry(entry);
+    changes = {
+      status: 'sent',
+      remote_id: result.remoteId,
+      remote_url: result.url,
+      sent_at: new Date().toISOString(),
+      last_error: null
+    };
+    logger.info(`Sent ${entry.platform} post ${entry.id}:`, result);
+  } catch (error) {
+    const retry = isRetryable(error) && attempts < MAX_ATTEMPTS;
+    changes = {
+      status: retry ? 'retrying' : 'failed',
+      // Users can read last_error; the remote body only goes to the logs
+      last_error: error.message,
+      ...(retry && { next_attempt_at: new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1)).toISOString() })
+    };
+    logger.error(`Error sending ${entry.platform} post ${entry.id} (attempt ${attempts}, ${changes.status}):`, error);
+  }
+
+  const { error } = await supabase
+    .from('social_queue')
+    .update({ ...changes, attempts, updated_at: new Date().toISOString() })
+    .eq('id', entry.id);
+
+  if (error) throw error;
+}
+
+// The send may have reached the platform before the worker stopped, so the
+// entry is not sent again: it fails, and a person checks the account before
+// retrying it. Matching updated_at leaves it alone if another worker got there first.
+async function failInterruptedEntry(entry) {
+  const { error } = await supabase
+    .from('social_queue')
+    .update({
+      status: 'failed',
+      last_error: 'Sending was interrupted and the post may already be live; check the account before retrying',
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', entry.id)
+    .eq('status', 'sending')
+    .eq('updated_at', entry.updated_at);
+
+  if (error) throw error;
+  logger.warn(`${entry.platform} post ${entry.id} was left sending since ${entry.updated_at}; marked failed`);
+}
+
+/**
+ * Send every queued social post that is due, and fail entries stuck in
+ * `sending` for longer than SENDING_LEASE_MS. Entries are processed one at a
+ * time; a failure on one entry doesn't stop the others.
+ */
+export async function processDueSocialPosts() {
+  const now = Date.now();
+  const staleBefore = new Date(now - SENDING_LEASE_MS).toISOString();
+  const { data: due, error } = await supabase
+    .from('social_queue')
+    .select(QUEUE_COLUMNS)
+    .or(`status.in.(${PENDING_STATUSES.join(',')}),and(status.eq.sending,updated_at.lt."${staleBefore}")`)
+    .lte('next_attempt_at', new Date(now).toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(WORKER_BATCH_SIZE);
+
+  if (error) throw error;
+
+  for (const entry of due) {
+    try {
+      await (entry.status === 'sending' ? failInterruptedEntry(entry) : processQueueEntry(entry));
+    } catch (entryError) {
+      logger.error(`Error processing social post ${entry.id}:`, entryError);
+    }
+  }
+  return due.length;
+}
+
+/**
+ * Poll the queue every SOCIAL_WORKER_INTERVAL_MS. A run that is still going
+ * when the next one is due is not overlapped.
+ */
+export function startSocialWorker() {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueSocialPosts();
+    } catch (error) {
+      logger.error('Error polling the social queue:', error);
+    } finally {
+      running = false;
+    }
+  }, WORKER_INTERVAL_MS);
+
+  logger.info(`Social queue worker started (every ${WORKER_INTERVAL_MS}ms${dryRun() ? ', dry run' : ''})`);
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,97 @@
+import { logger } from './logger.js';
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// SSE is opt-in: `?stream=true` or an `Accept: text/event-stream` header
+export const wantsEventStream = (req) =>
+  req.query.stream === 'true' || (req.headers.accept || '').includes('text/event-stream');
+
+/**
+ * Switch the response into Server-Sent Events mode.
+ * The returned `signal` aborts once the client disconnects before we finish.
+ */
+export function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+/**
+ * Run a streaming generation over SSE.
+ *
+ * Emits `token` events ({ text }) as the provider produces them, then a single
+ * `done` event carrying the complete content under `resultKey` (or, without
+ * one, the fields of the object the generation returns), the
+ * `promptVersion` that produced it and, for brand voice stages, its `lint`
+ * findings. A provider
+ * failure partway through emits an `error` event with whatever was received so
+ * far, and `validationErrors` when the output couldn't be used. A client
+ * disconnect aborts the provider request. Neither counts as usage: the
+ * response is already a 200, so both set `res.locals.skipUsage` for trackUsage.
+ */
+export async function streamGeneration(res, { label, resultKey, errorMessage, generate }) {
+  const stream = openEventStream(res);
+  let partial = '';
+  let promptVersion = null;
+  let lint;
+
+  try {
+    const text = await generate({
+      signal: stream.signal,
+      onPrompt: ({ version }) => {
+        promptVersion = version;
+      },
+      onLint: (findings) => {
+        lint = findings;
+      },
+      onToken: (token) => {
+        partial += token;
+        stream.send('token', { text: token });
+      }
+    });
+
+    logger.info(`${label} streamed successfully`);
+    stream.send('done', { ...(resultKey ? { [resultKey]: text } : text), promptVersion, ...(lint && { lint }) });
+  } catch (error) {
+    res.locals.skipUsage = true;
+    if (stream.signal.aborted) {
+      logger.info(`${label} aborted: client disconnected after ${partial.length} characters`);
+    } else {
+      logger.error(`Error streaming ${label}:`, error);
+      stream.send('error', {
+        error: errorMessage,
+        details: error.message,
+        partial,
+        ...(error.validationErrors && { validationErrors: error.validationErrors })
+      });
+    }
+  } finally {
+    stream.end();
+  }
+}
@@ -0,0 +1,159 @@
+import { createClient } from '@supabase/supabase-js';
+
+/**
+ * Log of verified Stripe webhook events, one `stripe_events` row per event ID,
+ * used to process each event once and in order.
+ *
+ * Statuses:
+ * - `processing`: a delivery is handling it right now
+ * - `processed`: handled successfully
+ * - `failed`: the handler threw; Stripe's next delivery or a replay tries again
+ * - `skipped`: a newer event for the same state was already applied
+ * - `ignored`: an event type we don't handle
+ */
+
+const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+// A delivery that crashed mid-processing leaves its row in `processing`; after
+// this long another delivery may take it over
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+const UNIQUE_VIOLATION = '23505';
+
+export const STRIPE_EVENT_STATUSES = ['processing', 'processed', 'failed', 'skipped', 'ignored'];
+
+export async function fetchStripeEvent(id) {
+  const { data, error } = await supabase
+    .from('stripe_events')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Move an event from `status` to processing, unless another delivery got there first
+async function takeOver(row) {
+  const { data, error } = await supabase
+    .from('stripe_events')
+    .update({ status: 'processing', attempts: row.attempts + 1, error: null, updated_at: new Date().toISOString() })
+    .eq('id', row.id)
+    .eq('status', row.status)
+    .eq('updated_at', row.updated_at)
+    .select('id');
+
+  if (error) throw error;
+  return data.length > 0;
+}
+
+/**
+ * Record a verified event and claim it for processing.
+ *
+ * @param {object} event - the Stripe event
+ * @param {string|null} orderingKey - events with the same key set the same state (see isStale)
+ * @returns {Promise<{ claimed: boolean, status?: string }>} `claimed` is false
+ *   when the event is already processed, or being processed by another delivery;
+ *   `status` is then the stored status
+ */
+export async function claimStripeEvent(event, orderingKey) {
+  const now = new Date().toISOString();
+  const { error } = await supabase.from('stripe_events').insert([{
+    id: event.id,
+    type: event.type,
+    ordering_key: orderingKey,
+    event_created_at: new Date(event.created * 1000).toISOString(),
+    payload: event,
+    status: 'processing',
+    attempts: 1,
+    received_at: now,
+    updated_at: now
+  }]);
+
+  if (!error) return { claimed: true };
+  if (error.code !== UNIQUE_VIOLATION) throw error;
+
+  const existing = await fetchStripeEvent(event.id);
+  const abandoned = existing.status === 'processing' &&
+    Date.now() - new Date(existing.updated_at).getTime() > PROCESSING_LEASE_MS;
+
+  if ((existing.status === 'failed' || abandoned) && await takeOver(existing)) {
+    return { claimed: true };
+  }
+  return { claimed: false, status: existing.status };
+}
+
+/**
+ * Claim a failed event for a replay.
+ * @returns {Promise<boolean>} false when it isn't failed (any more)
+ */
+export async function claimFailedStripeEvent(row) {
+  return row.status === 'failed' && takeOver(row);
+}
+
+/**
+ * Record how processing an event ended.
+ */
+export async function finishStripeEvent(id, status, { userId = null, error = null } = {}) {
+  const { error: updateError } = await supabase
+    .from('stripe_events')
+    .update({ status, user_id: userId, error, updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (updateError) throw updateError;
+}
+
+/**
+ * Whether a newer event with the same ordering key has already been applied,
+ * in which case applying this one would roll its state back.
+ */
+export async function isStale(event, orderingKey) {
+  if (!orderingKey) return false;
+
+  const { data, error } = await supabase
+    .from('stripe_events')
+    .select('id')
+    .eq('ordering_key', orderingKey)
+    .eq('status', 'processed')
+    .gt('event_created_at', new Date(event.created * 1000).toISOString())
+    .limit(1);
+
+  if (error) throw error;
+  return data.length > 0;
+}
+
+/**
+ * List logged events, newest first.
+ */
+export async function listStripeEventRows({ status, type, limit = 50 } = {}) {
+  let query = supabase
+    .from('stripe_events')
+    .select('id, type, status, ordering_key, user_id, event_created_at, attempts, error, received_at, updated_at')
+    .order('received_at', { ascending: false })
+    .limit(limit);
+
+  if (status) query = query.eq('status', status);
+  if (type) query = query.eq('type', type);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Failed events, oldest first, for replaying in the order they happened.
+ */
+export async function fetchFailedStripeEvents({ ids, limit = 100 } = {}) {
+  let query = supabase
+    .from('stripe_events')
+    .select('*')
+    .eq('status', 'failed')
+    .order('event_created_at', { ascending: true })
+    .limit(limit);
+
+  if (ids) query = query.in('id', ids);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
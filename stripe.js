@@ -1,19 +1,40 @@
 import Stripe from 'stripe';
 import { createClient } from '@supabase/supabase-js';
 import { logger } from './logger.js';
+import { PLANS, GRACE_PERIOD_DAYS, planForPriceId, isUpgrade, billingState, hasAccess } from './plans.js';
+import { loadSubscription } from './quotas.js';
+import {
+  STRIPE_EVENT_STATUSES,
+  claimStripeEvent,
+  claimFailedStripeEvent,
+  finishStripeEvent,
+  isStale,
+  listStripeEventRows,
+  fetchFailedStripeEvents
+} from './stripe-events.js';
+
+// Free trial for first-time subscribers; 0 turns trials off
+const TRIAL_DAYS = Number(process.env.STRIPE_TRIAL_DAYS ?? 14);
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
 
 export async function createCheckoutSession(req, res) {
   try {
-    const { priceId, userId, returnUrl } = req.body;
+    const { priceId, returnUrl } = req.body;
+    const userId = req.user.id;
     
     if (!priceId || !userId) {
       logger.error('Missing required fields:', { priceId, userId });
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    if (!planForPriceId(priceId)) {
+      return res.status(400).json({
+        error: `Unknown price; expected one of the ${Object.values(PLANS).map((plan) => plan.name).join(', ')} plan prices`
+      });
+    }
+
     logger.info('Creating checkout session for user:', { userId, priceId });
     logger.info('Supabase config:', { 
       url: process.env.VITE_SUPABASE_URL,
@@ -41,6 +62,15 @@ export async function createCheckoutSession(req, res) {
       subscriptionStatus: user.subscription_status
     });
 
+    // A second checkout would start a second subscription; plan changes go through change-plan
+    const current = await loadSubscription(userId);
+    if (current.subscriptionId && hasAccess(current)) {
+      return res.status(409).json({
+        error: 'You already have a subscription; change plans with /api/billing/change-plan or manage it in the billing portal',
+        billingState: billingState(current)
+      });
+    }
+
     let customerId = user.stripe_customer_id;
 
     if (!customerId) {
@@ -69,10 +99,14 @@ export async function createCheckoutSession(req, res) {
       logger.info('Successfully updated user with Stripe customer ID');
     }
 
+    // Only users who have never subscribed get a trial
+    const trialDays = TRIAL_DAYS > 0 && !current.priceId && !current.trialEnd ? TRIAL_DAYS : 0;
+
     // Create checkout session
-    logger.info('Creating Stripe checkout session');
+    logger.info('Creating Stripe checkout session', { trialDays });
     const session = await stripe.checkout.sessions.create({
       customer: customerId,
+      client_reference_id: userId,
       payment_method_types: ['card'],
       line_items: [
         {
@@ -81,6 +115,10 @@ export async function createCheckoutSession(req, res) {
         },
       ],
       mode: 'subscription',
+      subscription_data: {
+        metadata: { userId },
+        ...(trialDays > 0 && { trial_period_days: trialDays })
+      },
       allow_promotion_codes: true,
       success_url: returnUrl || `${process.env.VITE_APP_URL}/company-setup?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${process.env.VITE_APP_URL}/billing-setup`,
@@ -94,6 +132,304 @@ export async function createCheckoutSession(req, res) {
   }
 }
 
+/**
+ * Open a Stripe billing portal session, where the caller can update their
+ * payment method, see invoices and cancel.
+ * Body: returnUrl?
+ * @route POST /api/billing/portal
+ */
+export async function createBillingPortalSession(req, res) {
+  try {
+    const subscription = await loadSubscription(req.user.id);
+    if (!subscription.customerId) {
+      return res.status(409).json({ error: 'No billing account yet; subscribe to a plan first' });
+    }
+
+    const session = await stripe.billingPortal.sessions.create({
+      customer: subscription.customerId,
+      return_url: req.body?.returnUrl || `${process.env.VITE_APP_URL}/billing`,
+      ...(process.env.STRIPE_PORTAL_CONFIGURATION && { configuration: process.env.STRIPE_PORTAL_CONFIGURATION })
+    });
+
+    logger.info('Billing portal session created', { userId: req.user.id });
+    res.json({ url: session.url });
+  } catch (error) {
+    logger.error('Error creating billing portal session:', error);
+    res.status(500).json({ error: 'Failed to create billing portal session' });
+  }
+}
+
+/**
+ * Move the caller's subscription to another plan's price. Upgrades are
+ * invoiced straight away for the prorated difference and only take effect
+ * once that invoice is paid; downgrades credit the unused time on the next
+ * invoice.
+ * Body: priceId
+ * @route POST /api/billing/change-plan
+ */
+export async function changePlan(req, res) {
+  const { priceId } = req.body || {};
+  const plan = planForPriceId(priceId);
+  if (!plan) {
+    return res.status(400).json({
+      error: `Please provide "priceId" for one of the ${Object.values(PLANS).map((known) => known.name).join(', ')} plans`
+    });
+  }
+
+  try {
+    const userId = req.user.id;
+    const current = await loadSubscription(userId);
+    if (!current.subscriptionId || !hasAccess(current)) {
+      return res.status(409).json({
+        error: 'No active subscription to change; start one with checkout',
+        billingState: billingState(current)
+      });
+    }
+    if (current.priceId === priceId) {
+      return res.status(400).json({ error: `You are already on the ${plan.name} plan` });
+    }
+
+    const subscription = await stripe.subscriptions.retrieve(current.subscriptionId);
+    const upgrade = isUpgrade(current.plan, plan);
+    const updated = await stripe.subscriptions.update(subscription.id, {
+      items: [{ id: subscription.items.data[0].id, price: priceId }],
+      proration_behavior: upgrade ? 'always_invoice' : 'create_prorations',
+      // A failed upgrade payment leaves the subscription on its current plan
+      payment_behavior: 'pending_if_incomplete'
+    });
+
+    // The webhook will record this too; syncing now shows the new plan right away
+    await syncSubscription(userId, updated);
+
+    logger.info('Plan changed', { userId, from: current.plan.id, to: plan.id, upgrade, pending: Boolean(updated.pending_update) });
+    res.json({
+      plan: { id: plan.id, name: plan.name },
+      previousPlan: { id: current.plan.id, name: current.plan.name },
+      upgrade,
+      // Set when an upgrade's payment hasn't gone through yet
+      pendingPayment: Boolean(updated.pending_update)
+    });
+  } catch (error) {
+    logger.error('Error changing plan:', error);
+    if (error.type === 'StripeCardError') {
+      return res.status(402).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to change plan' });
+  }
+}
+
+const isoOrNull = (date) => date?.toISOString() ?? null;
+
+/**
+ * Report the caller's plan, billing state and next renewal
+ * @route GET /api/billing/status
+ */
+export async function getBillingStatus(req, res) {
+  try {
+    const subscription = await loadSubscription(req.user.id);
+    const state = billingState(subscription);
+    const plan = subscription.priceId ? subscription.plan : null;
+    const renews = ['trialing', 'active', 'grace_period', 'past_due'].includes(state);
+
+    res.json({
+      plan: plan && { id: plan.id, name: plan.name, quotas: plan.quotas },
+      state,
+      hasAccess: hasAccess(subscription),
+      subscriptionStatus: subscription.status,
+      trialEnd: isoOrNull(subscription.trialEnd),
+      currentPeriodStart: isoOrNull(subscription.periodStart),
+      currentPeriodEnd: isoOrNull(subscription.periodEnd),
+      renewsAt: renews ? isoOrNull(subscription.periodEnd) : null,
+      endsAt: state === 'canceling' ? isoOrNull(subscription.periodEnd) : null,
+      paymentFailedAt: isoOrNull(subscription.paymentFailedAt),
+      gracePeriodEnd: isoOrNull(subscription.gracePeriodEnd)
+    });
+  } catch (error) {
+    logger.error('Error fetching billing status:', error);
+    res.status(500).json({ error: 'Failed to fetch billing status' });
+  }
+}
+
+// Webhook failures answered with their own status (e.g. 400 for an event we
+// can't attribute to a user) instead of a generic 500
+const webhookError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const toIso = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+// Customers never change owner, so their user IDs are worth remembering
+const customerUsers = new Map();
+
+async function userIdForCustomer(customerId) {
+  if (customerUsers.has(customerId)) return customerUsers.get(customerId);
+
+  const customer = await stripe.customers.retrieve(customerId);
+  const userId = customer.metadata?.userId;
+  if (!userId) {
+    logger.error('No userId found in customer metadata:', { customerId });
+    throw webhookError(400, 'No userId found');
+  }
+  customerUsers.set(customerId, userId);
+  return userId;
+}
+
+// Subscriptions started by checkout carry the user ID in their metadata, which
+// saves looking up the customer
+const userIdFor = (object, metadata) => metadata?.userId || userIdForCustomer(object.customer);
+
+async function callRpc(name, params, failure) {
+  const { error } = await supabase.rpc(name, params);
+  if (error) {
+    logger.error(`Error ${failure}:`, error);
+    throw webhookError(500, `Error ${failure}`);
+  }
+}
+
+// Store a subscription's status, plan, period, trial and cancellation on its user
+async function syncSubscription(userId, subscription) {
+  await callRpc('update_user_subscription_v2', {
+    p_user_id: userId,
+    p_subscription_id: subscription.id,
+    p_status: subscription.status,
+    p_period_end: toIso(subscription.current_period_end)
+  }, 'updating subscription status');
+
+  // Record the price and period start so quotas know the plan and when they reset
+  await callRpc('update_user_subscription_plan', {
+    p_user_id: userId,
+    p_price_id: subscription.items?.data?.[0]?.price?.id ?? null,
+    p_period_start: toIso(subscription.current_period_start)
+  }, 'updating subscription plan');
+
+  await callRpc('update_user_subscription_details', {
+    p_user_id: userId,
+    p_trial_end: toIso(subscription.trial_end),
+    p_cancel_at_period_end: Boolean(subscription.cancel_at_period_end)
+  }, 'updating subscription details');
+
+  logger.info('Subscription synced', { userId, subscriptionId: subscription.id, status: subscription.status });
+}
+
+const setPaymentState = (userId, failedAt, gracePeriodEnd) => callRpc('update_user_payment_state', {
+  p_user_id: userId,
+  p_payment_failed_at: failedAt,
+  p_grace_period_end: gracePeriodEnd
+}, 'updating payment state');
+
+const syncFromEvent = async (subscription) => {
+  const userId = await userIdFor(subscription, subscription.metadata);
+  await syncSubscription(userId, subscription);
+  return userId;
+};
+
+// Handlers by event type, called with the event's object and the event itself.
+// They resolve with the user they updated, if any. Other event types are
+// logged and ignored.
+const webhookHandlers = {
+  'checkout.session.completed': async (session) => {
+    if (session.mode !== 'subscription' || !session.subscription) return null;
+    const userId = session.client_reference_id || await userIdForCustomer(session.customer);
+    // Don't wait for customer.subscription.created, which may arrive later
+    await syncSubscription(userId, await stripe.subscriptions.retrieve(session.subscription));
+    return userId;
+  },
+
+  'customer.subscription.created': syncFromEvent,
+  'customer.subscription.updated': syncFromEvent,
+
+  'customer.subscription.deleted': async (subscription) => {
+    const userId = await userIdFor(subscription, subscription.metadata);
+    await callRpc('update_user_subscription_v2', {
+      p_user_id: userId,
+      p_subscription_id: null,
+      p_status: 'inactive',
+      p_period_end: null
+    }, 'updating subscription status');
+    await callRpc('update_user_subscription_details', {
+      p_user_id: userId,
+      p_trial_end: toIso(subscription.trial_end),
+      p_cancel_at_period_end: false
+    }, 'updating subscription details');
+    await setPaymentState(userId, null, null);
+    return userId;
+  },
+
+  // The subscription itself turns past_due through customer.subscription.updated;
+  // this starts the grace period
+  'invoice.payment_failed': async (invoice, event) => {
+    if (!invoice.subscription) return null;
+    const userId = await userIdFor(invoice, invoice.subscription_details?.metadata);
+
+    // Stripe retries failed invoices; the grace period runs from the first failure
+    const current = await loadSubscription(userId);
+    if (current.paymentFailedAt) {
+      logger.warn('Payment retry failed', { userId, invoiceId: invoice.id, attempt: invoice.attempt_count });
+      return userId;
+    }
+
+    const failedAt = new Date(event.created * 1000);
+    const gracePeriodEnd = new Date(failedAt.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+    await setPaymentState(userId, failedAt.toISOString(), gracePeriodEnd.toISOString());
+    logger.warn('Payment failed, grace period started', {
+      userId,
+      invoiceId: invoice.id,
+      nextAttempt: toIso(invoice.next_payment_attempt),
+      gracePeriodEnd: gracePeriodEnd.toISOString()
+    });
+    return userId;
+  },
+
+  'invoice.paid': async (invoice) => {
+    if (!invoice.subscription) return null;
+    const userId = await userIdFor(invoice, invoice.subscription_details?.metadata);
+    await setPaymentState(userId, null, null);
+    return userId;
+  }
+};
+
+// Events with the same key set the same piece of state, so they must apply in
+// order: subscription events (and checkouts, which sync the subscription) set
+// its status and plan, invoice events its payment state
+const orderingKey = (event) => {
+  const object = event.data.object;
+  if (event.type.startsWith('customer.subscription.')) return `subscription:${object.id}`;
+  if (event.type === 'checkout.session.completed') return object.subscription ? `subscription:${object.subscription}` : null;
+  if (event.type.startsWith('invoice.')) return object.subscription ? `payment:${object.subscription}` : null;
+  return null;
+};
+
+/**
+ * Run a claimed event's handler and record the outcome in the event log.
+ * @returns {Promise<string>} the event's new status
+ * @throws the handler's error, after recording the event as failed
+ */
+async function processEvent(event) {
+  const handler = webhookHandlers[event.type];
+  if (!handler) {
+    await finishStripeEvent(event.id, 'ignored');
+    return 'ignored';
+  }
+
+  const key = orderingKey(event);
+  if (await isStale(event, key)) {
+    logger.info('Skipping stale Stripe event', { eventId: event.id, type: event.type, orderingKey: key });
+    await finishStripeEvent(event.id, 'skipped');
+    return 'skipped';
+  }
+
+  try {
+    const userId = await handler(event.data.object, event);
+    await finishStripeEvent(event.id, 'processed', { userId });
+    return 'processed';
+  } catch (error) {
+    await finishStripeEvent(event.id, 'failed', { error: error.message });
+    throw error;
+  }
+}
+
 export async function handleStripeWebhook(req, res) {
   const sig = req.headers['stripe-signature'];
   let event;
@@ -110,68 +446,84 @@ export async function handleStripeWebhook(req, res) {
   }
 
   try {
-    switch (event.type) {
-      case 'customer.subscription.created':
-      case 'customer.subscription.updated':
-        const subscription = event.data.object;
-        const customerId = subscription.customer;
-        
-        // Get user ID from customer metadata
-        const customer = await stripe.customers.retrieve(customerId);
-        const userId = customer.metadata.userId;
-
-        if (!userId) {
-          logger.error('No userId found in customer metadata:', customerId);
-          return res.status(400).json({ error: 'No userId found' });
-        }
-
-        // Update subscription status
-        const { error: updateError } = await supabase
-          .rpc('update_user_subscription_v2', {
-            p_user_id: userId,
-            p_subscription_id: subscription.id,
-            p_status: subscription.status,
-            p_period_end: new Date(subscription.current_period_end * 1000).toISOString()
-          });
-
-        if (updateError) {
-          logger.error('Error updating subscription status:', updateError);
-          return res.status(500).json({ error: 'Error updating subscription status' });
-        }
-        break;
-
-      case 'customer.subscription.deleted':
-        const deletedSubscription = event.data.object;
-        const deletedCustomerId = deletedSubscription.customer;
-        
-        // Get user ID from customer metadata
-        const deletedCustomer = await stripe.customers.retrieve(deletedCustomerId);
-        const deletedUserId = deletedCustomer.metadata.userId;
-
-        if (!deletedUserId) {
-          logger.error('No userId found in customer metadata:', deletedCustomerId);
-          return res.status(400).json({ error: 'No userId found' });
-        }
-
-        // Update subscription status to inactive
-        const { error: deleteError } = await supabase
-          .rpc('update_user_subscription_v2', {
-            p_user_id: deletedUserId,
-            p_subscription_id: null,
-            p_status: 'inactive',
-            p_period_end: null
-          });
-
-        if (deleteError) {
-          logger.error('Error updating subscription status:', deleteError);
-          return res.status(500).json({ error: 'Error updating subscription status' });
-        }
-        break;
+    const { claimed, status } = await claimStripeEvent(event, orderingKey(event));
+    if (!claimed) {
+      logger.info('Duplicate Stripe event', { eventId: event.id, type: event.type, status });
+      // Still being handled by another delivery; have Stripe try again later
+      if (status === 'processing') {
+        return res.status(409).json({ error: 'Event is already being processed' });
+      }
+      return res.json({ received: true, duplicate: true });
     }
 
-    return res.json({ received: true });
+    const outcome = await processEvent(event);
+    return res.json({ received: true, ...(outcome === 'skipped' && { stale: true }) });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     logger.error('Error processing webhook:', error);
     return res.status(500).json({ error: 'Webhook processing failed' });
   }
 }
+
+/**
+ * List logged Stripe webhook events, newest first
+ * Query: status?, type?, limit? (default 50, at most 200)
+ * @route GET /api/admin/stripe/events
+ */
+export async function listStripeEvents(req, res) {
+  const { status, type } = req.query;
+  if (status && !STRIPE_EVENT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `"status" must be one of: ${STRIPE_EVENT_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), 200);
+    res.json({ events: await listStripeEventRows({ status, type, limit }) });
+  } catch (error) {
+    logger.error('Error listing Stripe events:', error);
+    res.status(500).json({ error: 'Failed to list Stripe events' });
+  }
+}
+
+/**
+ * Process failed Stripe webhook events again, oldest first, from their
+ * stored payloads.
+ * Body: ids? (defaults to every failed event, up to 100)
+ * @route POST /api/admin/stripe/events/replay
+ */
+export async function replayStripeEvents(req, res) {
+  const { ids } = req.body || {};
+  if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || !ids.every((id) => typeof id === 'string'))) {
+    return res.status(400).json({ error: '"ids" must be a non-empty array of event IDs' });
+  }
+
+  try {
+    const rows = await fetchFailedStripeEvents({ ids });
+    const results = [];
+    for (const row of rows) {
+      if (!await claimFailedStripeEvent(row)) {
+        results.push({ id: row.id, type: row.type, status: 'not_failed' });
+        continue;
+      }
+      try {
+        results.push({ id: row.id, type: row.type, status: await processEvent(row.payload) });
+      } catch (error) {
+        results.push({ id: row.id, type: row.type, status: 'failed', error: error.message });
+      }
+    }
+
+    // Requested events that aren't failed, or aren't logged at all
+    const missing = (ids || []).filter((id) => !rows.some((row) => row.id === id));
+    for (const id of missing) {
+      results.push({ id, status: 'not_failed' });
+    }
+
+    logger.info('Replayed Stripe events', { userId: req.user.id, count: rows.length });
+    res.json({ results });
+  } catch (error) {
+    logger.error('Error replaying Stripe events:', error);
+    res.status(500).json({ error: 'Failed to replay Stripe events' });
+  }
+}
@@ -0,0 +1,148 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { requireAuth, requireCompanyAccess } from '../auth.js';
+import { listPosts, deletePost } from '../posts.js';
+import { getPipelineStatus } from '../pipeline.js';
+import { onSupabase, resetSupabase, requestsTo } from './support/supabase-mock.js';
+import { serve, accessToken, bearer } from './support/http.js';
+
+const MEMBERSHIPS = { 'user-1': ['company-a', 'company-b'], 'user-2': ['company-c'] };
+
+beforeEach(() => {
+  resetSupabase();
+  onSupabase('GET', 'company_members', ({ query }) => ({
+    data: (MEMBERSHIPS[query.get('user_id').replace(/^eq\./, '')] || []).map((company_id) => ({ company_id }))
+  }));
+});
+
+const withApp = async (mount, run) => {
+  const server = await serve(mount);
+  try {
+    await run(server.url);
+  } finally {
+    await server.close();
+  }
+};
+
+const whoAmI = (app) => app.get('/me', requireAuth, (req, res) => res.json({ user: req.user, companyIds: req.companyIds }));
+
+test('requireAuth accepts a valid token and loads the caller\'s companies', () =>
+  withApp(whoAmI, async (url) => {
+    const res = await fetch(`${url}/me`, { headers: bearer('user-1', { email: 'one@example.com' }) });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), {
+      user: { id: 'user-1', email: 'one@example.com', role: 'authenticated' },
+      companyIds: ['company-a', 'company-b']
+    });
+  }));
+
+test('requireAuth rejects missing, expired, forged and wrong-audience tokens', () =>
+  withApp(whoAmI, async (url) => {
+    const past = Math.floor(Date.now() / 1000) - 3600;
+    const cases = [
+      {},
+      { Authorization: accessToken('user-1') },
+      bearer('user-1', { exp: past }),
+      bearer('user-1', { aud: 'anon' }),
+      { Authorization: `Bearer ${accessToken('user-1').slice(0, -2)}xx` }
+    ];
+
+    for (const headers of cases) {
+      const res = await fetch(`${url}/me`, { headers });
+      assert.equal(res.status, 401, JSON.stringify(headers));
+    }
+    assert.equal(requestsTo('GET', 'company_members').length, 0);
+  }));
+
+test('requireAuth fails closed when memberships cannot be loaded', () =>
+  withApp(whoAmI, async (url) => {
+    onSupabase('GET', 'company_members', () => ({ status: 500, data: { message: 'down' } }));
+
+    const res = await fetch(`${url}/me`, { headers: bearer('user-1') });
+
+    assert.equal(res.status, 500);
+  }));
+
+const companyRoute = (options) => (app) => app.post(
+  '/company',
+  express.json(),
+  requireAuth,
+  requireCompanyAccess(options),
+  (req, res) => res.json({ companyId: req.companyId ?? null })
+);
+
+const postCompany = (url, userId, body) => fetch(`${url}/company`, {
+  method: 'POST',
+  headers: { ...bearer(userId), 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+test('requireCompanyAccess lets members through and sets req.companyId', () =>
+  withApp(companyRoute(), async (url) => {
+    let res = await postCompany(url, 'user-1', { company_id: 'company-b' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { companyId: 'company-b' });
+
+    res = await postCompany(url, 'user-1', { company: { id: 'company-a' } });
+    assert.deepEqual(await res.json(), { companyId: 'company-a' });
+  }));
+
+test('requireCompanyAccess rejects other companies and a missing company', () =>
+  withApp(companyRoute(), async (url) => {
+    assert.equal((await postCompany(url, 'user-2', { company_id: 'company-a' })).status, 403);
+    assert.equal((await postCompany(url, 'user-1', { company: { id: 'company-c' } })).status, 403);
+    assert.equal((await postCompany(url, 'user-1', {})).status, 400);
+  }));
+
+test('requireCompanyAccess with required: false only checks a supplied company', () =>
+  withApp(companyRoute({ required: false }), async (url) => {
+    const res = await postCompany(url, 'user-1', {});
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { companyId: null });
+
+    assert.equal((await postCompany(url, 'user-1', { company_id: 'company-c' })).status, 403);
+  }));
+
+test('listing posts is confined to the caller\'s companies', () =>
+  withApp((app) => app.get('/api/posts', requireAuth, listPosts), async (url) => {
+    let res = await fetch(`${url}/api/posts`, { headers: bearer('user-1') });
+    assert.equal(res.status, 200);
+    assert.equal(requestsTo('GET', 'blog_posts').at(-1).query.get('company_id'), 'in.(company-a,company-b)');
+
+    res = await fetch(`${url}/api/posts?company_id=company-b`, { headers: bearer('user-1') });
+    assert.equal(res.status, 200);
+    assert.equal(requestsTo('GET', 'blog_posts').at(-1).query.get('company_id'), 'in.(company-b)');
+
+    res = await fetch(`${url}/api/posts?company_id=company-c`, { headers: bearer('user-1') });
+    assert.equal(res.status, 403);
+    assert.equal(requestsTo('GET', 'blog_posts').length, 2);
+  }));
+
+test('deleting a post is confined to the caller\'s companies', () =>
+  withApp((app) => app.delete('/api/posts/:id', requireAuth, deletePost), async (url) => {
+    const res = await fetch(`${url}/api/posts/post-1`, { method: 'DELETE', headers: bearer('user-2') });
+
+    assert.equal(res.status, 404);
+    const [request] = requestsTo('DELETE', 'blog_posts');
+    assert.equal(request.query.get('id'), 'eq.post-1');
+    assert.equal(request.query.get('company_id'), 'in.(company-c)');
+  }));
+
+test('pipeline jobs are only visible to members of their company', () =>
+  withApp((app) => app.get('/api/pipeline/:jobId', requireAuth, getPipelineStatus), async (url) => {
+    const jobs = [{ id: 'job-1', company_id: 'company-a', status: 'running', current_stage: 'facts', checkpoints: {} }];
+    onSupabase('GET', 'pipeline_jobs', ({ query }) => {
+      const companies = query.get('company_id').slice('in.('.length, -1).split(',');
+      return { data: jobs.filter((job) => `eq.${job.id}` === query.get('id') && companies.includes(job.company_id)) };
+    });
+
+    let res = await fetch(`${url}/api/pipeline/job-1`, { headers: bearer('user-1') });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).jobId, 'job-1');
+
+    res = await fetch(`${url}/api/pipeline/job-1`, { headers: bearer('user-2') });
+    assert.equal(res.status, 404);
+    assert.equal(requestsTo('GET', 'pipeline_jobs').at(-1).query.get('company_id'), 'in.(company-c)');
+  }));
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { numberReferences, citedClaims, linkCitations } from '../citations.js';
+
+const gartner = { publisher: 'Gartner', url: 'https://www.gartner.com/report/', date: '2024', quote: 'Coffee sales rose 12%.' };
+const statista = { publisher: 'Statista', quote: 'Most buyers were online.' };
+
+const facts = {
+  'How fast did coffee sales grow?': { answer: '12% in 2023', citations: [gartner, statista] },
+  'What was the first coffee house?': 'Kiva Han, 1475',
+  'Where do people buy coffee?': {
+    answer: 'Online, mostly',
+    citations: [
+      { publisher: 'Gartner Inc.', url: 'http://gartner.com/report', quote: 'Online sales led.' },
+      { publisher: ' statista ', quote: 'Most buyers were online.' },
+      { publisher: '', url: '', quote: 'No source at all' },
+      { publisher: 'Euromonitor', url: 'https://euromonitor.com/coffee#top' }
+    ]
+  }
+};
+
+test('numberReferences numbers each distinct source in order of first appearance', () => {
+  assert.deepEqual(numberReferences(facts), [
+    {
+      number: 1,
+      publisher: 'Gartner',
+      url: 'https://www.gartner.com/report/',
+      date: '2024',
+      quotes: ['Coffee sales rose 12%.', 'Online sales led.'],
+      questions: ['How fast did coffee sales grow?', 'Where do people buy coffee?']
+    },
+    {
+      number: 2,
+      publisher: 'Statista',
+      url: '',
+      date: '',
+      quotes: ['Most buyers were online.'],
+      questions: ['How fast did coffee sales grow?', 'Where do people buy coffee?']
+    },
+    {
+      number: 3,
+      publisher: 'Euromonitor',
+      url: 'https://euromonitor.com/coffee#top',
+      date: '',
+      quotes: [],
+      questions: ['Where do people buy coffee?']
+    }
+  ]);
+});
+
+test('numberReferences gives nothing for facts without sources', () => {
+  assert.deepEqual(numberReferences({ 'Plain question?': 'Plain answer' }), []);
+  assert.deepEqual(numberReferences(null), []);
+});
+
+const references = numberReferences(facts);
+
+test('citedClaims pairs each cited sentence with its sources', () => {
+  const draft = [
+    '# Sales grew [1]',
+    '',
+    'Sales rose 12% in 2023 [1]. Most buyers were online.[2][4] Some  shops',
+    'closed, though (Reuters) [1] [2].',
+    '',
+    '```',
+    'const cited = list[1];',
+    '```',
+    '',
+    'No sources here. Did it "matter?" [3] Yes.'
+  ].join('\n');
+
+  assert.deepEqual(
+    citedClaims(draft, references).map(({ number, claim, source }) => [number, claim, source?.publisher ?? null]),
+    [
+      [1, 'Sales rose 12% in 2023.', 'Gartner'],
+      [2, 'Most buyers were online.', 'Statista'],
+      [4, 'Most buyers were online.', null],
+      [1, 'Some shops closed, though (Reuters).', 'Gartner'],
+      [2, 'Some shops closed, though (Reuters).', 'Statista'],
+      [3, 'Did it "matter?"', 'Euromonitor']
+    ]
+  );
+});
+
+test('links, images, definitions and escaped brackets are not citation markers', () => {
+  const draft = 'See ![1](chart.png), [2](https://example.com) and \\[3] in the text.\n\n[1]: https://example.com/chart';
+
+  assert.deepEqual(citedClaims(draft, references), []);
+  assert.equal(linkCitations(draft, references), draft);
+});
+
+test('linkCitations swaps markers for links to their sources', () => {
+  assert.equal(
+    linkCitations('Sales rose 12% [1]. Most were online[2], says Euromonitor.[3] Unsure [9].', references),
+    'Sales rose 12% ([Gartner](https://www.gartner.com/report/)). Most were online (Statista), says Euromonitor. ' +
+      '([Euromonitor](https://euromonitor.com/coffee#top)) Unsure [9].'
+  );
+  assert.equal(
+    linkCitations('Only a link [1].', [{ number: 1, publisher: '', url: 'https://example.com/a' }]),
+    'Only a link ([https://example.com/a](https://example.com/a)).'
+  );
+});
@@ -0,0 +1,363 @@
+import crypto from 'crypto';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { cmsAdapters } from '../cms-adapters.js';
+import { requireAuth } from '../auth.js';
+import { publishPost, saveCmsConnection } from '../publishing.js';
+import { verifyJwt } from '../jwt.js';
+import { onSupabase, resetSupabase, requestsTo } from './support/supabase-mock.js';
+import { serve, mockRemote, bearer } from './support/http.js';
+
+const article = {
+  title: 'Ten Ways to Brew Better Coffee',
+  html: '<p>Start with fresh beans.</p>',
+  excerpt: 'Start with fresh beans.',
+  tags: ['Coffee', 'brewing'],
+  slug: 'ten-ways-to-brew-better-coffee'
+};
+
+const withRemote = async (handler, run) => {
+  const remote = await mockRemote(handler);
+  try {
+    await run(remote);
+  } finally {
+    await remote.close();
+  }
+};
+
+// --- WordPress ---------------------------------------------------------------
+
+const wordpressApi = (existingTags) => ({ method, path, query, body }) => {
+  if (method === 'GET' && path === '/wp-json/wp/v2/tags') {
+    return { body: existingTags.filter((tag) => tag.name.toLowerCase().includes(query.get('search').toLowerCase())) };
+  }
+  if (method === 'POST' && path === '/wp-json/wp/v2/tags') {
+    return { status: 201, body: { id: 12, name: body.name } };
+  }
+  if (method === 'POST' && path === '/wp-json/wp/v2/posts') {
+    return { status: 201, body: { id: 101, link: 'https://blog.example.com/?p=101' } };
+  }
+  if (method === 'POST' && path === '/wp-json/wp/v2/posts/101') {
+    return { body: { id: 101, link: 'https://blog.example.com/ten-ways' } };
+  }
+  return null;
+};
+
+const wordpressCredentials = (url) => ({ siteUrl: `${url}/`, username: 'editor', applicationPassword: 'abcd efgh' });
+
+test('WordPress: a draft maps keywords to tag IDs, creating missing tags', () =>
+  withRemote(wordpressApi([{ id: 5, name: 'coffee' }, { id: 6, name: 'Coffee Beans' }]), async (remote) => {
+    const result = await cmsAdapters.wordpress.publish(
+      { credentials: wordpressCredentials(remote.url) },
+      { article, status: 'draft' }
+    );
+
+    assert.deepEqual(result, { remoteId: '101', url: 'https://blog.example.com/?p=101', status: 'draft' });
+    assert.deepEqual(remote.requests.filter((r) => r.method === 'POST' && r.path.endsWith('/tags')).map((r) => r.body), [{ name: 'brewing' }]);
+
+    const post = remote.requests.at(-1);
+    assert.equal(post.headers.authorization, `Basic ${Buffer.from('editor:abcd efgh').toString('base64')}`);
+    assert.deepEqual(post.body, {
+      title: article.title,
+      content: article.html,
+      excerpt: article.excerpt,
+      slug: article.slug,
+      status: 'draft',
+      tags: [5, 12]
+    });
+  }));
+
+test('WordPress: publishing live again updates the same post', () =>
+  withRemote(wordpressApi([{ id: 5, name: 'Coffee' }, { id: 7, name: 'Brewing' }]), async (remote) => {
+    const result = await cmsAdapters.wordpress.publish(
+      { credentials: wordpressCredentials(remote.url) },
+      { article, status: 'live', remoteId: '101' }
+    );
+
+    assert.deepEqual(result, { remoteId: '101', url: 'https://blog.example.com/ten-ways', status: 'live' });
+    const post = remote.requests.at(-1);
+    assert.equal(post.path, '/wp-json/wp/v2/posts/101');
+    assert.equal(post.body.status, 'publish');
+    assert.deepEqual(post.body.tags, [5, 7]);
+    assert.equal('slug' in post.body, false);
+    assert.equal(remote.requests.filter((r) => r.path === '/wp-json/wp/v2/posts').length, 0);
+  }));
+
+test('WordPress: a rejected request surfaces the remote status and body', () =>
+  withRemote(() => ({ status: 401, body: { code: 'rest_not_logged_in' } }), async (remote) => {
+    await assert.rejects(
+      cmsAdapters.wordpress.publish({ credentials: wordpressCredentials(remote.url) }, { article: { ...article, tags: [] }, status: 'draft' }),
+      { platform: 'WordPress', status: 401, details: { code: 'rest_not_logged_in' } }
+    );
+  }));
+
+// --- Ghost -------------------------------------------------------------------
+
+const GHOST_KEY_ID = '6489fe2bd6c3aa0001b2c3d4';
+const GHOST_SECRET = 'a1b2c3d4e5f60718293a4b5c6d7e8f90a1b2c3d4e5f60718293a4b5c6d7e8f90';
+
+const ghostApi = ({ method, path, body }) => {
+  if (method === 'POST' && path === '/ghost/api/admin/posts/') {
+    return { status: 201, body: { posts: [{ id: 'g-1', url: 'https://ghost.example.com/ten-ways/', ...body.posts[0] }] } };
+  }
+  if (method === 'GET' && path === '/ghost/api/admin/posts/g-1/') {
+    return { body: { posts: [{ id: 'g-1', updated_at: '2024-05-01T10:00:00.000Z' }] } };
+  }
+  if (method === 'PUT' && path === '/ghost/api/admin/posts/g-1/') {
+    return { body: { posts: [{ id: 'g-1', url: 'https://ghost.example.com/ten-ways/' }] } };
+  }
+  return null;
+};
+
+const ghostConnection = (url) => ({ credentials: { adminUrl: url, adminApiKey: `${GHOST_KEY_ID}:${GHOST_SECRET}` } });
+
+const assertGhostToken = (request) => {
+  const [scheme, token] = request.headers.authorization.split(' ');
+  assert.equal(scheme, 'Ghost');
+  assert.equal(JSON.parse(Buffer.from(token.split('.')[0], 'base64url')).kid, GHOST_KEY_ID);
+  assert.ok(verifyJwt(token, Buffer.from(GHOST_SECRET, 'hex'), { audience: '/admin/' }));
+};
+
+test('Ghost: a draft is created with tags and a signed admin token', () =>
+  withRemote(ghostApi, async (remote) => {
+    const result = await cmsAdapters.ghost.publish(ghostConnection(remote.url), { article, status: 'draft' });
+
+    assert.deepEqual(result, { remoteId: 'g-1', url: 'https://ghost.example.com/ten-ways/', status: 'draft' });
+    const [request] = remote.requests;
+    assertGhostToken(request);
+    assert.equal(request.query.get('source'), 'html');
+    assert.deepEqual(request.body.posts[0], {
+      title: article.title,
+      html: article.html,
+      custom_excerpt: article.excerpt,
+      tags: [{ name: 'Coffee' }, { name: 'brewing' }],
+      status: 'draft',
+      slug: article.slug
+    });
+  }));
+
+test('Ghost: publishing live again updates the same post with its updated_at', () =>
+  withRemote(ghostApi, async (remote) => {
+    const result = await cmsAdapters.ghost.publish(ghostConnection(remote.url), { article, status: 'live', remoteId: 'g-1' });
+
+    assert.deepEqual(result, { remoteId: 'g-1', url: 'https://ghost.example.com/ten-ways/', status: 'live' });
+    const [current, update] = remote.requests;
+    assert.equal(current.method, 'GET');
+    assert.equal(update.method, 'PUT');
+    assertGhostToken(update);
+    assert.equal(update.body.posts[0].status, 'published');
+    assert.equal(update.body.posts[0].updated_at, '2024-05-01T10:00:00.000Z');
+    assert.equal('slug' in update.body.posts[0], false);
+  }));
+
+// --- Webflow -----------------------------------------------------------------
+
+const webflowApi = ({ method, path, body }) => {
+  if (method === 'POST' && ['/collections/col-1/items', '/collections/col-1/items/live'].includes(path)) {
+    return { status: 202, body: { id: 'w-1', fieldData: body.fieldData } };
+  }
+  if (method === 'PATCH' && ['/collections/col-1/items/w-1', '/collections/col-1/items/w-1/live'].includes(path)) {
+    return { body: { id: 'w-1', fieldData: { ...body.fieldData, slug: 'ten-ways' } } };
+  }
+  return null;
+};
+
+const webflowConnection = {
+  credentials: { apiToken: 'wf-token', collectionId: 'col-1' },
+  settings: { fields: { body: 'content', tags: 'keywords' }, urlTemplate: 'https://www.example.com/blog/{slug}' }
+};
+
+// Webflow's API URL is only configurable through the environment
+const withWebflow = (handler, run) => withRemote(handler, async (remote) => {
+  process.env.WEBFLOW_API_URL = remote.url;
+  try {
+    await run(remote);
+  } finally {
+    delete process.env.WEBFLOW_API_URL;
+  }
+});
+
+test('Webflow: a draft item is staged with the mapped fields and keywords', () =>
+  withWebflow(webflowApi, async (remote) => {
+    const result = await cmsAdapters.webflow.publish(webflowConnection, { article, status: 'draft' });
+
+    assert.deepEqual(result, { remoteId: 'w-1', url: `https://www.example.com/blog/${article.slug}`, status: 'draft' });
+    const [request] = remote.requests;
+    assert.equal(request.path, '/collections/col-1/items');
+    assert.equal(request.headers.authorization, 'Bearer wf-token');
+    assert.deepEqual(request.body, {
+      isArchived: false,
+      isDraft: true,
+      fieldData: {
+        name: article.title,
+        slug: article.slug,
+        content: article.html,
+        'post-summary': article.excerpt,
+        keywords: 'Coffee, brewing'
+      }
+    });
+  }));
+
+test('Webflow: publishing live creates or updates the item through /live', () =>
+  withWebflow(webflowApi, async (remote) => {
+    await cmsAdapters.webflow.publish(webflowConnection, { article, status: 'live' });
+    const result = await cmsAdapters.webflow.publish(webflowConnection, { article, status: 'live', remoteId: 'w-1' });
+
+    assert.deepEqual(result, { remoteId: 'w-1', url: 'https://www.example.com/blog/ten-ways', status: 'live' });
+    const [create, update] = remote.requests;
+    assert.equal(create.path, '/collections/col-1/items/live');
+    assert.equal(create.body.isDraft, false);
+    assert.equal(update.method, 'PATCH');
+    assert.equal(update.path, '/collections/col-1/items/w-1/live');
+    assert.equal('slug' in update.body.fieldData, false);
+  }));
+
+// --- Publish route -----------------------------------------------------------
+
+beforeEach(() => {
+  resetSupabase();
+  onSupabase('GET', 'company_members', () => ({ data: [{ company_id: 'company-a' }] }));
+});
+
+test('publishing to a platform that is only an Object property is a 400', async () => {
+  const server = await serve((app) => app.post('/api/posts/:id/publish', express.json(), requireAuth, publishPost));
+  try {
+    for (const platform of ['constructor', 'toString', '__proto__', undefined]) {
+      const res = await fetch(`${server.url}/api/posts/post-1/publish`, {
+        method: 'POST',
+        headers: { ...bearer('user-1'), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ platform })
+      });
+      assert.equal(res.status, 400, String(platform));
+    }
+    assert.equal(requestsTo('GET', 'blog_posts').length, 0);
+  } finally {
+    await server.close();
+  }
+});
+
+// --- Connections ---------------------------------------------------------------
+
+const cmsRoutes = (app) => {
+  app.put('/api/companies/:companyId/cms/:platform', express.json(), requireAuth, saveCmsConnection);
+  app.post('/api/posts/:id/publish', express.json(), requireAuth, publishPost);
+};
+
+const saveConnection = (url, platform, credentials) => fetch(`${url}/api/companies/company-a/cms/${platform}`, {
+  method: 'PUT',
+  headers: { ...bearer('user-1'), 'Content-Type': 'application/json' },
+  body: JSON.stringify({ credentials })
+});
+
+test('saving a connection rejects credentials the adapter does not declare', async () => {
+  const server = await serve(cmsRoutes);
+  try {
+    const res = await saveConnection(server.url, 'webflow', { apiToken: 'wf-token', collectionId: 'col-1', apiUrl: 'http://127.0.0.1:8080' });
+
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /Unknown Webflow credentials: apiUrl/);
+    assert.equal(requestsTo('POST', 'cms_connections').length, 0);
+  } finally {
+    await server.close();
+  }
+});
+
+test('saving a connection requires site URLs to be https on a public host', async () => {
+  const server = await serve(cmsRoutes);
+  try {
+    const urls = [
+      'http://blog.example.com',
+      'https://localhost:8080',
+      'https://127.0.0.1',
+      'https://2130706433',
+      'https://10.0.0.5',
+      'https://169.254.169.254/latest',
+      'https://[::1]',
+      'https://[::ffff:127.0.0.1]',
+      'https://intranet',
+      'https://db.internal',
+      'file:///etc/passwd',
+      'not a url'
+    ];
+    for (const siteUrl of urls) {
+      const res = await saveConnection(server.url, 'wordpress', { siteUrl, username: 'editor', applicationPassword: 'pw' });
+      assert.equal(res.status, 400, siteUrl);
+      assert.deepEqual(await res.json(), { error: 'siteUrl must be an https URL on a public host' });
+    }
+    assert.equal(requestsTo('POST', 'cms_connections').length, 0);
+
+    const res = await saveConnection(server.url, 'ghost', { adminUrl: 'https://blog.example.com/', adminApiKey: `${GHOST_KEY_ID}:${GHOST_SECRET}` });
+    assert.equal(res.status, 200);
+    assert.equal(requestsTo('POST', 'cms_connections').length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+// Saved connections are served back to publishPost as stored
+const storeConnections = () => {
+  const rows = [];
+  onSupabase('POST', 'cms_connections', ({ body }) => {
+    rows.push(...[body].flat());
+    return { status: 201 };
+  });
+  onSupabase('GET', 'cms_connections', ({ query }) => ({
+    data: rows.filter((row) => `eq.${row.platform}` === query.get('platform'))
+  }));
+  return rows;
+};
+
+const publish = (url, platform) => fetch(`${url}/api/posts/post-1/publish`, {
+  method: 'POST',
+  headers: { ...bearer('user-1'), 'Content-Type': 'application/json' },
+  body: JSON.stringify({ platform })
+});
+
+test('a rejected publish returns the remote status without the remote body', () =>
+  withWebflow(() => ({ status: 403, body: { message: 'internal secret page' } }), async () => {
+    storeConnections();
+    onSupabase('GET', 'blog_posts', () => ({ data: [{ id: 'post-1', company_id: 'company-a', article: '## Brewing\n\nUse fresh beans.' }] }));
+    const server = await serve(cmsRoutes);
+    try {
+      assert.equal((await saveConnection(server.url, 'webflow', { apiToken: 'wf-token', collectionId: 'col-1' })).status, 200);
+
+      const res = await publish(server.url, 'webflow');
+
+      assert.equal(res.status, 502);
+      assert.deepEqual(await res.json(), { error: 'Webflow rejected the publish request', remoteStatus: 403 });
+    } finally {
+      await server.close();
+    }
+  }));
+
+// A row as connections.js stores it, for credentials saving would now refuse
+const storedRow = (platform, credentials) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(process.env.CMS_CREDENTIALS_KEY, 'hex'), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+  return {
+    company_id: 'company-a',
+    platform,
+    credentials_encrypted: [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64url')).join('.'),
+    settings: {}
+  };
+};
+
+test('publishing through a connection stored with a non-public site URL is a 400', () =>
+  withRemote(wordpressApi([]), async (remote) => {
+    storeConnections().push(storedRow('wordpress', { siteUrl: remote.url, username: 'editor', applicationPassword: 'pw' }));
+    onSupabase('GET', 'blog_posts', () => ({ data: [{ id: 'post-1', company_id: 'company-a', article: 'Use fresh beans.' }] }));
+    const server = await serve(cmsRoutes);
+    try {
+      const res = await publish(server.url, 'wordpress');
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(await res.json(), {
+        error: 'The WordPress connection\'s siteUrl must be an https URL on a public host; save it again'
+      });
+      assert.equal(remote.requests.length, 0);
+    } finally {
+      await server.close();
+    }
+  }));
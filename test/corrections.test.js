@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { applyCorrections, applyDraftCorrections, locateText } from '../corrections.js';
+import { requireAuth } from '../auth.js';
+import { onSupabase, resetSupabase } from './support/supabase-mock.js';
+import { serve, bearer } from './support/http.js';
+
+const correct = (draft, ...corrections) => applyCorrections(draft, corrections);
+
+test('matching ignores case, dashes and whitespace', () => {
+  const draft = 'Experts call it the “single  most important” factor—by far.';
+
+  const { content, report } = correct(draft, {
+    original_text: '“Single most important” factor -- by far.',
+    corrected_text: '“second most important” factor.'
+  });
+
+  assert.equal(content, 'Experts call it the “second most important” factor.');
+  assert.equal(report[0].status, 'applied');
+  assert.equal(report[0].matched_text, '“single  most important” factor—by far.');
+});
+
+test('emphasis around the matched words is taken in whole', () => {
+  const draft = 'The market grew **32%** in 2023, and _most_ of it online.';
+
+  assert.equal(
+    correct(draft, { original_text: 'grew 32%', corrected_text: 'grew 28%' }).content,
+    'The market grew 28% in 2023, and _most_ of it online.'
+  );
+  assert.equal(
+    correct(draft, { original_text: '32% in 2023', corrected_text: '28% in 2023' }).content,
+    'The market grew 28% in 2023, and _most_ of it online.'
+  );
+  assert.equal(
+    correct(draft, { original_text: 'and most of it', corrected_text: 'and half of it' }).content,
+    'The market grew **32%** in 2023, and half of it online.'
+  );
+});
+
+test('link targets are not text, and a match ending inside a link takes the whole link', () => {
+  const draft = 'Coffee is [the most traded commodity](https://en.wikipedia.org/wiki/Coffee_(drink) "Coffee") after oil.';
+
+  const { content, report } = correct(draft, {
+    original_text: 'Coffee is the most traded',
+    corrected_text: 'Coffee is among the most traded commodities'
+  });
+
+  assert.equal(content, 'Coffee is among the most traded commodities after oil.');
+  assert.equal(report[0].matched_text, 'Coffee is [the most traded commodity](https://en.wikipedia.org/wiki/Coffee_(drink) "Coffee")');
+  assert.equal(locateText(draft, 'wikipedia'), null);
+  assert.equal(locateText('See [the report](<https://example.com/a b>).', 'the report').end, 43);
+});
+
+test('citation markers are skipped and kept in place', () => {
+  const draft = 'Sales rose 12% in 2023 [2]. Margins fell [3].';
+
+  const { content, report } = correct(draft, { original_text: 'rose 12% in 2023.', corrected_text: 'rose 15% in 2023.' });
+
+  assert.equal(content, 'Sales rose 15% in 2023 [2]. Margins fell [3].');
+  assert.equal(report[0].matched_text, 'rose 12% in 2023');
+  assert.equal(
+    correct(draft, { original_text: 'Margins fell.', corrected_text: 'Margins held.' }).content,
+    'Sales rose 12% in 2023 [2]. Margins held [3].'
+  );
+});
+
+test('the first of several matches is replaced and the rest counted', () => {
+  const { content, report } = correct('A cat sat. A cat ran.', { original_text: 'a CAT', corrected_text: 'A dog' });
+
+  assert.equal(content, 'A dog sat. A cat ran.');
+  assert.equal(report[0].occurrences, 2);
+  assert.equal(report[0].line, 1);
+});
+
+test('overlapping corrections: the first in the list wins, the other is a conflict', () => {
+  const draft = 'Line one.\nThe market grew 32% in 2023.';
+
+  const { content, report } = correct(
+    draft,
+    { original_text: 'grew 32%', corrected_text: 'grew 28%' },
+    { original_text: '32% in 2023', corrected_text: '30% in 2022' }
+  );
+
+  assert.equal(content, 'Line one.\nThe market grew 28% in 2023.');
+  assert.deepEqual(report[1], {
+    index: 1,
+    original_text: '32% in 2023',
+    corrected_text: '30% in 2022',
+    status: 'conflict',
+    reason: 'Overlaps correction 0, which was applied instead',
+    line: 2
+  });
+});
+
+test('corrections are located in the original draft, not in each other\'s output', () => {
+  const { content, report } = correct(
+    'Prices rose 5%. Costs rose 3%.',
+    { original_text: 'Prices rose 5%', corrected_text: 'Costs rose 3%' },
+    { original_text: 'Costs rose 3%', corrected_text: 'Costs rose 4%' }
+  );
+
+  assert.equal(content, 'Costs rose 3%. Costs rose 4%.');
+  assert.deepEqual(report.map((entry) => entry.status), ['applied', 'applied']);
+});
+
+test('each correction that can\'t be applied says why, and the draft is left alone', () => {
+  const draft = 'The market grew 32% in 2023.';
+
+  const { content, report, diff } = correct(
+    draft,
+    { original_text: 'shrank 5%', corrected_text: 'shrank 4%' },
+    { original_text: 'grew 32%', corrected_text: null },
+    { original_text: 'grew 32%', corrected_text: ' grew 32% ' },
+    { original_text: 'grew 32%', corrected_text: 'grew 28%', decision: 'rejected' },
+    { original_text: 'grew 32%', corrected_text: 'grew 28%', status: 'applied' }
+  );
+
+  assert.equal(content, draft);
+  assert.equal(diff, '');
+  assert.deepEqual(report.map(({ status, reason }) => [status, reason]), [
+    ['not_found', 'The original text is not in the draft'],
+    ['no_correction', 'The verify stage gave no corrected text'],
+    ['no_correction', 'The corrected text is the same as the original'],
+    ['rejected', 'Rejected by an editor'],
+    ['applied', 'Applied earlier']
+  ]);
+});
+
+test('a correction split across paragraphs or made of markup only is not found', () => {
+  assert.equal(locateText('First paragraph ends.\n\nSecond one.', 'ends. Second one').start, 16);
+  assert.equal(locateText('Some **text**.', '** []'), null);
+});
+
+// --- Route ---------------------------------------------------------------------
+
+const applyRoute = (app) => app.post('/api/corrections/apply', express.json(), requireAuth, applyDraftCorrections);
+
+const postCorrections = async (body) => {
+  resetSupabase();
+  onSupabase('GET', 'company_members', () => ({ data: [{ company_id: 'company-a' }] }));
+  const server = await serve(applyRoute);
+  try {
+    const res = await fetch(`${server.url}/api/corrections/apply`, {
+      method: 'POST',
+      headers: { ...bearer('user-1'), 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  } finally {
+    await server.close();
+  }
+};
+
+test('the apply route reports each correction entry that is malformed', async () => {
+  const { status, body } = await postCorrections({
+    draft: 'The market grew 32% in 2023.',
+    corrections: [
+      null,
+      'grew 32%',
+      { original_text: 'grew 32%', corrected_text: 'grew 28%' },
+      { original_text: 32, corrected_text: { text: 'grew 28%' } },
+      { original_text: 'grew 32%', corrected_text: 'grew 28%', decision: 'maybe' }
+    ]
+  });
+
+  assert.equal(status, 400);
+  assert.deepEqual(body, {
+    error: 'Invalid corrections',
+    validationErrors: [
+      'corrections[0]: must be an object with "original_text" and "corrected_text"',
+      'corrections[1]: must be an object with "original_text" and "corrected_text"',
+      'corrections[3]: "original_text" must be a string',
+      'corrections[3]: "corrected_text" must be a string or null',
+      'corrections[4]: "decision" must be one of: pending, accepted, rejected'
+    ]
+  });
+});
+
+test('the apply route returns the corrected draft with a summary', async () => {
+  const { status, body } = await postCorrections({
+    draft: 'The market grew 32% in 2023.',
+    corrections: { flagged_inaccuracies: [{ original_text: 'grew 32%', corrected_text: 'grew 28%' }] }
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.content, 'The market grew 28% in 2023.');
+  assert.deepEqual(body.summary, { applied: 1, not_found: 0, rejected: 0, no_correction: 0, conflict: 0 });
+});
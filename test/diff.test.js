@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { unifiedDiff } from '../diff.js';
+
+const numbered = (count, changed = []) =>
+  Array.from({ length: count }, (_, i) => (changed.includes(i + 1) ? `line ${i + 1} changed` : `line ${i + 1}`)).join('\n');
+
+test('identical texts have no diff', () => {
+  assert.equal(unifiedDiff('same\ntext', 'same\ntext'), '');
+  assert.equal(unifiedDiff('', null), '');
+});
+
+test('a change is shown with its labels and three lines of context', () => {
+  assert.equal(unifiedDiff(numbered(10), numbered(10, [5]), { fromLabel: 'revision 1', toLabel: 'revision 2' }), [
+    '--- revision 1',
+    '+++ revision 2',
+    '@@ -2,7 +2,7 @@',
+    ' line 2',
+    ' line 3',
+    ' line 4',
+    '-line 5',
+    '+line 5 changed',
+    ' line 6',
+    ' line 7',
+    ' line 8'
+  ].join('\n'));
+});
+
+test('changes up to twice the context apart share a hunk, further ones get their own', () => {
+  assert.equal(unifiedDiff(numbered(12), numbered(12, [2, 9])).split('\n').filter((line) => line.startsWith('@@')).join('\n'), '@@ -1,12 +1,12 @@');
+
+  assert.equal(unifiedDiff(numbered(12), numbered(12, [2, 10]), { context: 1 }), [
+    '--- a',
+    '+++ b',
+    '@@ -1,3 +1,3 @@',
+    ' line 1',
+    '-line 2',
+    '+line 2 changed',
+    ' line 3',
+    '@@ -9,3 +9,3 @@',
+    ' line 9',
+    '-line 10',
+    '+line 10 changed',
+    ' line 11'
+  ].join('\n'));
+});
+
+test('hunk ranges count added and removed lines separately', () => {
+  assert.equal(unifiedDiff('a\nb\nc\nd', 'a\nx\ny\nz\nd', { context: 1 }), [
+    '--- a',
+    '+++ b',
+    '@@ -1,4 +1,5 @@',
+    ' a',
+    '-b',
+    '-c',
+    '+x',
+    '+y',
+    '+z',
+    ' d'
+  ].join('\n'));
+
+  assert.equal(unifiedDiff(numbered(8), numbered(8).replace('line 6\n', ''), { context: 1 }), [
+    '--- a',
+    '+++ b',
+    '@@ -5,3 +5,2 @@',
+    ' line 5',
+    '-line 6',
+    ' line 7'
+  ].join('\n'));
+});
+
+test('a text diffed against nothing starts its range at line 0', () => {
+  assert.equal(unifiedDiff('', 'x\ny'), '--- a\n+++ b\n@@ -0,0 +1,2 @@\n+x\n+y');
+  assert.equal(unifiedDiff('x\ny', ''), '--- a\n+++ b\n@@ -1,2 +0,0 @@\n-x\n-y');
+});
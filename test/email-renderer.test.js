@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderDripEmail } from '../email-renderer.js';
+
+const drip = { subject: 'Fresh beans', content: 'Hi {{first_name}},\n\nStart with fresh beans.' };
+
+test('quoted font family names stay inside the style attribute', () => {
+  const { html } = renderDripEmail(drip, { font_family: '"Helvetica Neue", Arial, sans-serif' });
+
+  const styles = [...html.matchAll(/style="([^"]*)"/g)].map(([, style]) => style).filter((style) => style.includes('font-family'));
+  assert.equal(styles.length, 3);
+  for (const style of styles) {
+    assert.match(style, /font-family:&quot;Helvetica Neue&quot;, Arial, sans-serif;/);
+  }
+  assert.doesNotMatch(html, /font-family:"/);
+});
+
+test('the default font family is used as-is', () => {
+  const { html } = renderDripEmail(drip);
+
+  assert.match(html, /font-family:Helvetica, Arial, sans-serif;/);
+});
@@ -0,0 +1,144 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { onSupabase, resetSupabase, requestsTo, matches } from './support/supabase-mock.js';
+
+// Read at import time
+process.env.FACT_CACHE_SIMILARITY = '0.6';
+const { researchFactsCached, normalizeQuestion } = await import('../fact-cache.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The fact_cache table
+let cache;
+
+const cached = (question, { locale = 'en-US', expiresIn = DAY, tokens = [] } = {}) => ({
+  locale,
+  question_key: normalizeQuestion(question),
+  question,
+  tokens,
+  answer: `Cached ${locale} answer for: ${question}`,
+  citations: [{ publisher: 'Gartner', url: 'https://www.gartner.com/crm', date: '2024', quote: '' }],
+  source: { provider: 'openai', model: 'gpt-4o' },
+  created_at: '2024-05-01T09:00:00.000Z',
+  expires_at: new Date(Date.now() + expiresIn).toISOString()
+});
+
+beforeEach(() => {
+  resetSupabase();
+  cache = [];
+  onSupabase('GET', 'fact_cache', ({ query }) => ({ data: cache.filter((row) => matches(row, query)) }));
+  onSupabase('POST', 'fact_cache', ({ body }) => {
+    for (const row of body) {
+      cache = cache.filter((other) => other.locale !== row.locale || other.question_key !== row.question_key);
+      cache.push(row);
+    }
+    return { status: 201 };
+  });
+});
+
+const researched = (question) => requestsTo('POST', 'fact_cache').flatMap(({ body }) => body).map((row) => row.question).includes(question);
+
+test('a question answered before is served from the cache, however it is spelled', async () => {
+  cache.push(cached('What % of SMBs use CRM software?'), cached('How many SMBs use spreadsheets?', { expiresIn: -DAY }));
+
+  const questions = ['what  % of SMBs use crm Software', 'How many SMBs use spreadsheets?'];
+  const { facts, sources, hits, misses } = await researchFactsCached({ questions });
+
+  assert.deepEqual({ hits, misses }, { hits: 1, misses: 1 });
+  assert.deepEqual(facts[questions[0]], {
+    answer: 'Cached en-US answer for: What % of SMBs use CRM software?',
+    citations: [{ publisher: 'Gartner', url: 'https://www.gartner.com/crm', date: '2024', quote: '' }]
+  });
+  assert.deepEqual(sources[questions[0]], {
+    cached: true,
+    provider: 'openai',
+    model: 'gpt-4o',
+    researched_at: '2024-05-01T09:00:00.000Z',
+    expires_at: cache[0].expires_at
+  });
+
+  // The expired entry is researched again and replaced
+  assert.match(facts[questions[1]].answer, /^Fake answer 1 for: How many SMBs use spreadsheets\?$/);
+  assert.equal(sources[questions[1]].cached, false);
+  assert.equal(cache.length, 2);
+  assert.match(cache[1].answer, /^Fake answer/);
+  assert.ok(cache[1].expires_at > new Date(Date.now() + 29 * DAY).toISOString());
+});
+
+test('a near-duplicate question is answered by the cached one it overlaps enough', async () => {
+  cache.push(cached('What percentage of SMBs use CRM software', { tokens: ['crm', 'percent', 'smb', 'software', 'use'] }));
+
+  const close = 'What % of SMBs use CRM software in Europe?';
+  const far = 'How many SMBs use CRM spreadsheets?';
+  const { facts, sources, hits, misses } = await researchFactsCached({ questions: [close, far] });
+
+  assert.deepEqual({ hits, misses }, { hits: 1, misses: 1 });
+  assert.equal(facts[close].answer, 'Cached en-US answer for: What percentage of SMBs use CRM software');
+  assert.equal(sources[close].matched_question, 'What percentage of SMBs use CRM software');
+  assert.equal(sources[close].similarity, 0.83);
+  assert.equal(sources[far].cached, false);
+  assert.ok(researched(far));
+  assert.ok(!researched(close));
+  assert.deepEqual(cache.find((row) => row.question === far).tokens, ['crm', 'many', 'smb', 'spreadsheets', 'use']);
+});
+
+test('answers are cached per locale', async () => {
+  const question = 'What % of SMBs use CRM software?';
+  cache.push(cached(question, { locale: 'de-DE' }));
+
+  const english = await researchFactsCached({ questions: [question] });
+  assert.deepEqual({ hits: english.hits, misses: english.misses }, { hits: 0, misses: 1 });
+  assert.match(english.facts[question].answer, /^Fake answer/);
+
+  const german = await researchFactsCached({ questions: [question], locale: 'de-DE' });
+  assert.equal(german.facts[question].answer, 'Cached de-DE answer for: What % of SMBs use CRM software?');
+
+  assert.deepEqual(cache.map((row) => row.locale).sort(), ['de-DE', 'en-US']);
+  assert.deepEqual([...new Set(requestsTo('GET', 'fact_cache').map(({ query }) => query.get('locale')))], ['eq.en-US', 'eq.de-DE']);
+});
+
+test('questions that only differ in spelling are researched once', async () => {
+  const questions = ['What % of SMBs use CRM software?', 'what % of smbs use CRM software'];
+
+  const { facts, misses } = await researchFactsCached({ questions });
+
+  assert.equal(misses, 1);
+  assert.equal(facts[questions[0]], facts[questions[1]]);
+  assert.equal(cache.length, 1);
+});
+
+test('refresh researches every question and overwrites the cache', async () => {
+  const question = 'What % of SMBs use CRM software?';
+  cache.push(cached(question));
+
+  const { facts, sources, hits } = await researchFactsCached({ questions: [question] }, { cache: 'refresh' });
+
+  assert.equal(hits, 0);
+  assert.match(facts[question].answer, /^Fake answer/);
+  assert.equal(sources[question].cached, false);
+  assert.deepEqual(requestsTo('GET', 'fact_cache'), []);
+  assert.equal(cache.length, 1);
+  assert.equal(cache[0].answer, facts[question].answer);
+});
+
+test('bypass researches every question and leaves the cache alone', async () => {
+  const question = 'What % of SMBs use CRM software?';
+  cache.push(cached(question));
+
+  const { facts, hits } = await researchFactsCached({ questions: [question, 'Who sells CRM software?'] }, { cache: 'bypass' });
+
+  assert.equal(hits, 0);
+  assert.match(facts[question].answer, /^Fake answer/);
+  assert.deepEqual(requestsTo('GET', 'fact_cache'), []);
+  assert.deepEqual(requestsTo('POST', 'fact_cache'), []);
+  assert.equal(cache[0].answer, 'Cached en-US answer for: What % of SMBs use CRM software?');
+});
+
+test('a cache that can\'t be read only costs a research call', async () => {
+  onSupabase('GET', 'fact_cache', () => ({ status: 500 }));
+
+  const { facts, hits, misses } = await researchFactsCached({ questions: ['Who sells CRM software?'] });
+
+  assert.deepEqual({ hits, misses }, { hits: 0, misses: 1 });
+  assert.match(facts['Who sells CRM software?'].answer, /^Fake answer/);
+});
@@ -0,0 +1,75 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockRemote } from './support/http.js';
+
+// A stand-in for the OpenAI API that answers with the next of `replies`
+let replies;
+const openai = await mockRemote(() => ({
+  body: {
+    id: 'chatcmpl-1',
+    object: 'chat.completion',
+    choices: [{ index: 0, message: { role: 'assistant', content: replies.shift() }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 10, completion_tokens: 10 }
+  }
+}));
+
+// The stage config and OpenAI client are set up at import time
+delete process.env.LLM_PROVIDER;
+process.env.LLM_STAGE_CONFIG = JSON.stringify({ facts: { provider: 'openai', model: 'gpt-4o', fallback: null } });
+process.env.OPENAI_API_KEY = 'sk-test';
+process.env.OPENAI_BASE_URL = `${openai.url}/v1`;
+const { researchFacts } = await import('../generation.js');
+
+after(() => openai.close());
+
+beforeEach(() => {
+  openai.requests.length = 0;
+});
+
+const QUESTION = 'How much coffee do Germans drink?';
+const answer = JSON.stringify({ [QUESTION]: { answer: 'About 160 litres a year', citations: [{ publisher: 'DKV' }] } });
+const promptOf = (request) => request.body.messages.at(-1).content;
+
+test('invalid JSON gets one repair round-trip that shows the model its answer and the problem', async () => {
+  replies = [`Here you go: {"${QUESTION}": {"answer": "About 160 litres"`, answer];
+
+  const facts = await researchFacts({ questions: [QUESTION] });
+
+  assert.deepEqual(facts, { [QUESTION]: { answer: 'About 160 litres a year', citations: [{ publisher: 'DKV', url: '', date: '', quote: '' }] } });
+  assert.equal(openai.requests.length, 2);
+  const repair = promptOf(openai.requests[1]);
+  assert.ok(repair.startsWith(promptOf(openai.requests[0])));
+  assert.match(repair, /### Correction Required/);
+  assert.ok(repair.includes(`<previous_response>\nHere you go: {"${QUESTION}"`));
+  assert.match(repair, /- Response is not valid JSON: /);
+});
+
+test('JSON that breaks the stage\'s rules is repaired the same way', async () => {
+  replies = [JSON.stringify({ 'Some other question?': { answer: 'Yes', citations: [] } }), answer];
+
+  await researchFacts({ questions: [QUESTION] });
+
+  assert.equal(openai.requests.length, 2);
+  assert.ok(promptOf(openai.requests[1]).includes(`- No answer keyed by the question "${QUESTION}"`));
+});
+
+test('a repair that is still invalid fails with its problems, without another attempt', async () => {
+  replies = ['not JSON', JSON.stringify({ [QUESTION]: { answer: 42, citations: [] } })];
+
+  await assert.rejects(researchFacts({ questions: [QUESTION] }), (error) => {
+    assert.equal(error.message, 'Failed to parse facts response');
+    assert.ok(error.validationErrors.length > 0);
+    assert.ok(error.validationErrors.every((problem) => problem.includes('answer')));
+    return true;
+  });
+  assert.equal(openai.requests.length, 2);
+});
+
+test('valid JSON is used as it is, fences and all', async () => {
+  replies = [`\`\`\`json\n${answer}\n\`\`\``];
+
+  const facts = await researchFacts({ questions: [QUESTION] });
+
+  assert.equal(facts[QUESTION].answer, 'About 160 litres a year');
+  assert.equal(openai.requests.length, 1);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signJwt, verifyJwt } from '../jwt.js';
+
+const SECRET = 'jwt-test-secret';
+const now = () => Math.floor(Date.now() / 1000);
+
+test('verifyJwt accepts a token it signed and returns the payload', () => {
+  const payload = { sub: 'user-1', aud: 'authenticated', exp: now() + 60 };
+  const token = signJwt(payload, SECRET);
+
+  assert.deepEqual(verifyJwt(token, SECRET, { audience: 'authenticated' }), payload);
+});
+
+test('verifyJwt rejects an expired token', () => {
+  const token = signJwt({ sub: 'user-1', exp: now() - 120 }, SECRET);
+
+  assert.throws(() => verifyJwt(token, SECRET), /Token expired/);
+});
+
+test('verifyJwt rejects a token without a numeric expiry', () => {
+  assert.throws(() => verifyJwt(signJwt({ sub: 'user-1' }, SECRET), SECRET), /Token has no expiry/);
+  assert.throws(() => verifyJwt(signJwt({ sub: 'user-1', exp: String(now() + 60) }, SECRET), SECRET), /Token has no expiry/);
+});
+
+test('verifyJwt allows expiry within the clock tolerance', () => {
+  const token = signJwt({ sub: 'user-1', exp: now() - 10 }, SECRET);
+
+  assert.equal(verifyJwt(token, SECRET).sub, 'user-1');
+});
+
+test('verifyJwt rejects a token signed with another secret', () => {
+  const token = signJwt({ sub: 'user-1', exp: now() + 60 }, 'another-secret');
+
+  assert.throws(() => verifyJwt(token, SECRET), /Invalid token signature/);
+});
+
+test('verifyJwt rejects a tampered payload', () => {
+  const [header, , signature] = signJwt({ sub: 'user-1' }, SECRET).split('.');
+  const payload = Buffer.from(JSON.stringify({ sub: 'admin' })).toString('base64url');
+
+  assert.throws(() => verifyJwt(`${header}.${payload}.${signature}`, SECRET), /Invalid token signature/);
+});
+
+test('verifyJwt rejects other algorithms, audiences and malformed tokens', () => {
+  assert.throws(() => verifyJwt(signJwt({ sub: 'user-1' }, SECRET, { alg: 'none' }), SECRET), /Unsupported token algorithm/);
+  assert.throws(
+    () => verifyJwt(signJwt({ sub: 'user-1', aud: 'other', exp: now() + 60 }, SECRET), SECRET, { audience: 'authenticated' }),
+    /Token audience mismatch/
+  );
+  assert.throws(() => verifyJwt('not-a-token', SECRET), /Malformed token/);
+  assert.throws(() => verifyJwt(undefined, SECRET), /Malformed token/);
+});
+
+test('verifyJwt rejects a token that is not valid yet', () => {
+  const token = signJwt({ sub: 'user-1', nbf: now() + 300, exp: now() + 600 }, SECRET);
+
+  assert.throws(() => verifyJwt(token, SECRET), /Token not yet valid/);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { logger } from '../logger.js';
+
+// The JSON line logged for `data`, caught on its way to stderr
+const logged = (data) => {
+  const write = process.stderr.write;
+  let line;
+  process.stderr.write = (chunk) => {
+    line = chunk;
+    return true;
+  };
+  try {
+    logger.error('Test entry', data);
+  } finally {
+    process.stderr.write = write;
+  }
+  return JSON.parse(line).data;
+};
+
+test('token counts are logged as they are', () => {
+  assert.deepEqual(logged({ inputTokens: 1200, outputTokens: 350, maxTokens: 4096, max_tokens: 4096 }), {
+    inputTokens: 1200,
+    outputTokens: 350,
+    maxTokens: 4096,
+    max_tokens: 4096
+  });
+});
+
+test('tokens, secrets and credentials are redacted', () => {
+  const data = logged({
+    token: 't',
+    accessToken: 't',
+    refresh_token: 't',
+    id_token: 't',
+    pageAccessToken: 't',
+    apiToken: 't',
+    applicationPassword: 'p',
+    client_secret: 's',
+    apiKey: 'k',
+    authorization: 'Bearer t',
+    credentials: { username: 'u' }
+  });
+
+  for (const [key, value] of Object.entries(data)) {
+    assert.equal(value, '[REDACTED]', key);
+  }
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderInline, renderMarkdown } from '../markdown.js';
+
+test('link targets may hold balanced parentheses', () => {
+  assert.equal(
+    renderInline('See [Foo](https://en.wikipedia.org/wiki/Foo_(bar)).'),
+    'See <a href="https://en.wikipedia.org/wiki/Foo_(bar)">Foo</a>.'
+  );
+  assert.equal(
+    renderInline('[a](https://example.com/a_(b_(c))) and [b](https://example.com/b)'),
+    '<a href="https://example.com/a_(b_(c))">a</a> and <a href="https://example.com/b">b</a>'
+  );
+});
+
+test('image targets may hold balanced parentheses', () => {
+  assert.equal(
+    renderInline('![Chart](https://cdn.example.com/chart_(2024).png "Sales")'),
+    '<img src="https://cdn.example.com/chart_(2024).png" alt="Chart" title="Sales">'
+  );
+});
+
+test('unsafe targets are dropped whole, parentheses and all', () => {
+  assert.equal(renderInline('[x](javascript:alert(1))'), 'x');
+  assert.equal(renderInline('![x](javascript:alert(document.cookie))'), 'x');
+});
+
+test('angle-bracketed targets may hold spaces and parentheses', () => {
+  assert.equal(renderInline('[x](<https://example.com/my page>)'), '<a href="https://example.com/my%20page">x</a>');
+  assert.equal(renderInline('[x](<https://example.com/a)b> "T")'), '<a href="https://example.com/a)b" title="T">x</a>');
+});
+
+test('plain links, titles and autolinks still render', () => {
+  assert.equal(
+    renderInline('[x](https://example.com/?a=1&b=2 "Title") <https://example.com>'),
+    '<a href="https://example.com/?a=1&amp;b=2" title="Title">x</a> <a href="https://example.com">https://example.com</a>'
+  );
+  assert.equal(renderMarkdown('Read [the guide](/guide).'), '<p>Read <a href="/guide">the guide</a>.</p>');
+});
@@ -0,0 +1,161 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { requireAuth, requireCompanyAccess } from '../auth.js';
+import { rateLimit } from '../rate-limits.js';
+import { startPipeline } from '../pipeline.js';
+import { normalizeQuestion } from '../fact-cache.js';
+import { onSupabase, resetSupabase, requestsTo } from './support/supabase-mock.js';
+import { serve, bearer } from './support/http.js';
+
+let jobCount;
+
+beforeEach(() => {
+  resetSupabase();
+  jobCount = 0;
+  onSupabase('GET', 'company_members', () => ({ data: [{ company_id: 'company-a' }] }));
+  onSupabase('POST', 'pipeline_jobs', ({ body }) => ({
+    status: 201,
+    data: body.map((row) => ({ id: `job-${++jobCount}`, ...row }))
+  }));
+});
+
+const withApp = async (mount, run) => {
+  const server = await serve(mount);
+  try {
+    await run(server.url);
+  } finally {
+    await server.close();
+  }
+};
+
+const pipelineRoute = (app) => app.post('/api/pipeline', express.json(), requireAuth, rateLimit('generate'), requireCompanyAccess(), startPipeline);
+
+const start = (url, userId) => fetch(`${url}/api/pipeline`, {
+  method: 'POST',
+  headers: { ...bearer(userId), 'Content-Type': 'application/json' },
+  body: JSON.stringify({
+    titleConcept: 'Spring menu launch',
+    company: { id: 'company-a', company_name: 'Acme Bakery', industry: 'Food', tagline: 'Fresh daily' }
+  })
+});
+
+test('a pipeline run keeps its generation slot until it ends, not just until the 202', () =>
+  withApp(pipelineRoute, async (url) => {
+    // Job updates wait for the gate, so every run stalls on its first stage
+    let openGate;
+    const gate = new Promise((resolve) => {
+      openGate = resolve;
+    });
+    let failed = 0;
+    onSupabase('PATCH', 'pipeline_jobs', async ({ body }) => {
+      await gate;
+      if (body.status === 'failed') failed++;
+      return { status: 500, data: { message: 'stopped by test' } };
+    });
+
+    try {
+      for (let i = 0; i < 3; i++) {
+        assert.equal((await start(url, 'user-pipeline')).status, 202);
+      }
+
+      const limited = await start(url, 'user-pipeline');
+      assert.equal(limited.status, 429);
+      assert.match((await limited.json()).error, /at most 3 at a time/);
+    } finally {
+      openGate();
+    }
+
+    // Slots come back as the runs fail, not before
+    let next = await start(url, 'user-pipeline');
+    for (let i = 0; i < 100 && next.status === 429; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      next = await start(url, 'user-pipeline');
+    }
+    assert.equal(next.status, 202);
+    assert.ok(failed > 0);
+
+    // Let every run end before the next test swaps the handlers
+    for (let i = 0; i < 100 && failed < 4; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.equal(failed, 4);
+  }));
+
+// --- Quotas ------------------------------------------------------------------
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A Starter subscriber (150 AI calls) with `aiCalls` used; returns the usage events recorded
+const subscriber = (aiCalls) => {
+  const recorded = [];
+  onSupabase('POST', 'rpc/get_user_details', () => ({
+    data: {
+      subscription_status: 'active',
+      subscription_period_start: new Date(Date.now() - DAY).toISOString(),
+      subscription_period_end: new Date(Date.now() + 29 * DAY).toISOString()
+    }
+  }));
+  onSupabase('HEAD', 'usage_events', ({ query }) => {
+    const kind = query.get('kind').replace(/^eq\./, '');
+    return { count: (kind === 'ai_call' ? aiCalls : 0) + recorded.filter((event) => event.kind === kind).length };
+  });
+  onSupabase('POST', 'usage_events', ({ body }) => {
+    recorded.push(...body);
+    return { status: 201 };
+  });
+  return recorded;
+};
+
+// Run a job to its end and return the failure it recorded
+const runToFailure = async (url, userId) => {
+  let failed;
+  const ended = new Promise((resolve) => {
+    onSupabase('PATCH', 'pipeline_jobs', ({ body }) => {
+      if (body.status === 'failed') {
+        failed = body;
+        resolve();
+      }
+      return { data: [] };
+    });
+  });
+  assert.equal((await start(url, userId)).status, 202);
+  await ended;
+  return failed;
+};
+
+test('a pipeline run stops at the stage that would go over the AI call quota', () =>
+  withApp(pipelineRoute, async (url) => {
+    const recorded = subscriber(148);
+
+    const failed = await runToFailure(url, 'user-quota-1');
+
+    assert.equal(failed.error, 'Quota exceeded for ai_call on the Starter plan (150 of 150 used)');
+    assert.deepEqual(recorded.map((event) => event.stage), ['structure', 'facts']);
+    const checkpoints = requestsTo('PATCH', 'pipeline_jobs').map(({ body }) => body.checkpoints).filter(Boolean).at(-1);
+    assert.deepEqual(Object.keys(checkpoints), ['structure', 'facts']);
+  }));
+
+test('a facts stage answered entirely from the cache counts no AI call', () =>
+  withApp(pipelineRoute, async (url) => {
+    const recorded = subscriber(148);
+    // Every research question the fake structure asks
+    const questions = [1, 2, 3, 4, 5].flatMap((i) => ['a', 'b'].map((part) => `What is fact ${i}${part} about Spring menu launch?`));
+    onSupabase('GET', 'fact_cache', () => ({
+      data: questions.map((question) => ({
+        locale: 'en-US',
+        question_key: normalizeQuestion(question),
+        question,
+        answer: `Cached answer for: ${question}`,
+        citations: [],
+        source: { provider: 'fake' },
+        created_at: new Date().toISOString(),
+        expires_at: new Date(Date.now() + DAY).toISOString()
+      }))
+    }));
+
+    const failed = await runToFailure(url, 'user-quota-2');
+
+    assert.deepEqual(recorded.map((event) => event.stage), ['structure', 'article']);
+    assert.match(failed.error, /^Quota exceeded for ai_call/);
+  }));
@@ -0,0 +1,132 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { requireAuth } from '../auth.js';
+import { listPosts, updatePost } from '../posts.js';
+import { onSupabase, resetSupabase, requestsTo } from './support/supabase-mock.js';
+import { serve, bearer } from './support/http.js';
+
+const POSTS = [
+  { id: '3f1c2a9e-8d4b-4c6a-9e2f-1a2b3c4d5e6f', company_id: 'company-a', created_at: '2024-05-03T09:00:00.123456+00:00' },
+  { id: '7b2d4e6f-1a3c-4e5b-8d7f-9a0b1c2d3e4f', company_id: 'company-a', created_at: '2024-05-02T09:00:00+00:00' },
+  { id: 'c4e6a8b0-2d4f-4a6c-8e0a-2b4d6f8a0c2e', company_id: 'company-a', created_at: '2024-05-01T09:00:00+00:00' }
+];
+
+beforeEach(() => {
+  resetSupabase();
+  onSupabase('GET', 'company_members', () => ({ data: [{ company_id: 'company-a' }] }));
+  onSupabase('GET', 'blog_posts', ({ query }) => ({ data: POSTS.slice(0, Number(query.get('limit'))) }));
+});
+
+const withApp = async (mount, run) => {
+  const server = await serve(mount);
+  try {
+    await run(server.url);
+  } finally {
+    await server.close();
+  }
+};
+
+const listRoute = (app) => app.get('/api/posts', requireAuth, listPosts);
+const cursorFor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+test('the next-page cursor filters on the last row\'s sort key', () =>
+  withApp(listRoute, async (url) => {
+    let res = await fetch(`${url}/api/posts?limit=1`, { headers: bearer('user-1') });
+    const cursor = res.headers.get('X-Next-Cursor');
+    assert.ok(cursor);
+
+    res = await fetch(`${url}/api/posts?limit=1&cursor=${cursor}`, { headers: bearer('user-1') });
+    assert.equal(res.status, 200);
+    const { created_at, id } = POSTS[0];
+    assert.equal(
+      requestsTo('GET', 'blog_posts').at(-1).query.get('or'),
+      `(created_at.lt."${created_at}",and(created_at.eq."${created_at}",id.lt."${id}"))`
+    );
+  }));
+
+test('cursors that don\'t hold a UUID and an ISO timestamp are rejected', () =>
+  withApp(listRoute, async (url) => {
+    const cursors = [
+      'not-base64-json',
+      cursorFor({ created_at: POSTS[0].created_at, id: 'x"),id.gt.(0' }),
+      cursorFor({ created_at: POSTS[0].created_at, id: '1' }),
+      cursorFor({ created_at: POSTS[0].created_at, id: ['3f1c2a9e-8d4b-4c6a-9e2f-1a2b3c4d5e6f'] }),
+      cursorFor({ created_at: '2024-05-01",id.gt."0', id: POSTS[0].id }),
+      cursorFor({ created_at: 'May 1, 2024', id: POSTS[0].id }),
+      cursorFor({ created_at: 1714554000000, id: POSTS[0].id })
+    ];
+
+    for (const cursor of cursors) {
+      const res = await fetch(`${url}/api/posts?cursor=${encodeURIComponent(cursor)}`, { headers: bearer('user-1') });
+      assert.equal(res.status, 400, cursor);
+      assert.deepEqual(await res.json(), { error: 'Invalid cursor' });
+    }
+    assert.equal(requestsTo('GET', 'blog_posts').length, 0);
+  }));
+
+const updateRoute = (app) => app.patch('/api/posts/:id', express.json(), requireAuth, updatePost);
+
+const patchPost = (url, body) => fetch(`${url}/api/posts/${POSTS[0].id}`, {
+  method: 'PATCH',
+  headers: { ...bearer('user-1'), 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+test('PATCH accepts polished as raw text or a parsed title and body', () =>
+  withApp(updateRoute, async (url) => {
+    onSupabase('GET', 'blog_posts', () => ({ data: [POSTS[0]] }));
+    onSupabase('PATCH', 'blog_posts', ({ body }) => ({ data: [{ ...POSTS[0], ...body }] }));
+    const values = [
+      'Polished text from before the output was parsed',
+      { title: 'Spring menu', body_markdown: '## Starters\n\nFresh.', analysis: 'Tightened.', changes: ['Tightened the intro'] },
+      { title: 'Spring menu', body_markdown: '## Starters\n\nFresh.' },
+      null
+    ];
+
+    for (const polished of values) {
+      const res = await patchPost(url, { polished });
+      assert.equal(res.status, 200, JSON.stringify(polished));
+      assert.deepEqual((await res.json()).polished, polished);
+    }
+  }));
+
+test('PATCH rejects polished values that are neither text nor a title and body', () =>
+  withApp(updateRoute, async (url) => {
+    const values = [
+      42,
+      ['Spring menu'],
+      {},
+      { title: 'Spring menu' },
+      { body_markdown: '## Starters' },
+      { title: 'Spring menu', body_markdown: 7 },
+      { title: 'Spring menu', body_markdown: '## Starters', changes: 'Tightened the intro' },
+      { title: 'Spring menu', body_markdown: '## Starters', analysis: ['Tightened.'] }
+    ];
+
+    for (const polished of values) {
+      const res = await patchPost(url, { polished });
+      assert.equal(res.status, 400, JSON.stringify(polished));
+      assert.deepEqual(await res.json(), {
+        error: 'polished must be a string or an object with string title and body_markdown'
+      });
+    }
+    assert.equal(requestsTo('PATCH', 'blog_posts').length, 0);
+  }));
+
+test('PATCH only moves a post to a known status', () =>
+  withApp(updateRoute, async (url) => {
+    onSupabase('GET', 'blog_posts', () => ({ data: [POSTS[0]] }));
+    onSupabase('PATCH', 'blog_posts', ({ body }) => ({ data: [{ ...POSTS[0], ...body }] }));
+
+    for (const status of ['shipped', 'Draft', '', null, 1]) {
+      const res = await patchPost(url, { status });
+      assert.equal(res.status, 400, JSON.stringify(status));
+      assert.deepEqual(await res.json(), { error: 'status must be one of: draft, in_review, published, archived' });
+    }
+    assert.equal(requestsTo('PATCH', 'blog_posts').length, 0);
+
+    const res = await patchPost(url, { status: 'in_review' });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).status, 'in_review');
+  }));
@@ -0,0 +1,92 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+// A stand-in for the OpenAI API; `respond` answers each request
+let respond;
+let requests;
+const openai = http.createServer(async (req, res) => {
+  let text = '';
+  for await (const chunk of req) text += chunk;
+  requests.push(JSON.parse(text));
+  respond(res);
+});
+await new Promise((resolve) => openai.listen(0, '127.0.0.1', resolve));
+
+// The stage config and OpenAI client are set up at import time
+delete process.env.LLM_PROVIDER;
+process.env.LLM_STAGE_CONFIG = JSON.stringify({
+  article: { provider: 'openai', model: 'gpt-4o', fallback: { provider: 'fake', model: 'fake' } }
+});
+process.env.OPENAI_API_KEY = 'sk-test';
+process.env.OPENAI_BASE_URL = `http://127.0.0.1:${openai.address().port}/v1`;
+const { generate } = await import('../providers.js');
+
+after(() => {
+  openai.closeAllConnections();
+  openai.close();
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+const request = (fields) => ({ prompt: 'Write it', variables: { structure: { title: 'Better Coffee', sections: [] } }, ...fields });
+
+const rejectKey = (res) => {
+  res.writeHead(401, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: { message: 'Incorrect API key provided', type: 'invalid_request_error' } }));
+};
+
+const chunk = (content) => `data: ${JSON.stringify({ id: 'c1', object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content } }] })}\n\n`;
+
+test('a stage whose provider fails is run on its fallback', async () => {
+  respond = rejectKey;
+
+  const result = await generate('article', request());
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].model, 'gpt-4o');
+  assert.deepEqual([result.provider, result.model], ['fake', 'fake']);
+  assert.equal(result.text, '# Better Coffee');
+});
+
+test('a stream that fails before its first token is run on the fallback', async () => {
+  respond = rejectKey;
+  const tokens = [];
+
+  const result = await generate('article', request({ onToken: (token) => tokens.push(token) }));
+
+  assert.equal(result.provider, 'fake');
+  assert.deepEqual(tokens, ['# ', 'Better ', 'Coffee']);
+});
+
+test('a stream that fails after sending tokens is not run again on the fallback', async () => {
+  respond = (res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(chunk('Coffee is '));
+    res.end(`data: ${JSON.stringify({ error: { message: 'The server is overloaded', type: 'server_error' } })}\n\n`);
+  };
+  const tokens = [];
+
+  await assert.rejects(generate('article', request({ onToken: (token) => tokens.push(token) })));
+
+  assert.deepEqual(tokens, ['Coffee is ']);
+  assert.equal(requests.length, 1);
+});
+
+test('an aborted request is not run again on the fallback', async () => {
+  const controller = new AbortController();
+  let held;
+  respond = (res) => {
+    held = res;
+    controller.abort();
+  };
+
+  try {
+    await assert.rejects(generate('article', request({ signal: controller.signal })), /aborted/);
+    assert.equal(requests.length, 1);
+  } finally {
+    held?.destroy();
+  }
+});
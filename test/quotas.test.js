@@ -0,0 +1,175 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { requireAuth } from '../auth.js';
+import { getUsage, enforceQuota, trackUsage } from '../quotas.js';
+import { streamGeneration } from '../sse.js';
+import { onSupabase, resetSupabase, requestsTo } from './support/supabase-mock.js';
+import { serve, bearer } from './support/http.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const periodStart = new Date(Date.now() - 10 * DAY).toISOString();
+const periodEnd = new Date(Date.now() + 20 * DAY).toISOString();
+
+// Usage counts by kind for the user under test
+let used;
+
+beforeEach(() => {
+  resetSupabase();
+  used = { post: 3, ai_call: 42 };
+  onSupabase('GET', 'company_members', () => ({ data: [{ company_id: 'company-a' }] }));
+  onSupabase('HEAD', 'usage_events', ({ query }) => ({ count: used[query.get('kind').replace(/^eq\./, '')] }));
+});
+
+const subscribed = (fields) => onSupabase('POST', 'rpc/get_user_details', () => ({
+  data: {
+    subscription_status: 'active',
+    subscription_period_start: periodStart,
+    subscription_period_end: periodEnd,
+    ...fields
+  }
+}));
+
+const withApp = async (mount, run) => {
+  const server = await serve(mount);
+  try {
+    await run(server.url);
+  } finally {
+    await server.close();
+  }
+};
+
+const usageRoute = (app) => app.get('/api/usage', requireAuth, getUsage);
+
+test('getUsage reports the plan, billing period and remaining allowance', () =>
+  withApp(usageRoute, async (url) => {
+    subscribed();
+
+    const res = await fetch(`${url}/api/usage`, { headers: bearer('user-1') });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), {
+      plan: { id: 'starter', name: 'Starter' },
+      subscriptionStatus: 'active',
+      active: true,
+      period: { start: periodStart, end: periodEnd },
+      usage: {
+        post: { used: 3, limit: 10, remaining: 7 },
+        ai_call: { used: 42, limit: 150, remaining: 108 }
+      }
+    });
+
+    const counts = requestsTo('HEAD', 'usage_events');
+    assert.equal(counts.length, 2);
+    assert.equal(counts[0].query.get('user_id'), 'eq.user-1');
+    assert.equal(counts[0].query.get('created_at'), `gte.${periodStart}`);
+  }));
+
+test('getUsage reports users without access as inactive', () =>
+  withApp(usageRoute, async (url) => {
+    subscribed({ subscription_status: 'canceled' });
+    used = { post: 12, ai_call: 0 };
+
+    const res = await fetch(`${url}/api/usage`, { headers: bearer('user-1') });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.active, false);
+    assert.equal(body.subscriptionStatus, 'canceled');
+    assert.deepEqual(body.usage.post, { used: 12, limit: 10, remaining: 0 });
+  }));
+
+test('getUsage counts a past-due subscription in its grace period as active', () =>
+  withApp(usageRoute, async (url) => {
+    subscribed({ subscription_status: 'past_due', grace_period_end: new Date(Date.now() + DAY).toISOString() });
+
+    const res = await fetch(`${url}/api/usage`, { headers: bearer('user-1') });
+
+    assert.equal((await res.json()).active, true);
+  }));
+
+const quotaRoute = (app) => app.post('/generate', requireAuth, enforceQuota('post', 'ai_call'), (req, res) => res.json({ ok: true }));
+
+test('enforceQuota lets subscribers with allowance left through', () =>
+  withApp(quotaRoute, async (url) => {
+    subscribed();
+
+    const res = await fetch(`${url}/generate`, { method: 'POST', headers: bearer('user-1') });
+
+    assert.equal(res.status, 200);
+  }));
+
+test('enforceQuota answers 402 without access and 429 once a quota is used up', () =>
+  withApp(quotaRoute, async (url) => {
+    subscribed({ subscription_status: 'canceled' });
+    let res = await fetch(`${url}/generate`, { method: 'POST', headers: bearer('user-1') });
+    assert.equal(res.status, 402);
+    assert.equal((await res.json()).billingState, 'inactive');
+
+    subscribed();
+    used.ai_call = 150;
+    res = await fetch(`${url}/generate`, { method: 'POST', headers: bearer('user-1') });
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get('Retry-After')) > 0);
+    assert.deepEqual((await res.json()).quota, { kind: 'ai_call', used: 150, limit: 150, resetsAt: periodEnd });
+  }));
+
+// --- Streamed generations ------------------------------------------------------
+
+// Streams `generate` over SSE; `ended` resolves once the route is done with the request
+const streamRoute = (generate, ended) => (app) => app.post('/generate', requireAuth, trackUsage('ai_call', 'article'), async (req, res) => {
+  await streamGeneration(res, { label: 'Article', resultKey: 'article', errorMessage: 'Failed to generate article', generate });
+  ended();
+});
+
+// Stream a generation and report the usage events recorded for it
+const streamUsage = async (generate, read = (res) => res.text()) => {
+  let ended;
+  const done = new Promise((resolve) => {
+    ended = resolve;
+  });
+  await withApp(streamRoute(generate, ended), async (url) => {
+    const res = await fetch(`${url}/generate`, { method: 'POST', headers: bearer('user-1') });
+    assert.equal(res.status, 200);
+    await read(res);
+    await done;
+    // Usage is recorded after the response finishes
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  });
+  return requestsTo('POST', 'usage_events');
+};
+
+test('a streamed generation counts as an AI call once it completes', async () => {
+  const recorded = await streamUsage(async ({ onToken }) => {
+    onToken('Fresh beans.');
+    return 'Fresh beans.';
+  });
+
+  assert.equal(recorded.length, 1);
+  assert.equal(recorded[0].body[0].stage, 'article');
+});
+
+test('a streamed generation that fails counts no AI call', async () => {
+  let body;
+  const recorded = await streamUsage(async ({ onToken }) => {
+    onToken('Fresh');
+    throw new Error('Provider went away');
+  }, async (res) => {
+    body = await res.text();
+  });
+
+  assert.match(body, /^event: error$/m);
+  assert.deepEqual(recorded, []);
+});
+
+test('a streamed generation the client walks away from counts no AI call', async () => {
+  const recorded = await streamUsage(({ onToken, signal }) => new Promise((resolve, reject) => {
+    onToken('Fresh');
+    signal.addEventListener('abort', () => reject(signal.reason));
+  }), async (res) => {
+    const reader = res.body.getReader();
+    await reader.read();
+    await reader.cancel();
+  });
+
+  assert.deepEqual(recorded, []);
+});
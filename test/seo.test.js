@@ -0,0 +1,95 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { requireAuth } from '../auth.js';
+import { analyzeSeo, analyzePostSeo } from '../seo.js';
+import { onSupabase, resetSupabase } from './support/supabase-mock.js';
+import { serve, bearer } from './support/http.js';
+
+const draft = [
+  '# How to Brew Better Coffee at Home Every Day',
+  '',
+  'Brewing better coffee starts with fresh beans. Grind them just before you brew. Use water just off the boil.',
+  '',
+  '## Choosing Coffee Beans',
+  '',
+  'Buy whole beans from a local roaster. Check the roast date on the bag. Use them within a month.'
+].join('\n');
+
+const statusOf = (analysis, id) => analysis.checks.filter((check) => check.id === id).map((check) => check.status);
+
+test('missing keywords and planned sections fail their checks', () => {
+  const analysis = analyzeSeo({ content: draft, structure: {} });
+
+  assert.deepEqual(statusOf(analysis, 'keywords.present'), ['fail']);
+  assert.deepEqual(statusOf(analysis, 'headings.structure'), ['fail']);
+  assert.equal(analysis.scores.keywords, 75);
+});
+
+test('keywords and sections from the structure are checked against the draft', () => {
+  const analysis = analyzeSeo({
+    content: draft,
+    structure: { keywords: ['brew better coffee', 'espresso'], sections: ['Choosing Coffee Beans', 'Grinding'] }
+  });
+
+  assert.deepEqual(statusOf(analysis, 'keywords.present'), []);
+  assert.deepEqual(statusOf(analysis, 'keywords.used'), ['pass', 'fail']);
+  assert.deepEqual(statusOf(analysis, 'headings.structure'), ['pass', 'warn']);
+});
+
+beforeEach(() => {
+  resetSupabase();
+  onSupabase('GET', 'company_members', () => ({ data: [{ company_id: 'company-a' }] }));
+});
+
+test('structures whose keywords or sections aren\'t string arrays are a 400', async () => {
+  const server = await serve((app) => app.post('/api/analyze/seo', express.json(), requireAuth, analyzePostSeo));
+  try {
+    const analyze = (structure) => fetch(`${server.url}/api/analyze/seo`, {
+      method: 'POST',
+      headers: { ...bearer('user-1'), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ content: draft, structure })
+    });
+
+    for (const structure of [{ keywords: 'coffee' }, { keywords: { 0: 'coffee' } }, { sections: 'Beans' }, { sections: [{ title: 'Beans' }] }, ['coffee']]) {
+      const res = await analyze(structure);
+      assert.equal(res.status, 400, JSON.stringify(structure));
+    }
+
+    const res = await analyze({ keywords: ['coffee'], sections: ['Choosing Coffee Beans'] });
+    assert.equal(res.status, 200);
+    assert.equal(typeof (await res.json()).score, 'number');
+  } finally {
+    await server.close();
+  }
+});
+
+test('a title, description or structure title that isn\'t a string is a 400', async () => {
+  const server = await serve((app) => app.post('/api/analyze/seo', express.json(), requireAuth, analyzePostSeo));
+  try {
+    const analyze = (fields) => fetch(`${server.url}/api/analyze/seo`, {
+      method: 'POST',
+      headers: { ...bearer('user-1'), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ content: draft, ...fields })
+    });
+
+    const cases = [
+      [{ title: 42 }, '"title" must be a string'],
+      [{ title: ['Better Coffee'] }, '"title" must be a string'],
+      [{ description: { text: 'Brew better coffee' } }, '"description" must be a string'],
+      [{ description: true }, '"description" must be a string'],
+      [{ structure: { title: 7 } }, '"structure.title" must be a string']
+    ];
+    for (const [fields, error] of cases) {
+      const res = await analyze(fields);
+      assert.equal(res.status, 400, JSON.stringify(fields));
+      assert.deepEqual(await res.json(), { error });
+    }
+
+    const res = await analyze({ title: 'Better Coffee', description: null });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).title.text, 'Better Coffee');
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,15 @@
+import os from 'os';
+import path from 'path';
+import { startSupabaseMock } from './support/supabase-mock.js';
+
+// Loaded with --import, before any test file: modules read these at import time
+
+process.env.VITE_SUPABASE_URL = await startSupabaseMock();
+process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+process.env.SUPABASE_JWT_SECRET = 'test-jwt-secret';
+process.env.CMS_CREDENTIALS_KEY = 'a'.repeat(64);
+process.env.STRIPE_SECRET_KEY = 'sk_test_123';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+process.env.LLM_PROVIDER = 'fake';
+process.env.LOG_LEVEL = 'error';
+process.env.LOG_FILE = path.join(os.tmpdir(), 'blogcraft-test.log');
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { socialAdapters } from '../social-adapters.js';
+import { mockRemote } from './support/http.js';
+
+const post = { text: 'Fresh beans make better coffee #coffee', mediaUrl: 'https://cdn.example.com/beans.jpg' };
+
+const graphApi = (permalink) => ({ method, path, body }) => {
+  if (method === 'POST' && path === '/17841400000/media') {
+    return { body: { id: 'container-1' } };
+  }
+  if (method === 'POST' && path === '/17841400000/media_publish') {
+    assert.equal(body.creation_id, 'container-1');
+    return { body: { id: 'media-1' } };
+  }
+  if (method === 'GET' && path === '/media-1') {
+    return permalink;
+  }
+  return null;
+};
+
+const publishWith = async (permalink) => {
+  const remote = await mockRemote(graphApi(permalink));
+  process.env.FACEBOOK_GRAPH_API_URL = remote.url;
+  try {
+    const result = await socialAdapters.instagram.send(
+      { credentials: { igUserId: '17841400000', accessToken: 'ig-token' } },
+      post
+    );
+    return { result, requests: remote.requests };
+  } finally {
+    delete process.env.FACEBOOK_GRAPH_API_URL;
+    await remote.close();
+  }
+};
+
+test('Instagram: publishes the image with its caption and returns the permalink', async () => {
+  const { result, requests } = await publishWith({ body: { permalink: 'https://www.instagram.com/p/abc/' } });
+
+  assert.deepEqual(result, { remoteId: 'media-1', url: 'https://www.instagram.com/p/abc/' });
+  assert.deepEqual(requests[0].body, { image_url: post.mediaUrl, caption: post.text, access_token: 'ig-token' });
+});
+
+test('Instagram: a failed permalink lookup still reports the published media', async () => {
+  const { result, requests } = await publishWith({ status: 500, body: { error: { message: 'Service unavailable' } } });
+
+  assert.deepEqual(result, { remoteId: 'media-1', url: null });
+  assert.equal(requests.filter((request) => request.path.endsWith('/media_publish')).length, 1);
+});
+
+test('Instagram: a post without an image is a permanent error', async () => {
+  await assert.rejects(
+    socialAdapters.instagram.send({ credentials: { igUserId: '1', accessToken: 't' } }, { text: 'No image' }),
+    { retryable: false }
+  );
+});
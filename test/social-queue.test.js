@@ -0,0 +1,156 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { requireAuth } from '../auth.js';
+import { processDueSocialPosts, scheduleSocialPosts, saveSocialConnection } from '../social-queue.js';
+import { onSupabase, resetSupabase, requestsTo, matches } from './support/supabase-mock.js';
+import { serve, bearer, mockRemote } from './support/http.js';
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+const entry = (fields) => ({
+  id: 'entry-1',
+  post_id: 'post-1',
+  company_id: 'company-a',
+  platform: 'linkedin',
+  content: 'Fresh beans make better coffee',
+  hashtags: ['coffee'],
+  link: null,
+  media_url: null,
+  status: 'scheduled',
+  attempts: 0,
+  next_attempt_at: minutesAgo(20),
+  updated_at: minutesAgo(30),
+  ...fields
+});
+
+// The social_queue table; the due-entries query is answered with `due`
+let queue;
+let due;
+
+beforeEach(() => {
+  resetSupabase();
+  process.env.SOCIAL_DRY_RUN = 'true';
+  queue = [];
+  due = () => queue;
+  onSupabase('GET', 'social_queue', () => ({ data: due() }));
+  onSupabase('PATCH', 'social_queue', ({ query, body }) => {
+    const updated = queue.filter((row) => matches(row, query));
+    for (const row of updated) Object.assign(row, body);
+    return { data: updated.map(({ id }) => ({ id })) };
+  });
+});
+
+test('the worker also picks up entries left sending past their lease', async () => {
+  await processDueSocialPosts();
+
+  const [{ query }] = requestsTo('GET', 'social_queue');
+  const [, staleBefore] = query.get('or').match(/^\(status\.in\.\(scheduled,retrying\),and\(status\.eq\.sending,updated_at\.lt\."([^"]+)"\)\)$/);
+  const lease = Date.now() - Date.parse(staleBefore);
+  assert.ok(lease >= 5 * 60 * 1000 && lease < 5 * 60 * 1000 + 5000, `lease of ${lease}ms`);
+});
+
+test('a stale sending entry is failed for review instead of being sent again', async () => {
+  const claimedAt = minutesAgo(10);
+  queue.push(entry({ status: 'sending', attempts: 1, updated_at: claimedAt }));
+
+  await processDueSocialPosts();
+
+  assert.equal(queue[0].status, 'failed');
+  assert.equal(queue[0].attempts, 1);
+  assert.equal(queue[0].remote_id, undefined);
+  assert.match(queue[0].last_error, /may already be live/);
+  const [update] = requestsTo('PATCH', 'social_queue');
+  assert.equal(update.query.get('status'), 'eq.sending');
+  assert.equal(update.query.get('updated_at'), `eq.${claimedAt}`);
+});
+
+test('an entry another worker claimed since it was read is left alone', async () => {
+  queue.push(entry({ status: 'sending', updated_at: minutesAgo(10) }));
+  // Read before the other worker took it over
+  const snapshot = queue.map((row) => ({ ...row }));
+  due = () => snapshot;
+  queue[0].updated_at = new Date().toISOString();
+
+  await processDueSocialPosts();
+
+  assert.equal(queue[0].status, 'sending');
+  assert.equal(requestsTo('PATCH', 'social_queue').length, 1);
+});
+
+test('due scheduled entries are sent', async () => {
+  queue.push(entry());
+
+  assert.equal(await processDueSocialPosts(), 1);
+
+  assert.equal(queue[0].status, 'sent');
+  const [claim] = requestsTo('PATCH', 'social_queue');
+  assert.equal(claim.query.get('status'), 'eq.scheduled');
+  assert.equal(claim.body.status, 'sending');
+});
+
+test('scheduling rejects platforms that are only Object properties', async () => {
+  onSupabase('GET', 'company_members', () => ({ data: [{ company_id: 'company-a' }] }));
+  const server = await serve((app) => app.post('/api/posts/:id/social/schedule', express.json(), requireAuth, scheduleSocialPosts));
+  try {
+    const res = await fetch(`${server.url}/api/posts/post-1/social/schedule`, {
+      method: 'POST',
+      headers: { ...bearer('user-1'), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ posts: [{ platform: 'constructor', send_at: minutesAgo(-60) }] })
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(requestsTo('GET', 'blog_posts').length, 0);
+  } finally {
+    await server.close();
+  }
+});
+
+// Saves a connection through the route; the stored row is served back to the worker
+const connect = async (platform, credentials) => {
+  const rows = [];
+  onSupabase('GET', 'company_members', () => ({ data: [{ company_id: 'company-a' }] }));
+  onSupabase('POST', 'social_connections', ({ body }) => {
+    rows.push(...[body].flat());
+    return { status: 201 };
+  });
+  onSupabase('GET', 'social_connections', () => ({ data: rows }));
+
+  const server = await serve((app) => app.put('/api/companies/:companyId/social/:platform', express.json(), requireAuth, saveSocialConnection));
+  try {
+    return await fetch(`${server.url}/api/companies/company-a/social/${platform}`, {
+      method: 'PUT',
+      headers: { ...bearer('user-1'), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ credentials })
+    });
+  } finally {
+    await server.close();
+  }
+};
+
+test('connections cannot store an API URL', async () => {
+  const res = await connect('linkedin', { accessToken: 'li-token', authorUrn: 'urn:li:organization:1', apiUrl: 'http://10.0.0.5' });
+
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /^Unknown LinkedIn credentials: apiUrl\. Use: accessToken, authorUrn, apiVersion$/);
+  assert.equal(requestsTo('POST', 'social_connections').length, 0);
+});
+
+test('a rejected send records the remote status but not the remote body', async () => {
+  process.env.SOCIAL_DRY_RUN = 'false';
+  const remote = await mockRemote(() => ({ status: 403, body: { detail: 'internal-only response' } }));
+  process.env.X_API_URL = remote.url;
+  try {
+    assert.equal((await connect('x', { accessToken: 'x-token' })).status, 200);
+    queue.push(entry({ platform: 'x' }));
+
+    await processDueSocialPosts();
+
+    assert.equal(remote.requests.length, 1);
+    assert.equal(queue[0].status, 'failed');
+    assert.equal(queue[0].last_error, 'X responded with HTTP 403');
+  } finally {
+    delete process.env.X_API_URL;
+    await remote.close();
+  }
+});
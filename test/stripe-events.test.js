@@ -0,0 +1,187 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import Stripe from 'stripe';
+import { requireAuth, requireAdmin } from '../auth.js';
+import { handleStripeWebhook, replayStripeEvents } from '../stripe.js';
+import { onSupabase, resetSupabase, requestsTo, matches } from './support/supabase-mock.js';
+import { serve, bearer } from './support/http.js';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// The stripe_events table, and whether the subscription RPCs should fail
+let events;
+let rpcFails;
+
+beforeEach(() => {
+  resetSupabase();
+  events = [];
+  rpcFails = false;
+  process.env.ADMIN_USER_IDS = 'admin-1';
+
+  onSupabase('GET', 'company_members', () => ({ data: [] }));
+  onSupabase('POST', 'stripe_events', ({ body }) => {
+    const [row] = body;
+    if (events.some((event) => event.id === row.id)) {
+      return { status: 409, data: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+    }
+    events.push({ ...row });
+    return { status: 201, data: null };
+  });
+  onSupabase('GET', 'stripe_events', ({ query }) => ({
+    data: events
+      .filter((row) => matches(row, query))
+      .sort((a, b) => a.event_created_at.localeCompare(b.event_created_at))
+  }));
+  onSupabase('PATCH', 'stripe_events', ({ query, body }) => {
+    const updated = events.filter((row) => matches(row, query));
+    for (const row of updated) Object.assign(row, body);
+    return { data: updated.map(({ id }) => ({ id })) };
+  });
+  for (const rpc of ['update_user_subscription_v2', 'update_user_subscription_plan', 'update_user_subscription_details']) {
+    onSupabase('POST', `rpc/${rpc}`, () => (rpcFails ? { status: 500, data: { message: 'database unavailable' } } : { data: null }));
+  }
+});
+
+const mountWebhook = (app) => {
+  app.post('/api/webhook', express.raw({ type: 'application/json' }), handleStripeWebhook);
+  app.use(express.json());
+  app.post('/api/admin/stripe/events/replay', requireAuth, requireAdmin, replayStripeEvents);
+};
+
+const withApp = async (run) => {
+  const server = await serve(mountWebhook);
+  try {
+    await run(server.url);
+  } finally {
+    await server.close();
+  }
+};
+
+const subscriptionEvent = (id, created, status) => ({
+  id,
+  object: 'event',
+  type: 'customer.subscription.updated',
+  created,
+  data: {
+    object: {
+      id: 'sub_1',
+      object: 'subscription',
+      customer: 'cus_1',
+      status,
+      metadata: { userId: 'user-1' },
+      current_period_start: created,
+      current_period_end: created + 30 * 24 * 60 * 60,
+      items: { data: [{ price: { id: 'price_starter' } }] }
+    }
+  }
+});
+
+const deliver = (url, event, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  return fetch(`${url}/api/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': stripe.webhooks.generateTestHeaderString({ payload, secret })
+    },
+    body: payload
+  });
+};
+
+const statusUpdates = () => requestsTo('POST', 'rpc/update_user_subscription_v2').map(({ body }) => body.p_status);
+
+test('a signed subscription event is applied and logged as processed', () =>
+  withApp(async (url) => {
+    const res = await deliver(url, subscriptionEvent('evt_1', 1700000000, 'active'));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { received: true });
+    assert.deepEqual(statusUpdates(), ['active']);
+    assert.equal(events[0].status, 'processed');
+    assert.equal(events[0].ordering_key, 'subscription:sub_1');
+    assert.equal(events[0].user_id, 'user-1');
+  }));
+
+test('a payload signed with another secret is rejected', () =>
+  withApp(async (url) => {
+    const res = await deliver(url, subscriptionEvent('evt_1', 1700000000, 'active'), 'whsec_other');
+
+    assert.equal(res.status, 400);
+    assert.equal(events.length, 0);
+  }));
+
+test('a duplicate event ID is acknowledged without being applied again', () =>
+  withApp(async (url) => {
+    const event = subscriptionEvent('evt_1', 1700000000, 'active');
+    await deliver(url, event);
+
+    const res = await deliver(url, event);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { received: true, duplicate: true });
+    assert.deepEqual(statusUpdates(), ['active']);
+    assert.equal(events.length, 1);
+  }));
+
+test('an event still being processed by another delivery gets a 409', () =>
+  withApp(async (url) => {
+    const event = subscriptionEvent('evt_1', 1700000000, 'active');
+    events.push({ id: 'evt_1', status: 'processing', attempts: 1, updated_at: new Date().toISOString() });
+
+    const res = await deliver(url, event);
+
+    assert.equal(res.status, 409);
+    assert.deepEqual(statusUpdates(), []);
+  }));
+
+test('an older subscription event arriving after a newer one is ignored', () =>
+  withApp(async (url) => {
+    await deliver(url, subscriptionEvent('evt_new', 1700000100, 'canceled'));
+
+    const res = await deliver(url, subscriptionEvent('evt_old', 1700000000, 'active'));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { received: true, stale: true });
+    assert.deepEqual(statusUpdates(), ['canceled']);
+    assert.equal(events.find((row) => row.id === 'evt_old').status, 'skipped');
+  }));
+
+test('an admin replay processes a failed event again, once', () =>
+  withApp(async (url) => {
+    rpcFails = true;
+    let res = await deliver(url, subscriptionEvent('evt_1', 1700000000, 'active'));
+    assert.equal(res.status, 500);
+    assert.equal(events[0].status, 'failed');
+    assert.equal(events[0].error, 'Error updating subscription status');
+
+    rpcFails = false;
+    const replay = () => fetch(`${url}/api/admin/stripe/events/replay`, {
+      method: 'POST',
+      headers: { ...bearer('admin-1'), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids: ['evt_1'] })
+    });
+
+    res = await replay();
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), {
+      results: [{ id: 'evt_1', type: 'customer.subscription.updated', status: 'processed' }]
+    });
+    assert.equal(events[0].status, 'processed');
+    assert.equal(events[0].attempts, 2);
+
+    res = await replay();
+    assert.deepEqual(await res.json(), { results: [{ id: 'evt_1', status: 'not_failed' }] });
+    assert.deepEqual(statusUpdates(), ['active', 'active']);
+  }));
+
+test('only admins may replay events', () =>
+  withApp(async (url) => {
+    const res = await fetch(`${url}/api/admin/stripe/events/replay`, {
+      method: 'POST',
+      headers: { ...bearer('user-1'), 'Content-Type': 'application/json' },
+      body: '{}'
+    });
+
+    assert.equal(res.status, 403);
+  }));
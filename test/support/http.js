@@ -0,0 +1,74 @@
+import http from 'http';
+import express from 'express';
+import { signJwt } from '../../jwt.js';
+
+/**
+ * Serve an Express app on a free port for the duration of a test.
+ * @param {function} mount - adds routes and middleware to the app; like
+ *   server.js, routes that need a raw body go before express.json()
+ * @returns {Promise<{ url: string, close: function }>}
+ */
+export function serve(mount) {
+  const app = express();
+  mount(app);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * A Supabase-style access token for `userId`, signed with the test secret.
+ * @param {object} [claims] - overrides, e.g. `exp`
+ */
+export function accessToken(userId, claims = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return signJwt(
+    { sub: userId, aud: 'authenticated', role: 'authenticated', iat: now, exp: now + 3600, ...claims },
+    process.env.SUPABASE_JWT_SECRET
+  );
+}
+
+export const bearer = (userId, claims) => ({ Authorization: `Bearer ${accessToken(userId, claims)}` });
+
+/**
+ * A local HTTP server standing in for a third-party API. `handler` gets each
+ * request as `{ method, path, query, body, headers }` and returns
+ * `{ status = 200, body }`; every request is recorded in `requests`.
+ * @returns {Promise<{ url: string, requests: object[], close: function }>}
+ */
+export function mockRemote(handler) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let text = '';
+    for await (const chunk of req) text += chunk;
+    const url = new URL(req.url, 'http://localhost');
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: url.searchParams,
+      body: text ? JSON.parse(text) : null,
+      headers: req.headers
+    };
+    requests.push(request);
+
+    const { status = 200, body = null } = (await handler(request)) || { status: 404, body: { message: 'Not found' } };
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
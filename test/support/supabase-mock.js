@@ -0,0 +1,131 @@
+import http from 'http';
+
+/**
+ * A local stand-in for Supabase's REST API (PostgREST). Modules create their
+ * Supabase client at import time, so test/setup.js starts this server and
+ * points VITE_SUPABASE_URL at it before any test file loads.
+ *
+ * Tests answer requests with `onSupabase(method, path, handler)`, where `path`
+ * is a table name or `rpc/<function>`. The handler gets the request
+ * (`{ method, path, query, body, headers }`) and returns
+ * `{ status = 200, data = [], count }`; unanswered requests get an empty
+ * list. Every request is recorded in `supabaseRequests`.
+ */
+
+const handlers = new Map();
+export const supabaseRequests = [];
+
+export function onSupabase(method, path, handler) {
+  handlers.set(`${method} ${path}`, handler);
+}
+
+export function resetSupabase() {
+  handlers.clear();
+  supabaseRequests.length = 0;
+}
+
+export const requestsTo = (method, path) =>
+  supabaseRequests.filter((request) => request.method === method && request.path === path);
+
+const NOT_FILTERS = new Set(['select', 'order', 'limit', 'offset', 'on_conflict', 'columns']);
+
+const compare = {
+  eq: (value, operand) => String(value) === operand,
+  neq: (value, operand) => String(value) !== operand,
+  gt: (value, operand) => value !== null && String(value) > operand,
+  gte: (value, operand) => value !== null && String(value) >= operand,
+  lt: (value, operand) => value !== null && String(value) < operand,
+  lte: (value, operand) => value !== null && String(value) <= operand,
+  in: (value, operand) => operand.slice(1, -1).split(',').includes(String(value)),
+  is: (value, operand) => (operand === 'null' ? value === null || value === undefined : String(value) === operand),
+  ov: (value, operand) => Array.isArray(value) && operand.slice(1, -1).split(',').some((item) => value.includes(item))
+};
+
+const passes = (row, column, filter) => {
+  const [, op, operand] = filter.match(/^(\w+)\.(.*)$/);
+  return compare[op](row[column] ?? null, operand);
+};
+
+/**
+ * Whether a row passes a request's column filters (`eq`, `neq`, `gt`, `gte`,
+ * `lt`, `lte`, `in`, `is` and `ov`, and a flat `or` of those), for handlers that
+ * keep a table in memory. Values compare as strings, which orders ISO
+ * timestamps correctly.
+ */
+export function matches(row, query) {
+  return [...query].every(([column, filter]) => {
+    if (NOT_FILTERS.has(column)) return true;
+    if (column === 'or') {
+      return filter.slice(1, -1).split(',').some((condition) => {
+        const [, orColumn, orFilter] = condition.match(/^(\w+)\.(.*)$/);
+        return passes(row, orColumn, orFilter);
+      });
+    }
+    return passes(row, column, filter);
+  });
+}
+
+const readBody = async (req) => {
+  let text = '';
+  for await (const chunk of req) text += chunk;
+  return text ? JSON.parse(text) : null;
+};
+
+// .single() asks for one object; PostgREST answers 406 unless exactly one row matched
+const shape = (data, accept) => {
+  if (!accept.includes('application/vnd.pgrst.object+json') || !Array.isArray(data)) {
+    return { status: 200, data };
+  }
+  if (data.length === 1) return { status: 200, data: data[0] };
+  return {
+    status: 406,
+    data: {
+      code: 'PGRST116',
+      details: `Results contain ${data.length} rows, application/vnd.pgrst.object+json requires 1 row`,
+      message: 'JSON object requested, multiple (or no) rows returned'
+    }
+  };
+};
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, 'http://localhost');
+    const request = {
+      method: req.method,
+      path: url.pathname.replace(/^\/rest\/v1\//, ''),
+      query: url.searchParams,
+      body: await readBody(req),
+      headers: req.headers
+    };
+    supabaseRequests.push(request);
+
+    const handler = handlers.get(`${request.method} ${request.path}`);
+    const result = (await handler?.(request)) || {};
+    const { status, data } = result.status >= 400
+      ? { status: result.status, data: result.data ?? { message: 'Mock error' } }
+      : shape(result.data ?? [], req.headers.accept || '');
+
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      ...(result.count !== undefined && { 'Content-Range': `*/${result.count}` })
+    });
+    res.end(req.method === 'HEAD' ? undefined : JSON.stringify(data));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ message: error.message }));
+  }
+});
+
+/**
+ * Start the mock on a free port.
+ * @returns {Promise<string>} its base URL
+ */
+export function startSupabaseMock() {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      // Don't keep a test process alive once its tests are done
+      server.unref();
+      resolve(`http://127.0.0.1:${server.address().port}`);
+    });
+  });
+}
@@ -0,0 +1,107 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { requireAuth } from '../auth.js';
+import { renderArticleHtml, replaceAlternates } from '../html-renderer.js';
+import { publishPost, saveCmsConnection } from '../publishing.js';
+import { onSupabase, resetSupabase, matches } from './support/supabase-mock.js';
+import { serve, mockRemote, bearer } from './support/http.js';
+
+const EN_URL = 'https://www.example.com/blog/better-coffee';
+const DE_URL = 'https://www.example.com/de/blog/besserer-kaffee';
+
+const page = (lang, alternates) => renderArticleHtml({
+  content: '# Better Coffee\n\nStart with fresh beans.',
+  metadata: { title: 'Better Coffee', keywords: ['coffee'], lang, alternates }
+});
+
+test('replaceAlternates gives the page the links it would have been rendered with', () => {
+  const alternates = [{ lang: 'en-US', url: EN_URL }, { lang: 'de-DE', url: DE_URL }, { lang: 'x-default', url: EN_URL }];
+
+  assert.equal(replaceAlternates(page('de-DE', [{ lang: 'en-US', url: EN_URL }]), alternates), page('de-DE', alternates));
+  assert.equal(replaceAlternates(page('en-US', []), alternates), page('en-US', alternates));
+  assert.equal(replaceAlternates(page('en-US', alternates), []), page('en-US', []));
+});
+
+// --- Publishing a translation ------------------------------------------------
+
+let posts;
+
+beforeEach(() => {
+  resetSupabase();
+  posts = [
+    {
+      id: 'post-en',
+      company_id: 'company-a',
+      locale: 'en-US',
+      translation_of: null,
+      article: 'Start with fresh beans.',
+      final_html: page('en-US', []),
+      publications: { webflow: { url: EN_URL, status: 'live', published_at: '2024-05-01T09:00:00Z' } }
+    },
+    {
+      id: 'post-de',
+      company_id: 'company-a',
+      locale: 'de-DE',
+      translation_of: 'post-en',
+      title_concept: 'Besserer Kaffee',
+      article: 'Beginnen Sie mit frischen Bohnen.',
+      final_html: page('de-DE', [{ lang: 'en-US', url: EN_URL }]),
+      publications: {}
+    }
+  ];
+  const connections = [];
+
+  onSupabase('GET', 'company_members', () => ({ data: [{ company_id: 'company-a' }] }));
+  onSupabase('GET', 'blog_posts', ({ query }) => ({ data: posts.filter((post) => matches(post, query)) }));
+  onSupabase('PATCH', 'blog_posts', ({ query, body }) => {
+    const updated = posts.filter((post) => matches(post, query));
+    for (const post of updated) Object.assign(post, body);
+    return { data: updated };
+  });
+  onSupabase('POST', 'cms_connections', ({ body }) => {
+    connections.push(...[body].flat());
+    return { status: 201 };
+  });
+  onSupabase('GET', 'cms_connections', () => ({ data: connections }));
+});
+
+const withWebflow = async (run) => {
+  const remote = await mockRemote(({ body }) => ({ status: 202, body: { id: 'w-2', fieldData: body.fieldData } }));
+  process.env.WEBFLOW_API_URL = remote.url;
+  const server = await serve((app) => {
+    app.put('/api/companies/:companyId/cms/:platform', express.json(), requireAuth, saveCmsConnection);
+    app.post('/api/posts/:id/publish', express.json(), requireAuth, publishPost);
+  });
+  try {
+    const res = await fetch(`${server.url}/api/companies/company-a/cms/webflow`, {
+      method: 'PUT',
+      headers: { ...bearer('user-1'), 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        credentials: { apiToken: 'wf-token', collectionId: 'col-1' },
+        settings: { urlTemplate: 'https://www.example.com/de/blog/{slug}' }
+      })
+    });
+    assert.equal(res.status, 200);
+    await run(server.url);
+  } finally {
+    delete process.env.WEBFLOW_API_URL;
+    await server.close();
+    await remote.close();
+  }
+};
+
+test('publishing a translation links every version of the post to it, both ways', () =>
+  withWebflow(async (url) => {
+    const res = await fetch(`${url}/api/posts/post-de/publish`, {
+      method: 'POST',
+      headers: { ...bearer('user-1'), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ platform: 'webflow', status: 'live' })
+    });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).url, DE_URL);
+
+    const alternates = [{ lang: 'en-US', url: EN_URL }, { lang: 'de-DE', url: DE_URL }];
+    assert.equal(posts[0].final_html, page('en-US', alternates));
+    assert.equal(posts[1].final_html, page('de-DE', alternates));
+  }));
@@ -0,0 +1,182 @@
+import { createClient } from '@supabase/supabase-js';
+import { logger } from './logger.js';
+import { generateTranslation, generateHtml } from './generation.js';
+import { replaceAlternates } from './html-renderer.js';
+import { insertBlogPost, fetchBlogPost } from './posts.js';
+import { readPolished } from './polish-output.js';
+import { publicPostUrl } from './social-platforms.js';
+import { contextFromRequest } from './providers.js';
+import { DEFAULT_LOCALE } from './locales.js';
+
+/**
+ * Localized variants of a post. A translation is a post of its own, linked
+ * through `translation_of` to the original; translating a translation links
+ * to the same original, so every language version of an article is one group
+ * with at most one post per locale.
+ */
+
+const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const localeOf = (post) => post.locale || DEFAULT_LOCALE;
+
+// The original and all of its translations
+async function fetchTranslationGroup(rootId, companyIds) {
+  const { data, error } = await supabase
+    .from('blog_posts')
+    .select('*')
+    .or(`id.eq.${rootId},translation_of.eq.${rootId}`)
+    .in('company_id', companyIds)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+// hreflang alternates for the group's published versions
+const alternatesFor = (group) => group
+  .map((post) => ({ lang: localeOf(post), url: publicPostUrl(post) }))
+  .filter((alternate) => alternate.url);
+
+/**
+ * Bring the hreflang links in the HTML of every version of `post` up to date
+ * with the group's published URLs, so each version links to all of them, its
+ * own included. Run after a version is published: a new translation has no
+ * URL until then, so adding one changes no other page.
+ */
+export async function updateTranslationAlternates(post) {
+  const group = await fetchTranslationGroup(post.translation_of || post.id, [post.company_id]);
+  if (group.length < 2) return;
+
+  const alternates = alternatesFor(group);
+  for (const version of group) {
+    if (!version.final_html) continue;
+    const finalHtml = replaceAlternates(version.final_html, alternates);
+    if (finalHtml === version.final_html) continue;
+
+    const { error } = await supabase
+      .from('blog_posts')
+      .update({ final_html: finalHtml, updated_at: new Date().toISOString() })
+      .eq('id', version.id);
+
+    if (error) throw error;
+  }
+  logger.info('Translation alternates updated', { rootId: group[0].id, alternates });
+}
+
+const summarize = (post) => ({
+  id: post.id,
+  locale: localeOf(post),
+  title: post.metadata?.title || post.title_concept,
+  translation_of: post.translation_of || null,
+  url: publicPostUrl(post),
+  created_at: post.created_at
+});
+
+/**
+ * Translate a post into another locale (translate stage), saving the result
+ * as a new post linked to the original. Translates the polished version when
+ * there is one. Body: locale.
+ * @route POST /api/posts/:id/translate
+ */
+export async function createTranslation(req, res) {
+  try {
+    const { id } = req.params;
+    if (!req.body.locale) {
+      return res.status(400).json({ error: 'Please provide the target "locale", e.g. de-DE' });
+    }
+    const { locale } = req;
+
+    const source = await fetchBlogPost(id, req.companyIds);
+    if (!source) {
+      return res.status(404).json({ error: `Post with ID ${id} not found` });
+    }
+    if (localeOf(source) === locale) {
+      return res.status(400).json({ error: `Post ${id} is already in ${locale}` });
+    }
+
+    const rootId = source.translation_of || source.id;
+    const group = await fetchTranslationGroup(rootId, req.companyIds);
+    const existing = group.find((post) => localeOf(post) === locale);
+    if (existing) {
+      return res.status(409).json({ error: `A ${locale} version of this post already exists`, postId: existing.id });
+    }
+
+    const polished = readPolished(source.polished);
+    const content = polished?.body_markdown || source.article;
+    if (!content) {
+      return res.status(400).json({ error: 'Post has no article to translate' });
+    }
+
+    logger.info(`Translating blog post ${id}...`, { from: localeOf(source), to: locale });
+
+    let promptVersion;
+    const translation = await generateTranslation({
+      title: polished?.title || source.metadata?.title || source.title_concept,
+      keywords: source.metadata?.keywords || [],
+      content,
+      locale
+    }, {
+      context: contextFromRequest(req, { companyId: source.company_id, postId: id }),
+      onPrompt: ({ version }) => {
+        promptVersion = version;
+        res.set('X-Prompt-Version', version);
+      }
+    });
+
+    const finalHtml = await generateHtml({
+      content: translation.content,
+      metadata: {
+        title: translation.title,
+        keywords: translation.keywords,
+        alternates: alternatesFor(group)
+      },
+      facts: source.facts,
+      locale
+    });
+
+    const post = await insertBlogPost({
+      user_id: req.user.id,
+      company_id: source.company_id,
+      title_concept: translation.title,
+      structure: source.structure && { ...source.structure, title: translation.title, keywords: translation.keywords },
+      facts: source.facts,
+      article: translation.content,
+      final_html: finalHtml,
+      prompt_versions: { translate: promptVersion },
+      locale,
+      translation_of: rootId
+    });
+
+    logger.info('Translation saved', { sourceId: id, postId: post.id, locale });
+    res.status(201).json(post);
+  } catch (error) {
+    logger.error('Error translating post:', error);
+    if (error.validationErrors) {
+      return res.status(502).json({
+        error: error.message,
+        validationErrors: error.validationErrors
+      });
+    }
+    res.status(500).json({ error: 'Failed to translate post' });
+  }
+}
+
+/**
+ * List every language version of a post, the original first
+ * @route GET /api/posts/:id/translations
+ */
+export async function listTranslations(req, res) {
+  try {
+    const { id } = req.params;
+    const post = await fetchBlogPost(id, req.companyIds);
+    if (!post) {
+      return res.status(404).json({ error: `Post with ID ${id} not found` });
+    }
+
+    const group = await fetchTranslationGroup(post.translation_of || post.id, req.companyIds);
+    res.json(group.map(summarize));
+  } catch (error) {
+    logger.error('Error listing translations:', error);
+    res.status(500).json({ error: 'Failed to list translations' });
+  }
+}